@@ -1,5 +1,6 @@
 import app from "./server.js";
 import { connectDB } from "./lib/db.js";
+import { startJobs } from "./lib/jobs.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -11,6 +12,9 @@ const startServer = async () => {
     app.listen(PORT, () => {
       console.log(`Server running locally on port ${PORT}`);
     });
+
+    // No-show sweep, waitlist offer expiry and notification dispatch
+    startJobs();
   } catch (err) {
     console.error(err);
   }
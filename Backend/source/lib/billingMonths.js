@@ -0,0 +1,43 @@
+// Rent is charged by calendar month: a stay from 1 September to 1 December
+// is three months, billed 1 September, 1 October and 1 November. Booking
+// totals, the invoice schedule, transfer re-pricing and cancellation
+// deposits all count months this way.
+
+// Add calendar months, clamping to the last day of shorter months
+export const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(
+    result.getFullYear(),
+    result.getMonth() + 1,
+    0
+  ).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Split a stay into calendar-month periods, ending the walk once a period
+// would start on or after check-out (a stay always has at least one)
+export const monthlyPeriods = (checkInDate, checkOutDate) => {
+  const checkIn = new Date(checkInDate);
+  const checkOut = new Date(checkOutDate);
+
+  const periods = [];
+  let periodStart = checkIn;
+  do {
+    const nextStart = addMonths(checkIn, periods.length + 1);
+    periods.push({
+      periodStart,
+      periodEnd: nextStart < checkOut ? nextStart : checkOut,
+    });
+    periodStart = nextStart;
+  } while (periodStart < checkOut);
+
+  return periods;
+};
+
+// Number of months a stay is billed for
+export const countMonths = (checkInDate, checkOutDate) =>
+  monthlyPeriods(checkInDate, checkOutDate).length;
@@ -0,0 +1,69 @@
+// Errors the API reports to clients. Each carries a stable machine-readable
+// code and the HTTP status it is sent with; the error handler in
+// middleware/errorHandler.js turns them into the standard envelope:
+//
+//   { success: false, code: "ROOM_FULL", message: "...", errors?: [...] }
+//
+// Throw them from models, helpers and routes instead of plain Errors.
+
+export class AppError extends Error {
+  constructor(message, { code = "BAD_REQUEST", status = 400, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+// Request that cannot be acted on as sent
+export class BadRequestError extends AppError {
+  constructor(message, code = "BAD_REQUEST") {
+    super(message, { code, status: 400 });
+  }
+}
+
+// Field-level problems; `errors` is a list of { field, location, message }
+export class ValidationError extends AppError {
+  constructor(errors, message = "Validation failed") {
+    super(message, { code: "VALIDATION_FAILED", status: 400, details: errors });
+  }
+}
+
+export class AuthenticationError extends AppError {
+  constructor(message = "Not authenticated", code = "NOT_AUTHENTICATED") {
+    super(message, { code, status: 401 });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Not authorized", code = "NOT_AUTHORIZED") {
+    super(message, { code, status: 403 });
+  }
+}
+
+// Built from the resource name: new NotFoundError("Damage charge") has the
+// message "Damage charge not found" and the code DAMAGE_CHARGE_NOT_FOUND
+export class NotFoundError extends AppError {
+  constructor(resource, message = `${resource} not found`) {
+    super(message, {
+      code: `${resource.toUpperCase().replace(/\W+/g, "_")}_NOT_FOUND`,
+      status: 404,
+    });
+  }
+}
+
+// Request clashes with the current state of a record (a full room, an
+// overlapping booking, a refund that is already paid...)
+export class ConflictError extends AppError {
+  constructor(message, code = "CONFLICT") {
+    super(message, { code, status: 409 });
+  }
+}
+
+// A service we depend on (M-Pesa, email) failed or refused the request
+export class UpstreamError extends AppError {
+  constructor(message, code = "UPSTREAM_ERROR") {
+    super(message, { code, status: 502 });
+  }
+}
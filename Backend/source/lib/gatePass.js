@@ -0,0 +1,36 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+
+const PREFIX = "HOSTEL-PASS";
+
+// Passes are signed so a QR code cannot be made up from a known studentId
+const sign = (studentId) => {
+  const secret = process.env.GATE_PASS_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error("GATE_PASS_SECRET is not configured");
+
+  return crypto
+    .createHmac("sha256", secret)
+    .update(String(studentId))
+    .digest("hex")
+    .slice(0, 16);
+};
+
+// Text encoded in a student's gate pass QR code
+export const passPayload = (studentId) =>
+  `${PREFIX}:${studentId}:${sign(studentId)}`;
+
+// Read the studentId back out of a scanned pass, or null if it is not valid
+export const parsePassPayload = (payload) => {
+  const [prefix, studentId, signature] = String(payload || "").split(":");
+  if (prefix !== PREFIX || !studentId || !signature) return null;
+
+  const a = Buffer.from(signature);
+  const b = Buffer.from(sign(studentId));
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+    ? studentId
+    : null;
+};
+
+// Render a student's gate pass as a PNG
+export const passQrPng = (studentId) =>
+  QRCode.toBuffer(passPayload(studentId), { type: "png", width: 320 });
@@ -0,0 +1,52 @@
+import crypto from "crypto";
+import Booking from "../models/Booking.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import Notification from "../models/Notification.js";
+
+// Recurring work the hostel relies on. A long-running server runs them on
+// timers (startJobs); on Vercel, where timers do not outlive a request,
+// the cron entries in vercel.json call them through routes/jobs.js. Vercel
+// crons run at most hourly, so there the outbox is only worked through
+// once an hour.
+export const jobs = {
+  // Mark no-show bookings and expire lapsed waitlist offers
+  sweep: {
+    every: 60 * 60 * 1000,
+    run: async () => {
+      const marked = await Booking.markNoShows();
+      const expired = await WaitlistEntry.expireOffers();
+      return { noShows: marked.length, expiredOffers: expired };
+    },
+  },
+  // Work through the notification outbox
+  notifications: {
+    every: 60 * 1000,
+    run: () => Notification.dispatchDue(),
+  },
+};
+
+export const runJob = async (name) => {
+  const result = await jobs[name].run();
+  if (Object.values(result).some((count) => count > 0)) {
+    console.log(`Job ${name}:`, result);
+  }
+  return result;
+};
+
+export const startJobs = () => {
+  Object.entries(jobs).forEach(([name, job]) => {
+    setInterval(() => {
+      runJob(name).catch((err) => console.error(`Job ${name} failed:`, err));
+    }, job.every);
+  });
+};
+
+// Vercel cron requests carry "Authorization: Bearer <CRON_SECRET>"
+export const isValidCronSecret = (header) => {
+  const expected = process.env.CRON_SECRET;
+  if (!expected || !header) return false;
+
+  const a = Buffer.from(String(header));
+  const b = Buffer.from(`Bearer ${expected}`);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import { field } from "../middleware/validate.js";
+import { BadRequestError } from "./errors.js";
+
+// Shared paging, sorting, date-range filtering and field selection for list
+// endpoints. Each endpoint declares what it allows and spreads `query` into
+// its validate() schema:
+//
+//   const roomList = listQuery({
+//     sort: ["roomNumber", "floor", "price", "createdAt"],
+//     defaultSort: "roomNumber",
+//     dates: ["createdAt"],
+//     fields: ["roomNumber", "floor", "price", "status"],
+//   });
+//
+//   router.get("/", validate({ query: { ...roomList.query } }), async (req, res) => {
+//     const page = await roomList.run(Room.find(filter), req.query);
+//     res.json({ success: true, ...page });
+//   });
+//
+// Clients then ask for:
+//   ?page=2&limit=20                 numbered pages, with total and pages
+//   ?cursor=<nextCursor>             the page after the last one they saw
+//   ?sort=-price                     any whitelisted field, "-" for descending
+//   ?createdAtFrom=...&createdAtTo=  inclusive date ranges
+//   ?fields=roomNumber,price         only those fields (and _id)
+//
+// Cursors keep their place while new records arrive, so they suit feeds and
+// long histories; numbered pages suit tables that show a total.
+
+const encodeCursor = (key, value, id) =>
+  Buffer.from(
+    JSON.stringify({
+      k: key,
+      v: value instanceof Date ? value.toISOString() : value ?? null,
+      d: value instanceof Date,
+      id: id.toString(),
+    })
+  ).toString("base64url");
+
+const decodeCursor = (cursor, key) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch {
+    parsed = null;
+  }
+
+  if (!parsed || !mongoose.isValidObjectId(parsed.id)) {
+    throw new BadRequestError("Cursor is not valid", "INVALID_CURSOR");
+  }
+  if (parsed.k !== key) {
+    throw new BadRequestError(
+      "Cursor was issued for a different sort order",
+      "INVALID_CURSOR"
+    );
+  }
+
+  return {
+    value: parsed.d ? new Date(parsed.v) : parsed.v,
+    id: new mongoose.Types.ObjectId(parsed.id),
+  };
+};
+
+// Records that come after the cursor. Mongo sorts missing values before
+// everything else, so they need their own conditions.
+const afterConditions = (key, { value, id }, direction, op) => {
+  const sameValue = { [key]: value, _id: { [op]: id } };
+
+  if (value === null || value === undefined) {
+    return direction === 1
+      ? [{ [key]: { $ne: null } }, { ...sameValue, [key]: null }]
+      : [{ ...sameValue, [key]: null }];
+  }
+
+  const later = [{ [key]: { [op]: value } }, sameValue];
+  return direction === 1 ? later : [...later, { [key]: null }];
+};
+
+// Top-level fields of a model that a list may return, for the `fields`
+// whitelist
+export const fieldsOf = (model, { except = [] } = {}) => [
+  ...new Set(
+    Object.keys(model.schema.paths)
+      .map((path) => path.split(".")[0])
+      .filter((name) => !["_id", "__v", ...except].includes(name))
+  ),
+];
+
+export const listQuery = ({
+  sort = ["createdAt"],
+  defaultSort = "-createdAt",
+  dates = [],
+  fields,
+  defaultLimit = 20,
+  maxLimit = 100,
+}) => {
+  const query = {
+    page: field.integer({ min: 1 }),
+    limit: field.integer({ min: 1, max: maxLimit, default: defaultLimit }),
+    cursor: field.string(),
+    sort: field.string({
+      enum: sort.flatMap((key) => [key, `-${key}`]),
+      default: defaultSort,
+    }),
+  };
+  if (fields) query.fields = field.array(field.string({ enum: fields }));
+  for (const key of dates) {
+    query[`${key}From`] = field.date();
+    query[`${key}To`] = field.date();
+  }
+
+  // { checkInDate: { $gte, $lte } } for the date ranges that were given
+  const dateFilter = (params) => {
+    const filter = {};
+    for (const key of dates) {
+      const from = params[`${key}From`];
+      const to = params[`${key}To`];
+      if (from || to) {
+        filter[key] = {};
+        if (from) filter[key].$gte = from;
+        if (to) filter[key].$lte = to;
+      }
+    }
+    return filter;
+  };
+
+  // Apply the list options to a find() query and run it. Resolves to
+  // { count, total, page, pages, nextCursor, data }; total, page and pages
+  // are left out when paging by cursor.
+  const run = async (mongooseQuery, params) => {
+    const { page, limit, cursor } = params;
+    if (page && cursor) {
+      throw new BadRequestError(
+        "Use either page or cursor, not both",
+        "INVALID_PAGINATION"
+      );
+    }
+
+    const descending = params.sort.startsWith("-");
+    const key = descending ? params.sort.slice(1) : params.sort;
+    const direction = descending ? -1 : 1;
+
+    mongooseQuery.where(dateFilter(params));
+    const filter = mongooseQuery.getFilter();
+
+    if (params.fields?.length) {
+      mongooseQuery.projection(
+        Object.fromEntries([...params.fields, key].map((name) => [name, 1]))
+      );
+    }
+
+    // _id breaks ties so every record has a single place in the order
+    mongooseQuery.sort(
+      key === "_id" ? { _id: direction } : { [key]: direction, _id: direction }
+    );
+
+    if (cursor) {
+      const after = decodeCursor(cursor, key);
+      const op = direction === 1 ? "$gt" : "$lt";
+      mongooseQuery.and([
+        key === "_id"
+          ? { _id: { [op]: after.id } }
+          : { $or: afterConditions(key, after, direction, op) },
+      ]);
+
+      const docs = await mongooseQuery.limit(limit + 1);
+      const data = docs.slice(0, limit);
+      const last = data[data.length - 1];
+
+      return {
+        count: data.length,
+        nextCursor:
+          docs.length > limit
+            ? encodeCursor(key, last.get(key), last._id)
+            : null,
+        data,
+      };
+    }
+
+    const current = page || 1;
+    const [data, total] = await Promise.all([
+      mongooseQuery.skip((current - 1) * limit).limit(limit),
+      mongooseQuery.model.countDocuments(filter),
+    ]);
+    const last = data[data.length - 1];
+
+    return {
+      count: data.length,
+      total,
+      page: current,
+      pages: Math.ceil(total / limit),
+      nextCursor:
+        current * limit < total && last
+          ? encodeCursor(key, last.get(key), last._id)
+          : null,
+      data,
+    };
+  };
+
+  return { query, dateFilter, run };
+};
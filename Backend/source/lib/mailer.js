@@ -0,0 +1,21 @@
+import { getChannel } from "./notificationChannels.js";
+import { renderTemplate } from "./notificationTemplates.js";
+
+// Account emails carry one-time links, so they are sent straight away
+// through the email channel rather than kept in the notification outbox
+export const sendAccountEmail = async (user, template, data) => {
+  const { subject, body } = renderTemplate(template, {
+    name: user.name,
+    ...data,
+  });
+  return getChannel("email").send({ to: user.email, subject, body });
+};
+
+// Link into the frontend carrying a token
+export const appLink = (path, token) => {
+  const base = (process.env.APP_URL || "http://localhost:5173").replace(
+    /\/$/,
+    ""
+  );
+  return `${base}${path}?token=${encodeURIComponent(token)}`;
+};
@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import { BadRequestError, UpstreamError } from "./errors.js";
+
+const SANDBOX_URL = "https://sandbox.safaricom.co.ke";
+
+// Daraja wants timestamps in East Africa Time as YYYYMMDDHHmmss
+const darajaTimestamp = (date = new Date()) => {
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat
+    .toISOString()
+    .replace(/[^0-9]/g, "")
+    .slice(0, 14);
+};
+
+// Convert 07XXXXXXXX / +2547XXXXXXXX / 7XXXXXXXX to 2547XXXXXXXX
+export const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+
+  let normalized = digits;
+  if (digits.startsWith("0")) normalized = `254${digits.slice(1)}`;
+  else if (digits.length === 9) normalized = `254${digits}`;
+
+  if (!/^254[17]\d{8}$/.test(normalized)) {
+    throw new BadRequestError(
+      "Invalid Safaricom phone number",
+      "INVALID_PHONE"
+    );
+  }
+
+  return normalized;
+};
+
+// Compare a callback token against the configured secret
+export const isValidCallbackToken = (token) => {
+  const expected = process.env.MPESA_CALLBACK_TOKEN;
+  if (!expected || !token) return false;
+
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Pull the named values out of an STK callback's CallbackMetadata
+export const parseCallbackMetadata = (metadata) => {
+  const values = {};
+  (metadata?.Item || []).forEach((item) => {
+    values[item.Name] = item.Value;
+  });
+  return values;
+};
+
+// HTTP client for the Safaricom Daraja API. Point MPESA_BASE_URL at a local
+// mock server to exercise the flow without touching the sandbox.
+export const createDarajaClient = ({
+  baseUrl = process.env.MPESA_BASE_URL || SANDBOX_URL,
+  consumerKey = process.env.MPESA_CONSUMER_KEY,
+  consumerSecret = process.env.MPESA_CONSUMER_SECRET,
+  shortCode = process.env.MPESA_SHORTCODE,
+  passkey = process.env.MPESA_PASSKEY,
+} = {}) => {
+  let accessToken = null;
+  let tokenExpiresAt = 0;
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, options);
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new UpstreamError(
+        body.errorMessage ||
+          body.ResponseDescription ||
+          `Daraja request failed with status ${response.status}`,
+        "MPESA_REQUEST_FAILED"
+      );
+    }
+
+    return body;
+  };
+
+  const getAccessToken = async () => {
+    if (accessToken && Date.now() < tokenExpiresAt) return accessToken;
+
+    if (!consumerKey || !consumerSecret) {
+      throw new Error("M-Pesa consumer key and secret are not configured");
+    }
+
+    const credentials = Buffer.from(
+      `${consumerKey}:${consumerSecret}`
+    ).toString("base64");
+
+    const body = await request(
+      "/oauth/v1/generate?grant_type=client_credentials",
+      {
+        headers: { Authorization: `Basic ${credentials}` },
+      }
+    );
+
+    accessToken = body.access_token;
+    // Refresh a minute early so a token never expires mid-request
+    tokenExpiresAt = Date.now() + (Number(body.expires_in) - 60) * 1000;
+    return accessToken;
+  };
+
+  const post = async (path, payload) => {
+    const token = await getAccessToken();
+    return request(path, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+  };
+
+  return {
+    shortCode,
+
+    stkPush: async ({
+      phone,
+      amount,
+      accountReference,
+      description,
+      callbackUrl,
+    }) => {
+      const timestamp = darajaTimestamp();
+      const password = Buffer.from(
+        `${shortCode}${passkey}${timestamp}`
+      ).toString("base64");
+
+      return post("/mpesa/stkpush/v1/processrequest", {
+        BusinessShortCode: shortCode,
+        Password: password,
+        Timestamp: timestamp,
+        TransactionType: "CustomerPayBillOnline",
+        Amount: Math.ceil(amount),
+        PartyA: phone,
+        PartyB: shortCode,
+        PhoneNumber: phone,
+        CallBackURL: callbackUrl,
+        AccountReference: accountReference,
+        TransactionDesc: description,
+      });
+    },
+
+    registerC2BUrls: async ({ confirmationUrl, validationUrl }) =>
+      post("/mpesa/c2b/v1/registerurl", {
+        ShortCode: shortCode,
+        ResponseType: "Completed",
+        ConfirmationURL: confirmationUrl,
+        ValidationURL: validationUrl,
+      }),
+  };
+};
+
+let client = null;
+
+export const getMpesaClient = () => {
+  if (!client) client = createDarajaClient();
+  return client;
+};
+
+// Swap the Daraja client, e.g. for a stub in local testing
+export const setMpesaClient = (newClient) => {
+  client = newClient;
+};
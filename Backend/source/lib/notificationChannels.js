@@ -0,0 +1,124 @@
+import nodemailer from "nodemailer";
+import { normalizePhone } from "./mpesa.js";
+
+const AT_LIVE_URL = "https://api.africastalking.com";
+const AT_SANDBOX_URL = "https://api.sandbox.africastalking.com";
+
+// Every channel exposes send({ to, subject, body }) and resolves with the
+// provider's message id, or throws so the outbox can retry later
+
+// Email over SMTP
+export const createSmtpChannel = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT || 587),
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.MAIL_FROM || process.env.SMTP_USER,
+} = {}) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async ({ to, subject, body }) => {
+      const info = await transport.sendMail({ from, to, subject, text: body });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// SMS through Africa's Talking. AT_USERNAME "sandbox" uses their sandbox.
+export const createAfricasTalkingChannel = ({
+  username = process.env.AT_USERNAME,
+  apiKey = process.env.AT_API_KEY,
+  senderId = process.env.AT_SENDER_ID,
+  baseUrl = process.env.AT_BASE_URL ||
+    (username === "sandbox" ? AT_SANDBOX_URL : AT_LIVE_URL),
+} = {}) => ({
+  name: "africastalking",
+  send: async ({ to, body }) => {
+    const form = new URLSearchParams({
+      username,
+      to: `+${normalizePhone(to)}`,
+      message: body,
+    });
+    if (senderId) form.set("from", senderId);
+
+    const response = await fetch(`${baseUrl}/version1/messaging`, {
+      method: "POST",
+      headers: {
+        apiKey,
+        Accept: "application/json",
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: form,
+    });
+    const result = await response.json().catch(() => ({}));
+
+    const recipient = result.SMSMessageData?.Recipients?.[0];
+    if (!response.ok || recipient?.status !== "Success") {
+      throw new Error(
+        recipient?.status ||
+          result.SMSMessageData?.Message ||
+          `SMS request failed with status ${response.status}`
+      );
+    }
+
+    return { messageId: recipient.messageId };
+  },
+});
+
+// Local stand-in used until a provider is configured. It delivers nothing
+// and logs no recipients; messages are kept in `sent` only in test mode,
+// for tests to inspect.
+export const createStubChannel = (
+  name,
+  { record = process.env.NODE_ENV === "test" } = {}
+) => {
+  const sent = [];
+  let count = 0;
+
+  return {
+    name: `${name}-stub`,
+    sent,
+    send: async (message) => {
+      count += 1;
+      if (record) sent.push(message);
+      console.log(`[${name}] stub skipped: ${message.subject || "message"}`);
+      return { messageId: `stub-${Date.now()}-${count}` };
+    },
+  };
+};
+
+// Real providers are used only once they are configured
+const defaultChannels = {
+  email: () =>
+    process.env.EMAIL_CHANNEL !== "stub" && process.env.SMTP_HOST
+      ? createSmtpChannel()
+      : createStubChannel("email"),
+  sms: () =>
+    process.env.SMS_CHANNEL !== "stub" && process.env.AT_API_KEY
+      ? createAfricasTalkingChannel()
+      : createStubChannel("sms"),
+};
+
+const channels = {};
+
+export const getChannel = (name) => {
+  if (!channels[name]) {
+    if (!defaultChannels[name]) {
+      throw new Error(`Unknown notification channel: ${name}`);
+    }
+    channels[name] = defaultChannels[name]();
+  }
+  return channels[name];
+};
+
+// Swap a channel out, e.g. for another SMS provider
+export const setChannel = (name, channel) => {
+  channels[name] = channel;
+};
@@ -0,0 +1,111 @@
+import { hostelDetails } from "./pdf.js";
+
+const hostelName = () => hostelDetails().name;
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : "N/A";
+
+const formatAmount = (amount) =>
+  `KES ${Number(amount || 0).toLocaleString("en-KE")}`;
+
+// Each template turns event data into an email subject and body and a
+// short SMS text
+const templates = {
+  "booking-created": (data) => ({
+    subject: `Booking confirmed: room ${data.roomNumber}`,
+    body: `Hi ${data.name},
+
+Your booking at ${hostelName()} is confirmed.
+
+Room: ${data.roomNumber}, bed ${data.bed}
+Check-in: ${formatDate(data.checkInDate)}
+Check-out: ${formatDate(data.checkOutDate)}
+Total: ${formatAmount(data.totalAmount)}`,
+    sms: `${hostelName()}: booking confirmed for room ${data.roomNumber} bed ${
+      data.bed
+    } from ${formatDate(data.checkInDate)}. Total ${formatAmount(
+      data.totalAmount
+    )}.`,
+  }),
+
+  "payment-received": (data) => ({
+    subject: `Payment received: ${data.receiptNumber}`,
+    body: `Hi ${data.name},
+
+We have received your payment of ${formatAmount(data.amount)} (${data.method}).
+
+Receipt: ${data.receiptNumber}
+Balance: ${formatAmount(data.balance)}`,
+    sms: `${hostelName()}: payment of ${formatAmount(
+      data.amount
+    )} received, receipt ${data.receiptNumber}. Balance ${formatAmount(
+      data.balance
+    )}.`,
+  }),
+
+  "review-status": (data) => ({
+    subject: `Your review was ${data.status}`,
+    body: `Hi ${data.name},
+
+Your review "${data.title}" has been ${data.status}.${
+      data.adminReply
+        ? `\n\nReply from the management:\n${data.adminReply}`
+        : ""
+    }`,
+    sms: `${hostelName()}: your review "${data.title}" was ${data.status}.`,
+  }),
+
+  "room-assigned": (data) => ({
+    subject: `Room assigned: ${data.roomNumber}`,
+    body: `Hi ${data.name},
+
+You have been assigned room ${data.roomNumber}, bed ${data.bed}.`,
+    sms: `${hostelName()}: you have been assigned room ${
+      data.roomNumber
+    }, bed ${data.bed}.`,
+  }),
+
+  "email-verification": (data) => ({
+    subject: `Confirm your email for ${hostelName()}`,
+    body: `Hi ${data.name},
+
+Please confirm your email address by opening this link:
+${data.link}
+
+The link expires in ${data.expiresInMinutes} minutes.`,
+    sms: `${hostelName()}: confirm your email at ${data.link}`,
+  }),
+
+  "password-reset": (data) => ({
+    subject: `Reset your ${hostelName()} password`,
+    body: `Hi ${data.name},
+
+Someone asked to reset the password for your account. If it was you, open
+this link to choose a new password:
+${data.link}
+
+The link expires in ${data.expiresInMinutes} minutes and can be used once.
+If you did not ask for this you can ignore this email.`,
+    sms: `${hostelName()}: reset your password at ${data.link}`,
+  }),
+
+  "staff-invitation": (data) => ({
+    subject: `You have been invited to ${hostelName()}`,
+    body: `Hi ${data.name},
+
+${data.invitedBy} has invited you to join ${hostelName()} as ${data.role}.
+Open this link to set up your account:
+${data.link}
+
+The invitation expires on ${formatDate(data.expiresAt)}.`,
+    sms: `${hostelName()}: you have been invited as ${data.role}. ${data.link}`,
+  }),
+};
+
+export const TEMPLATE_NAMES = Object.keys(templates);
+
+export const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown notification template: ${name}`);
+  return template(data);
+};
@@ -0,0 +1,449 @@
+import { protect, admin, warden, security } from "../middleware/auth.js";
+import { checkObjectId } from "../middleware/validate.js";
+
+// Builds the OpenAPI 3 document served at /api/docs from the routers
+// themselves: paths and methods come from the Express route table, request
+// schemas from each route's validate() rules, auth from the middleware in
+// front of the handler and record schemas from the Mongoose models.
+//
+// What the code cannot tell (a summary and the shape of the response) comes
+// from the `docs` table each documented router exports, keyed by method and
+// path:
+//
+//   export const docs = {
+//     "GET /": { summary: "Get all rooms", list: "Room" },
+//     "GET /:id": { summary: "Get single room", data: "Room" },
+//     "POST /": { summary: "Create a room", status: 201, data: "Room" },
+//     "DELETE /:id": { summary: "Delete a room" },
+//   };
+//
+// `data` is a model name, [model name] for an unpaged list, or a schema;
+// `list` is a model name for a paged list (see lib/listQuery.js); `extra`
+// adds schemas for other top-level response properties; `pdf` marks a
+// download; `roles` lists the roles a handler checks for itself. A route
+// without an entry, or an entry without a route, stops the document from
+// being built.
+
+const OBJECT_ID = { type: "string", pattern: "^[a-f\\d]{24}$" };
+
+// Roles let through by the role middleware
+const ROLE_MIDDLEWARE = new Map([
+  [admin, ["admin"]],
+  [warden, ["admin", "warden"]],
+  [security, ["admin", "warden", "guard"]],
+]);
+
+const METHOD_ORDER = ["get", "post", "put", "patch", "delete"];
+
+// JSON Schema for a validate() rule
+const ruleToSchema = (rule) => {
+  const schema = {};
+
+  switch (rule.type) {
+    case "string":
+      schema.type = "string";
+      if (rule.min !== undefined) schema.minLength = rule.min;
+      if (rule.max !== undefined) schema.maxLength = rule.max;
+      if (rule.pattern) schema.pattern = rule.pattern.source;
+      if (rule.format) schema.format = rule.format;
+      break;
+    case "number":
+      schema.type = rule.integer ? "integer" : "number";
+      if (rule.min !== undefined) schema.minimum = rule.min;
+      if (rule.max !== undefined) schema.maximum = rule.max;
+      break;
+    case "boolean":
+      schema.type = "boolean";
+      break;
+    case "date":
+      schema.type = "string";
+      schema.format = "date-time";
+      break;
+    case "objectId":
+      Object.assign(schema, OBJECT_ID);
+      break;
+    case "array":
+      schema.type = "array";
+      schema.items = ruleToSchema(rule.items);
+      if (rule.min !== undefined) schema.minItems = rule.min;
+      if (rule.max !== undefined) schema.maxItems = rule.max;
+      break;
+    case "object":
+      if (rule.shape) return { ...shapeToSchema(rule.shape), ...extras(rule) };
+      schema.type = "object";
+      break;
+  }
+
+  return { ...schema, ...extras(rule) };
+};
+
+const extras = (rule) => ({
+  ...(rule.enum && { enum: rule.enum }),
+  ...(rule.default !== undefined &&
+    typeof rule.default !== "function" && { default: rule.default }),
+  ...(rule.nullable && { nullable: true }),
+});
+
+// Bodies refuse fields they do not declare, so the schema does too
+const shapeToSchema = (shape) => {
+  const required = Object.keys(shape).filter((key) => shape[key].required);
+
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      Object.entries(shape).map(([key, rule]) => [key, ruleToSchema(rule)])
+    ),
+    ...(required.length && { required }),
+    additionalProperties: false,
+  };
+};
+
+// JSON Schema for a Mongoose schema path
+const pathToSchema = (type) => {
+  let schema;
+
+  switch (type.instance) {
+    case "String":
+      schema = { type: "string" };
+      if (type.enumValues?.length) schema.enum = type.enumValues;
+      break;
+    case "Number": {
+      schema = { type: "number" };
+      const { min, max } = type.options;
+      // min/max may be given as [value, message]
+      if (min !== undefined) schema.minimum = [min].flat()[0];
+      if (max !== undefined) schema.maximum = [max].flat()[0];
+      break;
+    }
+    case "Date":
+      schema = { type: "string", format: "date-time" };
+      break;
+    case "Boolean":
+      schema = { type: "boolean" };
+      break;
+    case "ObjectId":
+      // References come back as an id or, when populated, the record
+      schema = type.options.ref
+        ? {
+            description: `${type.options.ref} id, or the ${type.options.ref} when populated`,
+          }
+        : { ...OBJECT_ID };
+      break;
+    case "Array":
+      schema = {
+        type: "array",
+        items: type.schema
+          ? modelSchema(type.schema)
+          : pathToSchema(type.caster),
+      };
+      break;
+    case "Embedded":
+      schema = modelSchema(type.schema);
+      break;
+    default:
+      schema = {};
+  }
+
+  const { default: defaultValue } = type.options;
+  if (defaultValue !== undefined && typeof defaultValue !== "function") {
+    schema.default = defaultValue;
+  }
+
+  return schema;
+};
+
+// Nested paths ("emergencyContact.name") become nested objects
+const modelSchema = (schema) => {
+  const root = { type: "object", properties: {} };
+
+  schema.eachPath((path, type) => {
+    if (path === "__v") return;
+
+    const parts = path.split(".");
+    let node = root;
+    for (const part of parts.slice(0, -1)) {
+      node.properties[part] ??= { type: "object", properties: {} };
+      node = node.properties[part];
+    }
+
+    const name = parts[parts.length - 1];
+    node.properties[name] =
+      path === "_id" ? { ...OBJECT_ID, readOnly: true } : pathToSchema(type);
+    if (type.isRequired) (node.required ??= []).push(name);
+  });
+
+  return root;
+};
+
+// Reference to the schema of a model listed in buildOpenApi()'s models
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: ref("Error") } },
+});
+
+const ERROR_RESPONSES = {
+  400: errorResponse("The request failed validation"),
+  401: errorResponse("Not signed in, or the token has expired"),
+  403: errorResponse("The signed-in user may not do this"),
+  404: errorResponse("The record was not found"),
+};
+
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    success: { type: "boolean", enum: [false] },
+    code: { type: "string", example: "ROOM_FULL" },
+    message: { type: "string" },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string" },
+          location: { type: "string", enum: ["params", "query", "body"] },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+  required: ["success", "code", "message"],
+};
+
+const dataSchema = (data) => {
+  if (typeof data === "string") return ref(data);
+  if (Array.isArray(data)) return { type: "array", items: dataSchema(data[0]) };
+  return data;
+};
+
+const successSchema = (doc) => {
+  const properties = {
+    success: { type: "boolean", enum: [true] },
+    message: { type: "string" },
+  };
+
+  if (doc.list) {
+    Object.assign(properties, {
+      count: { type: "integer" },
+      total: {
+        type: "integer",
+        description: "Left out when paging by cursor",
+      },
+      page: { type: "integer" },
+      pages: { type: "integer" },
+      nextCursor: {
+        type: "string",
+        nullable: true,
+        description: "Pass as ?cursor= for the next page",
+      },
+      data: { type: "array", items: ref(doc.list) },
+    });
+  } else if (doc.data) {
+    if (Array.isArray(doc.data)) properties.count = { type: "integer" };
+    properties.data = dataSchema(doc.data);
+  }
+
+  Object.assign(properties, doc.extra);
+
+  return { type: "object", properties, required: ["success"] };
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+// Roles allowed by the middleware in front of the handler, with "own" for
+// students limited to their own records
+const accessOf = (handlers) => {
+  let roles = null;
+
+  for (const handle of handlers) {
+    const allowed = ROLE_MIDDLEWARE.get(handle) ?? handle.policy?.roles;
+    if (allowed) roles = allowed;
+  }
+
+  return {
+    protected: handlers.includes(protect),
+    roles,
+  };
+};
+
+const describeRoles = (roles) =>
+  (Array.isArray(roles)
+    ? roles
+    : Object.entries(roles).map(([role, rule]) =>
+        rule === "own" ? `${role} (own records)` : role
+      )
+  ).join(", ");
+
+const operation = (router, route, method, tag, doc) => {
+  const handlers = route.stack
+    .filter((layer) => layer.method === method)
+    .map((layer) => layer.handle);
+  const schema = handlers.find((handle) => handle.schema)?.schema ?? {};
+  const access = accessOf(handlers);
+  access.roles ??= doc.roles ?? null;
+
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: schema.params?.[name]
+      ? ruleToSchema(schema.params[name])
+      : router.params[name]?.includes(checkObjectId)
+      ? { ...OBJECT_ID }
+      : { type: "string" },
+  }));
+
+  const queryParams = Object.entries(schema.query ?? {}).map(
+    ([name, rule]) => ({
+      name,
+      in: "query",
+      ...(rule.required && { required: true }),
+      schema: ruleToSchema(rule),
+      // Lists are sent comma-separated (?fields=name,price)
+      ...(rule.type === "array" && { style: "form", explode: false }),
+    })
+  );
+
+  const description = [
+    doc.description,
+    access.roles && `Roles: ${describeRoles(access.roles)}.`,
+  ].filter(Boolean);
+
+  const responses = {
+    [doc.status ?? 200]: doc.pdf
+      ? {
+          description: "PDF download",
+          content: {
+            "application/pdf": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        }
+      : {
+          description: doc.summary,
+          content: {
+            "application/json": { schema: successSchema(doc) },
+          },
+        },
+  };
+  if (schema.params || schema.query || schema.body || pathParams.length) {
+    responses[400] = ERROR_RESPONSES[400];
+  }
+  if (access.protected) responses[401] = ERROR_RESPONSES[401];
+  if (access.roles) responses[403] = ERROR_RESPONSES[403];
+  if (pathParams.length) responses[404] = ERROR_RESPONSES[404];
+
+  return {
+    tags: [tag],
+    summary: doc.summary,
+    ...(description.length && { description: description.join("\n\n") }),
+    ...(access.protected && { security: [{ bearerAuth: [] }] }),
+    ...((pathParams.length || queryParams.length) && {
+      parameters: [...pathParams, ...queryParams],
+    }),
+    ...(schema.body && {
+      requestBody: {
+        required: true,
+        content: { "application/json": { schema: shapeToSchema(schema.body) } },
+      },
+    }),
+    responses,
+  };
+};
+
+// routers: [{ prefix: "/api/rooms", tag: "Rooms", router, docs }]
+// models: the Mongoose models responses may refer to by name
+export const buildOpenApi = ({ info, routers, models }) => {
+  const byName = Object.fromEntries(
+    models.map((model) => [model.modelName, model])
+  );
+  const paths = {};
+  const problems = [];
+
+  for (const { prefix, tag, router, docs } of routers) {
+    const seen = new Set();
+
+    for (const layer of router.stack) {
+      const { route } = layer;
+      if (!route) continue;
+
+      for (const method of Object.keys(route.methods)) {
+        if (!METHOD_ORDER.includes(method)) continue;
+
+        const key = `${method.toUpperCase()} ${route.path}`;
+        seen.add(key);
+
+        const doc = docs[key];
+        if (!doc) {
+          problems.push(
+            `${method.toUpperCase()} ${prefix}${route.path} has no docs entry`
+          );
+          continue;
+        }
+
+        const path = toOpenApiPath(`${prefix}${route.path}`.replace(/\/$/, ""));
+        (paths[path] ??= {})[method] = operation(
+          router,
+          route,
+          method,
+          tag,
+          doc
+        );
+      }
+    }
+
+    for (const key of Object.keys(docs)) {
+      if (!seen.has(key)) {
+        problems.push(`docs entry "${key}" under ${prefix} has no route`);
+      }
+    }
+  }
+
+  // Only the models some response refers to become components
+  const used = new Set(
+    [...JSON.stringify(paths).matchAll(/#\/components\/schemas\/(\w+)/g)]
+      .map(([, name]) => name)
+      .filter((name) => name !== "Error")
+  );
+  for (const name of used) {
+    if (!byName[name])
+      problems.push(`Response refers to unknown model ${name}`);
+  }
+
+  if (problems.length) {
+    throw new Error(
+      `OpenAPI document is out of date:\n  ${problems.join("\n  ")}`
+    );
+  }
+
+  // Keep methods in a predictable order for readers of the raw document
+  for (const path of Object.keys(paths)) {
+    paths[path] = Object.fromEntries(
+      METHOD_ORDER.filter((method) => paths[path][method]).map((method) => [
+        method,
+        paths[path][method],
+      ])
+    );
+  }
+
+  return {
+    openapi: "3.0.3",
+    info,
+    tags: routers.map(({ tag }) => ({ name: tag })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+      schemas: {
+        Error: ERROR_SCHEMA,
+        ...Object.fromEntries(
+          [...used]
+            .sort()
+            .map((name) => [name, modelSchema(byName[name].schema)])
+        ),
+      },
+    },
+  };
+};
@@ -0,0 +1,178 @@
+import PDFDocument from "pdfkit";
+
+export const hostelDetails = () => ({
+  name: process.env.HOSTEL_NAME || "California Hostel Nyawita",
+  address: process.env.HOSTEL_ADDRESS || "Nyawita, Kisumu, Kenya",
+  phone: process.env.HOSTEL_PHONE || "",
+  email: process.env.HOSTEL_EMAIL || "",
+});
+
+const formatCurrency = (amount) =>
+  `KES ${Number(amount || 0).toLocaleString("en-KE", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-KE", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "";
+
+const writeHeader = (doc, title) => {
+  const hostel = hostelDetails();
+
+  doc
+    .fontSize(18)
+    .font("Helvetica-Bold")
+    .text(hostel.name, { align: "center" });
+  doc.fontSize(10).font("Helvetica").text(hostel.address, { align: "center" });
+
+  const contact = [hostel.phone, hostel.email].filter(Boolean).join("  |  ");
+  if (contact) doc.text(contact, { align: "center" });
+
+  doc.moveDown();
+  doc.fontSize(14).font("Helvetica-Bold").text(title, { align: "center" });
+  doc.moveDown();
+  doc.font("Helvetica").fontSize(10);
+};
+
+const writeRow = (doc, label, value) => {
+  const y = doc.y;
+  doc.font("Helvetica-Bold").text(label, 50, y, { width: 150 });
+  doc.font("Helvetica").text(String(value ?? ""), 200, y, { width: 345 });
+  doc.moveDown(0.3);
+};
+
+// Stream a payment receipt. Expects payment with booking (and its room),
+// student and receivedBy populated.
+export const buildReceiptPdf = (payment) => {
+  const doc = new PDFDocument({ size: "A5", margin: 50 });
+  const booking = payment.booking;
+
+  writeHeader(doc, "OFFICIAL RECEIPT");
+
+  writeRow(doc, "Receipt No:", payment.receiptNumber);
+  writeRow(doc, "Date:", formatDate(payment.createdAt));
+  writeRow(doc, "Received from:", payment.student?.name);
+  writeRow(doc, "Student ID:", payment.student?.studentId);
+  writeRow(doc, "Room:", booking?.room?.roomNumber || "N/A");
+  doc.moveDown(0.5);
+
+  writeRow(doc, "Amount:", formatCurrency(payment.amount));
+  writeRow(doc, "Method:", payment.method);
+  if (payment.reference) writeRow(doc, "Reference:", payment.reference);
+  doc.moveDown(0.5);
+
+  writeRow(doc, "Booking total:", formatCurrency(booking?.totalAmount));
+  if (booking?.chargesAmount > 0) {
+    writeRow(doc, "Other charges:", formatCurrency(booking.chargesAmount));
+  }
+  writeRow(doc, "Paid to date:", formatCurrency(booking?.paidAmount));
+  writeRow(doc, "Balance:", formatCurrency(booking?.balance));
+
+  if (payment.receivedBy?.name) {
+    doc.moveDown(0.5);
+    writeRow(doc, "Received by:", payment.receivedBy.name);
+  }
+
+  if (payment.status === "reversed") {
+    doc.moveDown();
+    doc
+      .fontSize(16)
+      .font("Helvetica-Bold")
+      .fillColor("red")
+      .text(`REVERSED ${formatDate(payment.reversal?.reversedAt)}`, 50, doc.y, {
+        align: "center",
+      })
+      .fillColor("black");
+  }
+
+  doc.end();
+  return doc;
+};
+
+// Stream a statement of account built by Student#getAccountStatement
+export const buildStatementPdf = ({ student, bookings, entries, totals }) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+
+  writeHeader(doc, "STATEMENT OF ACCOUNT");
+
+  writeRow(doc, "Student:", student.name);
+  writeRow(doc, "Student ID:", student.studentId);
+  writeRow(doc, "Email:", student.email);
+  if (student.phone) writeRow(doc, "Phone:", student.phone);
+  writeRow(doc, "Statement date:", formatDate(new Date()));
+  doc.moveDown();
+
+  doc.font("Helvetica-Bold").fontSize(12).text("Bookings", 50);
+  doc.font("Helvetica").fontSize(9);
+  bookings.forEach((booking) => {
+    doc.text(
+      `Room ${booking.room?.roomNumber || "N/A"}: ${formatDate(
+        booking.checkInDate
+      )} to ${formatDate(booking.checkOutDate)} (${
+        booking.status
+      }), total ${formatCurrency(booking.totalAmount)}`,
+      50
+    );
+  });
+  doc.moveDown();
+
+  const columns = [
+    { label: "Date", x: 50, width: 65 },
+    { label: "Description", x: 115, width: 165 },
+    { label: "Reference", x: 280, width: 70 },
+    { label: "Debit", x: 350, width: 65, align: "right" },
+    { label: "Credit", x: 415, width: 65, align: "right" },
+    { label: "Balance", x: 480, width: 65, align: "right" },
+  ];
+
+  const writeLine = (values, font = "Helvetica") => {
+    if (doc.y > doc.page.height - 80) doc.addPage();
+    const y = doc.y;
+    doc.font(font).fontSize(8);
+
+    // Wrapped descriptions make a row taller than one line
+    let rowHeight = 0;
+    columns.forEach((column, i) => {
+      const options = { width: column.width, align: column.align || "left" };
+      doc.text(values[i], column.x, y, options);
+      rowHeight = Math.max(rowHeight, doc.heightOfString(values[i], options));
+    });
+    doc.y = y + rowHeight + 4;
+  };
+
+  writeLine(
+    columns.map((column) => column.label),
+    "Helvetica-Bold"
+  );
+  entries.forEach((entry) => {
+    writeLine([
+      formatDate(entry.date),
+      entry.description,
+      entry.reference || "",
+      entry.debit ? formatCurrency(entry.debit) : "",
+      entry.credit ? formatCurrency(entry.credit) : "",
+      formatCurrency(entry.balance),
+    ]);
+  });
+
+  doc.moveDown();
+  writeRow(doc, "Total charged:", formatCurrency(totals.totalCharged));
+  writeRow(doc, "Total paid:", formatCurrency(totals.totalPaid));
+  writeRow(doc, "Closing balance:", formatCurrency(totals.balance));
+
+  doc.end();
+  return doc;
+};
+
+// Send a PDF document as a download
+export const sendPdf = (res, doc, filename) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  doc.pipe(res);
+};
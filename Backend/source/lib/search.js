@@ -0,0 +1,59 @@
+// Helpers for the front-desk search. Text indexes match whole words, so a
+// search for "Wanj" or "B1" finds nothing through them; prefix matches on
+// the identifiers people actually type make up the difference.
+
+export const escapeRegExp = (text) =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Quotes and a leading "-" mean phrase and negation to $text, which is not
+// what someone typing "CS-102" into a search box has in mind
+const toTextSearch = (q) => q.replace(/"/g, " ").replace(/(^|\s)-+/g, "$1");
+
+// Case-insensitive match on the start of a value, or of any word in it
+export const startsWith = (q, { anyWord = false } = {}) =>
+  new RegExp(`${anyWord ? "(^|\\s)" : "^"}${escapeRegExp(q)}`, "i");
+
+// Phone numbers are stored however they were typed (0712 345 678,
+// +254712345678...), so match on the last nine digits with anything between
+// them. Null when the search does not look like a phone number.
+export const phonePattern = (q) => {
+  if (!/^\+?[\d\s()-]+$/.test(q)) return null;
+
+  const digits = q.replace(/\D/g, "");
+  if (digits.length < 7) return null;
+
+  return new RegExp(`${digits.slice(-9).split("").join("\\D*")}$`);
+};
+
+// Search a model through its text index, best matches first, then top up
+// with records matching any of the `prefix` conditions. Text matches carry
+// their relevance as `score`. With `text: false` only the prefix conditions
+// are used, for callers who may not search every indexed field.
+export const textSearch = async (
+  model,
+  q,
+  { filter = {}, prefix = [], select, populate = [], limit, text = true }
+) => {
+  const find = (conditions) => {
+    const query = model.find({ ...filter, ...conditions });
+    if (select) query.select(select);
+    for (const path of populate) query.populate(...path);
+    return query.lean();
+  };
+
+  const hits = text
+    ? await find({ $text: { $search: toTextSearch(q) } })
+        .select({ score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" } })
+        .limit(limit)
+    : [];
+
+  if (hits.length >= limit || !prefix.length) return hits;
+
+  const more = await find({
+    _id: { $nin: hits.map((hit) => hit._id) },
+    $or: prefix,
+  }).limit(limit - hits.length);
+
+  return [...hits, ...more];
+};
@@ -0,0 +1,28 @@
+// Clock times in policies (curfew, visiting hours) are the hostel's local
+// time, whatever timezone the server itself runs in
+export const HOSTEL_TIMEZONE = process.env.HOSTEL_TIMEZONE || "Africa/Nairobi";
+
+// Minutes since local midnight at the hostel for a moment in time
+export const minutesIntoDay = (at, timeZone = HOSTEL_TIMEZONE) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(at)
+      .map(({ type, value }) => [type, value])
+  );
+  return Number(parts.hour) * 60 + Number(parts.minute);
+};
+
+// The moment an HH:MM clock time falls at the hostel on the same hostel day
+// as `date` (assumes no daylight-saving change within the day)
+export const atHostelTime = (date, time, timeZone = HOSTEL_TIMEZONE) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const at = new Date(date);
+  const startOfMinute = at.getTime() - (at.getTime() % 60000);
+  const offset = hours * 60 + minutes - minutesIntoDay(at, timeZone);
+  return new Date(startOfMinute + offset * 60000);
+};
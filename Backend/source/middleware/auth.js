@@ -1,5 +1,7 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import AuthSession from "../models/AuthSession.js";
+import { AuthenticationError, ForbiddenError } from "../lib/errors.js";
 
 export const protect = async (req, res, next) => {
   try {
@@ -13,15 +15,59 @@ export const protect = async (req, res, next) => {
     }
 
     if (!token) {
-      return res.status(401).json({ message: "Not authorized, no token" });
+      throw new AuthenticationError("Not authorized, no token", "NO_TOKEN");
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select("-password");
+
+    // Tokens are tied to a sign-in session that can be revoked
+    const session = decoded.sid && (await AuthSession.findById(decoded.sid));
+    if (!session?.isActive || !session.user.equals(decoded.id)) {
+      throw new AuthenticationError(
+        "Not authorized, session has ended",
+        "SESSION_ENDED"
+      );
+    }
+
+    const user = await User.findById(decoded.id).select("-password");
+    if (!user) {
+      throw new AuthenticationError("Not authorized, user not found");
+    }
+
+    if (!user.active) {
+      throw new AuthenticationError(
+        "Not authorized, account is deactivated",
+        "ACCOUNT_DEACTIVATED"
+      );
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      throw new AuthenticationError(
+        "Not authorized, please log in again",
+        "SESSION_ENDED"
+      );
+    }
+
+    req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
+    if (error instanceof AuthenticationError) return next(error);
+
+    // An expired access token is the client's cue to use its refresh token
+    if (error.name === "TokenExpiredError") {
+      return next(
+        new AuthenticationError(
+          "Not authorized, token expired",
+          "TOKEN_EXPIRED"
+        )
+      );
+    }
+
     console.error("Auth middleware error:", error);
-    res.status(401).json({ message: "Not authorized, token failed" });
+    next(
+      new AuthenticationError("Not authorized, token failed", "INVALID_TOKEN")
+    );
   }
 };
 
@@ -29,7 +75,7 @@ export const admin = (req, res, next) => {
   if (req.user && req.user.role === "admin") {
     next();
   } else {
-    res.status(403).json({ message: "Not authorized as admin" });
+    next(new ForbiddenError("Not authorized as admin"));
   }
 };
 
@@ -37,6 +83,14 @@ export const warden = (req, res, next) => {
   if (req.user && (req.user.role === "admin" || req.user.role === "warden")) {
     next();
   } else {
-    res.status(403).json({ message: "Not authorized as warden" });
+    next(new ForbiddenError("Not authorized as warden"));
+  }
+};
+
+export const security = (req, res, next) => {
+  if (req.user && ["admin", "warden", "guard"].includes(req.user.role)) {
+    next();
+  } else {
+    next(new ForbiddenError("Not authorized as security staff"));
   }
 };
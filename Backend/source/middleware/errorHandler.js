@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+import { AppError } from "../lib/errors.js";
+
+// Turn anything a route threw or passed to next() into an AppError, so the
+// response always has a stable code and nothing from Mongoose or the driver
+// leaks out as-is
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new AppError("Validation failed", {
+      code: "VALIDATION_FAILED",
+      status: 400,
+      details: Object.values(err.errors).map((e) => ({
+        field: e.path,
+        location: "body",
+        message:
+          e.kind === "required"
+            ? `${e.path} is required`
+            : `${e.path} is invalid`,
+      })),
+    });
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new AppError(`${err.path} is invalid`, {
+      code: err.kind === "ObjectId" ? "INVALID_ID" : "INVALID_VALUE",
+      status: 400,
+    });
+  }
+
+  if (err.code === 11000) {
+    const [key] = Object.keys(err.keyValue ?? {});
+    return new AppError(
+      key
+        ? `A record with this ${key} already exists`
+        : "Record already exists",
+      { code: "DUPLICATE", status: 409 }
+    );
+  }
+
+  // Errors raised by express.json() for malformed or oversized bodies
+  if (err.type === "entity.parse.failed") {
+    return new AppError("Request body is not valid JSON", {
+      code: "INVALID_JSON",
+      status: 400,
+    });
+  }
+  if (err.expose && err.status < 500) {
+    return new AppError(err.message, {
+      code: (err.type || "bad.request").toUpperCase().replace(/\W+/g, "_"),
+      status: err.status,
+    });
+  }
+
+  return null;
+};
+
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const error = toAppError(err);
+
+  if (!error) {
+    console.error(err.stack || err);
+    return res.status(500).json({
+      success: false,
+      code: "INTERNAL_ERROR",
+      message: "Something went wrong",
+    });
+  }
+
+  res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.details && { errors: error.details }),
+  });
+};
+
+export const notFound = (req, res) => {
+  res.status(404).json({
+    success: false,
+    code: "ROUTE_NOT_FOUND",
+    message: `Route not found: ${req.method} ${req.originalUrl}`,
+  });
+};
@@ -0,0 +1,103 @@
+import Student from "../models/Student.js";
+import Booking from "../models/Booking.js";
+import Review from "../models/Review.js";
+import { ForbiddenError, NotFoundError } from "../lib/errors.js";
+
+// Who may do what to each kind of record. A rule of true lets every user
+// with that role through; "own" only lets a student through for records
+// that belong to their own Student profile.
+const POLICIES = {
+  student: {
+    read: { admin: true, warden: true, student: "own" },
+    assignRoom: { admin: true, warden: true },
+    delete: { admin: true, warden: true },
+  },
+  booking: {
+    create: { admin: true, warden: true, student: "own" },
+    read: { admin: true, warden: true, student: "own" },
+    update: { admin: true, warden: true },
+    cancel: { admin: true, warden: true, student: "own" },
+    delete: { admin: true },
+  },
+  review: {
+    create: { student: "own" },
+    update: { student: "own" },
+    delete: { admin: true, student: "own" },
+    moderate: { admin: true },
+    listUnapproved: { admin: true, warden: true },
+  },
+};
+
+const MODELS = {
+  student: Student,
+  booking: Booking,
+  review: Review,
+};
+
+// The Student profile a record belongs to (populated or not)
+const ownerOf = (resource, record) => {
+  const owner = resource === "student" ? record : record.student;
+  return owner?._id ?? owner;
+};
+
+export const isStaff = (user) => ["admin", "warden"].includes(user?.role);
+
+// The signed-in student's own profile, looked up once per request
+export const currentStudent = async (req) => {
+  if (req.user?.role !== "student") return null;
+  if (req.student === undefined) {
+    req.student = await Student.findOne({ user: req.user._id });
+  }
+  return req.student;
+};
+
+// Whether the signed-in user may perform an action on a record. Without a
+// record it answers whether they may perform it on records of their own.
+export const can = async (req, resource, action, record = null) => {
+  const rule = POLICIES[resource]?.[action]?.[req.user?.role];
+  if (rule !== "own") return rule === true;
+
+  const student = await currentStudent(req);
+  if (!student) return false;
+  if (!record) return true;
+  return student._id.equals(ownerOf(resource, record));
+};
+
+// Query filter limiting a listing to the records the user may read
+export const scopeFilter = async (req, resource) => {
+  const rule = POLICIES[resource]?.read?.[req.user?.role];
+  if (rule === true) return {};
+
+  const student = await currentStudent(req);
+  const field = resource === "student" ? "_id" : "student";
+  return { [field]: rule === "own" && student ? student._id : null };
+};
+
+// Middleware that loads the record named in the URL, checks the policy and
+// leaves the record on req.record. Without a param it only checks that the
+// role may perform the action at all. The roles the rule allows stay on the
+// middleware for the OpenAPI document (lib/openapi.js).
+export const authorize = (resource, action, { param = "id" } = {}) => {
+  const middleware = async (req, res, next) => {
+    let record = null;
+
+    if (param && req.params[param] !== undefined) {
+      record = await MODELS[resource].findById(req.params[param]);
+      if (!record) {
+        throw new NotFoundError(
+          resource.charAt(0).toUpperCase() + resource.slice(1)
+        );
+      }
+    }
+
+    if (!(await can(req, resource, action, record))) {
+      throw new ForbiddenError(`Not authorized to ${action} this ${resource}`);
+    }
+
+    req.record = record;
+    next();
+  };
+
+  middleware.policy = { resource, action, roles: POLICIES[resource][action] };
+  return middleware;
+};
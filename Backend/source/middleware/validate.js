@@ -0,0 +1,268 @@
+// Declarative request validation. Each route lists the params, query and
+// body fields it accepts, built from the rules in `field`:
+//
+//   router.post(
+//     "/",
+//     validate({
+//       body: {
+//         roomNumber: field.string({ required: true }),
+//         price: field.number({ required: true, min: 0 }),
+//       },
+//     }),
+//     handler
+//   );
+//
+// Values are coerced to their declared type (query strings become numbers,
+// dates, booleans...) and fields that are not declared are refused.
+
+import { ValidationError } from "../lib/errors.js";
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+export const field = {
+  string: (options = {}) => ({ type: "string", ...options }),
+  number: (options = {}) => ({ type: "number", ...options }),
+  integer: (options = {}) => ({ type: "number", integer: true, ...options }),
+  boolean: (options = {}) => ({ type: "boolean", ...options }),
+  date: (options = {}) => ({ type: "date", ...options }),
+  id: (options = {}) => ({ type: "objectId", ...options }),
+  email: (options = {}) => ({
+    type: "string",
+    pattern: /^\S+@\S+\.\S+$/,
+    patternMessage: "must be a valid email address",
+    format: "email",
+    ...options,
+  }),
+  time: (options = {}) => ({
+    type: "string",
+    pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+    patternMessage: "must be a time in HH:MM format",
+    ...options,
+  }),
+  array: (items, options = {}) => ({ type: "array", items, ...options }),
+  object: (shape, options = {}) => ({ type: "object", shape, ...options }),
+  any: (options = {}) => ({ type: "any", ...options }),
+};
+
+// Same fields with nothing required, for partial updates
+export const optional = (shape) =>
+  Object.fromEntries(
+    Object.entries(shape).map(([key, { required, default: _, ...rule }]) => [
+      key,
+      rule,
+    ])
+  );
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const checkValue = (rule, value, path, location, errors) => {
+  const fail = (message) => {
+    errors.push({ field: path, location, message: `${path} ${message}` });
+  };
+
+  if (value === null && rule.nullable) return null;
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof value === "number" || typeof value === "boolean") {
+        value = String(value);
+      }
+      if (typeof value !== "string") return fail("must be a string");
+      if (rule.trim !== false) value = value.trim();
+      if (rule.lowercase) value = value.toLowerCase();
+      if (rule.uppercase) value = value.toUpperCase();
+
+      if (rule.required && value === "") return fail("is required");
+      if (rule.min !== undefined && value.length < rule.min) {
+        return fail(`must be at least ${rule.min} characters`);
+      }
+      if (rule.max !== undefined && value.length > rule.max) {
+        return fail(`must be at most ${rule.max} characters`);
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return fail(`must be one of: ${rule.enum.join(", ")}`);
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return fail(rule.patternMessage || "is not in the expected format");
+      }
+      return value;
+    }
+
+    case "number": {
+      const number =
+        typeof value === "string" && value.trim() !== ""
+          ? Number(value)
+          : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return fail("must be a number");
+      }
+      if (rule.integer && !Number.isInteger(number)) {
+        return fail("must be a whole number");
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return fail(`must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return fail(`must be at most ${rule.max}`);
+      }
+      if (rule.enum && !rule.enum.includes(number)) {
+        return fail(`must be one of: ${rule.enum.join(", ")}`);
+      }
+      return number;
+    }
+
+    case "boolean": {
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === "1") return true;
+      if (value === "false" || value === "0") return false;
+      return fail("must be true or false");
+    }
+
+    case "date": {
+      const date =
+        typeof value === "string" || typeof value === "number"
+          ? new Date(value)
+          : value;
+      if (!(date instanceof Date) || isNaN(date)) {
+        return fail("must be a valid date");
+      }
+      return date;
+    }
+
+    case "objectId": {
+      if (typeof value !== "string" || !OBJECT_ID.test(value)) {
+        return fail("must be a valid id");
+      }
+      return value;
+    }
+
+    case "array": {
+      // Query strings may list values as "a,b" or by repeating the key
+      if (location === "query" && typeof value === "string") {
+        value = value.split(",").filter(Boolean);
+      }
+      if (!Array.isArray(value)) return fail("must be a list");
+      if (rule.min !== undefined && value.length < rule.min) {
+        return fail(`must have at least ${rule.min} item(s)`);
+      }
+      if (rule.max !== undefined && value.length > rule.max) {
+        return fail(`must have at most ${rule.max} item(s)`);
+      }
+
+      const before = errors.length;
+      const items = value.map((item, index) =>
+        checkValue(rule.items, item, `${path}[${index}]`, location, errors)
+      );
+      return errors.length === before ? items : undefined;
+    }
+
+    case "object": {
+      if (!isPlainObject(value)) return fail("must be an object");
+      if (!rule.shape) return value;
+      return checkShape(rule.shape, value, path, location, errors);
+    }
+
+    default:
+      return value;
+  }
+};
+
+const checkShape = (shape, input, prefix, location, errors) => {
+  const output = {};
+
+  for (const key of Object.keys(input)) {
+    if (!Object.hasOwn(shape, key)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      errors.push({ field: path, location, message: `${path} is not allowed` });
+    }
+  }
+
+  for (const [key, rule] of Object.entries(shape)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = input[key];
+
+    // An empty query parameter counts as not given
+    if (value === undefined || (location === "query" && value === "")) {
+      if (rule.default !== undefined) {
+        output[key] =
+          typeof rule.default === "function" ? rule.default() : rule.default;
+      } else if (rule.required) {
+        errors.push({ field: path, location, message: `${path} is required` });
+      }
+      continue;
+    }
+
+    const checked = checkValue(rule, value, path, location, errors);
+    if (checked !== undefined) output[key] = checked;
+  }
+
+  return output;
+};
+
+// Middleware checking req.params, req.query and req.body against a schema
+// and replacing them with the coerced values. The schema stays on the
+// middleware for the OpenAPI document (lib/openapi.js).
+export const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const results = {};
+
+    for (const location of ["params", "query", "body"]) {
+      if (!schema[location]) continue;
+
+      const input = req[location] ?? {};
+      if (!isPlainObject(input)) {
+        errors.push({
+          field: location,
+          location,
+          message: `${location} must be an object`,
+        });
+        continue;
+      }
+
+      results[location] = checkShape(
+        schema[location],
+        input,
+        "",
+        location,
+        errors
+      );
+    }
+
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    if (results.params) Object.assign(req.params, results.params);
+    // req.query is a getter in Express 5, so shadow it on the request
+    if (results.query) {
+      Object.defineProperty(req, "query", {
+        value: results.query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    if (results.body) req.body = results.body;
+
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+// router.param handler refusing ids that are not ObjectIds, so a malformed
+// id is a 400 rather than a CastError further down
+export const checkObjectId = (req, res, next, value, name) => {
+  if (OBJECT_ID.test(value)) return next();
+
+  next(
+    new ValidationError([
+      {
+        field: name,
+        location: "params",
+        message: `${name} must be a valid id`,
+      },
+    ])
+  );
+};
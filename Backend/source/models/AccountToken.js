@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { BadRequestError } from "../lib/errors.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Single-use token mailed to a user; only its hash is stored
+const accountTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["password-reset", "email-verification"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a fresh token, replacing any unused one for the
+// same purpose
+accountTokenSchema.statics.issue = async function (user, purpose, ttlMinutes) {
+  await this.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await this.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+
+  return token;
+};
+
+// Static method to use up a token, returning the user id it was issued to
+accountTokenSchema.statics.consume = async function (token, purpose) {
+  const record = await this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!record)
+    throw new BadRequestError("Link is invalid or has expired", "INVALID_LINK");
+  return record.user;
+};
+
+export default mongoose.model("AccountToken", accountTokenSchema);
@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import { BadRequestError } from "../lib/errors.js";
+import Room from "./Room.js";
+import Student from "./Student.js";
+
+const announcementSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Who the notice is for: everyone, whole floors, rooms, or students
+    // with a given status
+    target: {
+      type: String,
+      enum: ["all", "floor", "rooms", "status"],
+      default: "all",
+    },
+    floors: [
+      {
+        type: Number,
+      },
+    ],
+    rooms: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Room",
+      },
+    ],
+    studentStatuses: [
+      {
+        type: String,
+        enum: ["active", "graduated", "left"],
+      },
+    ],
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    readBy: [
+      {
+        student: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Student",
+        },
+        readAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+announcementSchema.index({ pinned: -1, createdAt: -1 });
+announcementSchema.index({ expiresAt: 1 });
+
+announcementSchema.pre("validate", function (next) {
+  const targets = {
+    floor: this.floors,
+    rooms: this.rooms,
+    status: this.studentStatuses,
+  };
+  if (this.target !== "all" && !targets[this.target]?.length) {
+    return next(
+      new BadRequestError(
+        `Choose at least one ${this.target} to target`,
+        "MISSING_TARGET"
+      )
+    );
+  }
+  next();
+});
+
+// Static method to build the filter for notices a student should see now
+announcementSchema.statics.feedFilter = async function (student) {
+  const room = student.room
+    ? await Room.findById(student.room).select("floor")
+    : null;
+
+  const audience = [
+    { target: "all" },
+    { target: "status", studentStatuses: student.status },
+  ];
+  if (room) {
+    audience.push({ target: "floor", floors: room.floor });
+    audience.push({ target: "rooms", rooms: room._id });
+  }
+
+  return {
+    $and: [
+      { $or: audience },
+      {
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+      },
+    ],
+  };
+};
+
+// Students the notice is addressed to, for read receipts
+announcementSchema.methods.recipients = async function () {
+  const filter = {};
+
+  if (this.target === "status") {
+    filter.status = { $in: this.studentStatuses };
+  } else {
+    filter.status = "active";
+    if (this.target !== "all") {
+      const rooms =
+        this.target === "floor"
+          ? await Room.find({ floor: { $in: this.floors } }).select("_id")
+          : this.rooms.map((_id) => ({ _id }));
+      filter.room = { $in: rooms.map((room) => room._id) };
+    }
+  }
+
+  return Student.find(filter).select("name studentId room");
+};
+
+announcementSchema.methods.isReadBy = function (studentId) {
+  return this.readBy.some((receipt) => receipt.student.equals(studentId));
+};
+
+export default mongoose.model("Announcement", announcementSchema);
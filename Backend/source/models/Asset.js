@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+// Conditions from best to worst; moving right means something got worse
+export const ASSET_CONDITIONS = ["good", "fair", "poor", "damaged", "missing"];
+
+export const ASSET_ITEMS = [
+  "bed",
+  "mattress",
+  "desk",
+  "chair",
+  "locker",
+  "wardrobe",
+  "shelf",
+  "other",
+];
+
+const assetSchema = new mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true,
+    },
+    // Bed label, for items that belong to one bed space
+    bed: {
+      type: String,
+      trim: true,
+    },
+    item: {
+      type: String,
+      enum: ASSET_ITEMS,
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Serial number or asset tag stuck on the item
+    tag: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    condition: {
+      type: String,
+      enum: ASSET_CONDITIONS,
+      default: "good",
+    },
+    // Default damage charge when the item is lost or wrecked
+    replacementCost: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    lastInspectedAt: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+assetSchema.index({ room: 1, item: 1 });
+
+// Static method to tell whether a condition is worse than another
+assetSchema.statics.isWorse = function (condition, than) {
+  return ASSET_CONDITIONS.indexOf(condition) > ASSET_CONDITIONS.indexOf(than);
+};
+
+export default mongoose.model("Asset", assetSchema);
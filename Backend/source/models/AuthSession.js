@@ -0,0 +1,146 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { AuthenticationError } from "../lib/errors.js";
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// One signed-in device. Only a hash of its current refresh token is kept.
+const authSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB drop sessions once they can no longer be refreshed
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authSessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Refresh tokens are "<session id>.<secret>" so the session can be found
+// without storing the secret itself
+const newSecret = () => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  return {
+    secret,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  };
+};
+
+// Static method to open a session for a user who has just signed in
+authSessionSchema.statics.issue = async function (user, { userAgent, ip }) {
+  const { secret, tokenHash, expiresAt } = newSecret();
+  const session = await this.create({
+    user: user._id,
+    userAgent,
+    ip,
+    tokenHash,
+    expiresAt,
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Static method to swap a refresh token for a new one. The swap only
+// happens if the token is still the current one, so of two refreshes racing
+// with the same token only one wins. Presenting a token that has already
+// been swapped means it was copied, so the whole session is revoked.
+authSessionSchema.statics.rotate = async function (refreshToken) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw new AuthenticationError(
+      "Invalid refresh token",
+      "INVALID_REFRESH_TOKEN"
+    );
+  }
+
+  const now = new Date();
+  const next = newSecret();
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: hashToken(secret),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        tokenHash: next.tokenHash,
+        expiresAt: next.expiresAt,
+        lastUsedAt: now,
+      },
+    },
+    { new: true }
+  );
+  if (session) {
+    return { session, refreshToken: `${session._id}.${next.secret}` };
+  }
+
+  const existing = await this.findById(sessionId);
+  if (!existing || !existing.isActive) {
+    throw new AuthenticationError(
+      "Session has expired or been revoked",
+      "SESSION_ENDED"
+    );
+  }
+
+  await existing.revoke("refresh token reused");
+  throw new AuthenticationError(
+    "Refresh token has already been used",
+    "REFRESH_TOKEN_REUSED"
+  );
+};
+
+// Static method to sign a user out everywhere
+authSessionSchema.statics.revokeAll = async function (userId, reason) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+authSessionSchema.methods.revoke = async function (reason) {
+  if (this.revokedAt) return this;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+export default mongoose.model("AuthSession", authSessionSchema);
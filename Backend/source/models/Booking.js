@@ -1,4 +1,9 @@
 import mongoose from "mongoose";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../lib/errors.js";
 
 const bookingSchema = new mongoose.Schema(
   {
@@ -12,6 +17,10 @@ const bookingSchema = new mongoose.Schema(
       ref: "Room",
       required: true,
     },
+    // Label of the bed held in the room (e.g. "A")
+    bed: {
+      type: String,
+    },
     checkInDate: {
       type: Date,
       required: true,
@@ -32,15 +41,486 @@ const bookingSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Confirmed extra charges (e.g. damage) owed on top of the rent
+    chargesAmount: {
+      type: Number,
+      default: 0,
+    },
     status: {
       type: String,
-      enum: ["confirmed", "checked-in", "checked-out", "cancelled"],
+      enum: ["confirmed", "checked-in", "checked-out", "cancelled", "no-show"],
       default: "confirmed",
     },
+    history: [
+      {
+        from: {
+          type: String,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        note: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+    // Room checklists taken when the student moves in and out
+    inspections: [
+      {
+        type: {
+          type: String,
+          enum: ["check-in", "check-out"],
+          required: true,
+        },
+        items: [
+          {
+            asset: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Asset",
+              required: true,
+            },
+            tag: {
+              type: String,
+            },
+            item: {
+              type: String,
+            },
+            previousCondition: {
+              type: String,
+            },
+            condition: {
+              type: String,
+              required: true,
+            },
+            // Proposed damage charge for this item, if any
+            charge: {
+              type: Number,
+              min: 0,
+            },
+            notes: {
+              type: String,
+              trim: true,
+            },
+          },
+        ],
+        notes: {
+          type: String,
+          trim: true,
+        },
+        inspectedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
+// Front-desk search over the notes staff leave on status changes and
+// inspections (see routes/search.js)
+bookingSchema.index(
+  {
+    "history.note": "text",
+    "inspections.notes": "text",
+    "inspections.items.notes": "text",
+  },
+  { name: "search" }
+);
+
+// Virtual for the amount still owed on the booking
+bookingSchema.virtual("balance").get(function () {
+  return Math.max(
+    0,
+    this.totalAmount + (this.chargesAmount || 0) - this.paidAmount
+  );
+});
+
+// Bookings in these states hold a bed for their date range
+export const ACTIVE_BOOKING_STATUSES = ["confirmed", "checked-in"];
+
+// Bookings in these states are void and owe nothing
+export const VOID_BOOKING_STATUSES = ["cancelled", "no-show"];
+
+// Allowed status moves; anything not listed is rejected
+export const BOOKING_TRANSITIONS = {
+  confirmed: ["checked-in", "cancelled", "no-show"],
+  "checked-in": ["checked-out"],
+  "checked-out": [],
+  cancelled: [],
+  "no-show": [],
+};
+
+// Static method to build a filter for active bookings overlapping a window
+bookingSchema.statics.overlapFilter = function (checkInDate, checkOutDate) {
+  return {
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    checkInDate: { $lt: new Date(checkOutDate) },
+    checkOutDate: { $gt: new Date(checkInDate) },
+  };
+};
+
+// Static method to find the most beds taken at any one time in each room
+// during a window. A booking that ends on the day another starts does not
+// clash with it. `exclude` leaves out a booking that is being re-dated, and
+// `ignoreBeds` ([{ room, bed }]) the bookings on beds counted some other way.
+bookingSchema.statics.bedsTakenByRoom = async function (
+  checkInDate,
+  checkOutDate,
+  { rooms, exclude, ignoreBeds = [], session = null } = {}
+) {
+  const filter = this.overlapFilter(checkInDate, checkOutDate);
+  if (rooms) filter.room = { $in: rooms };
+  if (exclude) filter._id = { $ne: exclude };
+  if (ignoreBeds.length) filter.$nor = ignoreBeds;
+
+  const bookings = await this.find(filter)
+    .select("room checkInDate checkOutDate")
+    .session(session);
+
+  const eventsByRoom = {};
+  bookings.forEach((booking) => {
+    const roomId = booking.room.toString();
+    if (!eventsByRoom[roomId]) eventsByRoom[roomId] = [];
+    eventsByRoom[roomId].push(
+      { at: booking.checkInDate.getTime(), change: 1 },
+      { at: booking.checkOutDate.getTime(), change: -1 }
+    );
+  });
+
+  const taken = {};
+  Object.entries(eventsByRoom).forEach(([roomId, events]) => {
+    events.sort((a, b) => a.at - b.at || a.change - b.change);
+
+    let current = 0;
+    let peak = 0;
+    events.forEach((event) => {
+      current += event.change;
+      peak = Math.max(peak, current);
+    });
+    taken[roomId] = peak;
+  });
+
+  return taken;
+};
+
+// Static method to pick a bed in a room that is free for a whole window.
+// Beds on hold for another student are skipped; a bed held for this
+// student is picked first.
+bookingSchema.statics.freeBedLabel = async function (
+  room,
+  checkInDate,
+  checkOutDate,
+  { label, student, exclude, session = null } = {}
+) {
+  const overlapping = await this.find({
+    ...this.overlapFilter(checkInDate, checkOutDate),
+    room: room._id,
+    ...(exclude && { _id: { $ne: exclude } }),
+  })
+    .select("bed")
+    .session(session);
+
+  const booked = new Set(overlapping.map((booking) => booking.bed));
+
+  // Beds assigned outside a booking have no known end date
+  const freeBeds = room.beds
+    .filter(
+      (bed) =>
+        bed.status !== "maintenance" &&
+        !booked.has(bed.label) &&
+        !(bed.status === "occupied" && !bed.booking) &&
+        !bed.isHeldAgainst(student)
+    )
+    .sort((a, b) => Number(!!b.heldFor) - Number(!!a.heldFor));
+
+  if (label) {
+    if (!room.beds.some((bed) => bed.label === label)) {
+      throw new NotFoundError("Bed", `Bed ${label} not found`);
+    }
+    if (!freeBeds.some((bed) => bed.label === label)) {
+      throw new ConflictError(
+        `Bed ${label} is not free for the selected dates`,
+        "BED_TAKEN"
+      );
+    }
+    return label;
+  }
+
+  if (freeBeds.length === 0) {
+    throw new ConflictError(
+      "Room is already at full capacity for the selected dates",
+      "ROOM_FULL"
+    );
+  }
+
+  return freeBeds[0].label;
+};
+
+// Move the booking to a new status and record who did it
+bookingSchema.methods.transitionTo = function (status, { by, note } = {}) {
+  const allowed = BOOKING_TRANSITIONS[this.status] || [];
+  if (!allowed.includes(status)) {
+    throw new ConflictError(
+      `Cannot move a ${this.status} booking to ${status}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  this.history.push({ from: this.status, to: status, by, note });
+  this.status = status;
+};
+
+// Free the bed this booking holds and clear the student's room
+const vacate = async (booking, session) => {
+  const Room = mongoose.model("Room");
+  const Student = mongoose.model("Student");
+
+  const room = await Room.findById(booking.room).session(session);
+  if (room) {
+    const released =
+      room.releaseBed({ booking: booking._id }) ||
+      room.releaseBed({ student: booking.student });
+    if (released) await room.save({ session });
+  }
+
+  const student = await Student.findById(booking.student).session(session);
+  if (student?.room?.equals(booking.room)) {
+    student.room = undefined;
+    await student.save({ session });
+  }
+};
+
+bookingSchema.methods.vacate = function (session) {
+  return vacate(this, session);
+};
+
+// Offer the bed a booking gave up to the next student on the waitlist
+const offerToWaitlist = async (booking, session) => {
+  await mongoose.model("WaitlistEntry").offerFreedBed(booking.room, session);
+};
+
+// Record a room checklist against the booking. Items left off the list are
+// taken to be in the condition the register already has for them.
+bookingSchema.methods.recordInspection = async function (
+  type,
+  { items = [], notes } = {},
+  { by } = {},
+  session = null
+) {
+  const Asset = mongoose.model("Asset");
+
+  if (this.inspections.some((inspection) => inspection.type === type)) {
+    throw new ConflictError(
+      `A ${type} inspection has already been recorded`,
+      "INSPECTION_EXISTS"
+    );
+  }
+
+  const assets = await Asset.find({ room: this.room }).session(session);
+  const now = new Date();
+
+  const rows = items.map((row) => {
+    const asset = assets.find(
+      (a) =>
+        (row.asset && a._id.toString() === row.asset.toString()) ||
+        (row.tag && a.tag === row.tag.toUpperCase())
+    );
+    if (!asset) {
+      throw new BadRequestError(
+        `Asset ${row.tag || row.asset} is not registered to this room`,
+        "ASSET_NOT_IN_ROOM"
+      );
+    }
+    return { asset, row };
+  });
+
+  const inspectionItems = assets.map((asset) => {
+    const { row = {} } = rows.find((r) => r.asset === asset) || {};
+    const previousCondition = asset.condition;
+
+    asset.condition = row.condition || previousCondition;
+    asset.lastInspectedAt = now;
+
+    return {
+      asset: asset._id,
+      tag: asset.tag,
+      item: asset.item,
+      previousCondition,
+      condition: asset.condition,
+      charge: row.charge,
+      notes: row.notes,
+    };
+  });
+
+  for (const asset of assets) {
+    await asset.save({ session });
+  }
+
+  this.inspections.push({
+    type,
+    items: inspectionItems,
+    notes,
+    inspectedBy: by,
+    at: now,
+  });
+};
+
+// Check the student in: occupy the booked bed and set Student.room
+bookingSchema.methods.checkIn = async function (
+  { by, note, inspection } = {},
+  session
+) {
+  const Room = mongoose.model("Room");
+  const Student = mongoose.model("Student");
+
+  const endOfToday = new Date();
+  endOfToday.setHours(23, 59, 59, 999);
+  if (this.checkInDate > endOfToday) {
+    throw new BadRequestError(
+      "Cannot check in before the booked check-in date",
+      "CHECK_IN_TOO_EARLY"
+    );
+  }
+
+  this.transitionTo("checked-in", { by, note });
+
+  const room = await Room.findById(this.room).session(session);
+  if (!room) throw new NotFoundError("Room");
+
+  const student = await Student.findById(this.student).session(session);
+  if (!student) throw new NotFoundError("Student");
+
+  // Release any bed the student was assigned elsewhere
+  if (student.room && !student.room.equals(room._id)) {
+    const previousRoom = await Room.findById(student.room).session(session);
+    if (previousRoom?.releaseBed({ student: student._id })) {
+      await previousRoom.save({ session });
+    }
+  } else if (student.room) {
+    room.releaseBed({ student: student._id });
+  }
+
+  // Fall back to any free bed if the booked one is unavailable
+  const booked = room.beds.find((bed) => bed.label === this.bed);
+  const bed = room.allocateBed({
+    student: student._id,
+    booking: this._id,
+    label: booked?.status === "available" ? this.bed : undefined,
+  });
+  this.bed = bed.label;
+  await room.save({ session });
+
+  student.room = room._id;
+  await student.save({ session });
+
+  await this.recordInspection("check-in", inspection, { by }, session);
+
+  await this.save({ session });
+  return this;
+};
+
+// Check the student out: release the bed, clear Student.room and raise
+// damage charges for anything that came back worse than it was handed over
+bookingSchema.methods.checkOut = async function (
+  { by, note, inspection } = {},
+  session
+) {
+  this.transitionTo("checked-out", { by, note });
+  await vacate(this, session);
+  await this.recordInspection("check-out", inspection, { by }, session);
+  await this.save({ session });
+  await mongoose
+    .model("DamageCharge")
+    .raiseFromInspection(this, { by }, session);
+  await offerToWaitlist(this, session);
+  return this;
+};
+
+// Cancel a booking that has not started, void its invoices and apply the
+// cancellation policy to what was paid
+bookingSchema.methods.cancel = async function ({ by, note } = {}, session) {
+  this.transitionTo("cancelled", { by, note });
+  await vacate(this, session);
+  await mongoose.model("Invoice").voidForBooking(this._id, session);
+  await mongoose.model("Refund").createForBooking(this, { by }, session);
+  await this.save({ session });
+  await offerToWaitlist(this, session);
+  return this;
+};
+
+// Mark a confirmed booking whose student never arrived
+bookingSchema.methods.markNoShow = async function ({ by, note } = {}, session) {
+  this.transitionTo("no-show", { by, note });
+  await vacate(this, session);
+  await mongoose.model("Invoice").voidForBooking(this._id, session);
+  await mongoose.model("Refund").createForBooking(this, { by }, session);
+  await this.save({ session });
+  await offerToWaitlist(this, session);
+  return this;
+};
+
+// Static method to mark every confirmed booking that is past its check-in
+// date by more than the grace period as a no-show
+bookingSchema.statics.markNoShows = async function ({
+  graceDays = Number(process.env.NO_SHOW_GRACE_DAYS || 3),
+  by,
+} = {}) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - graceDays);
+
+  const bookings = await this.find({
+    status: "confirmed",
+    checkInDate: { $lt: cutoff },
+  });
+
+  const marked = [];
+  for (const booking of bookings) {
+    const session = await mongoose.startSession();
+    try {
+      let due = false;
+      await session.withTransaction(async () => {
+        // Reload inside the transaction so a retry starts from fresh state;
+        // the booking may have been deleted or checked in since the sweep
+        // started
+        const current = await this.findById(booking._id).session(session);
+        due = current?.status === "confirmed";
+        if (!due) return;
+        await current.markNoShow(
+          {
+            by,
+            note: `Not checked in within ${graceDays} day(s) of check-in date`,
+          },
+          session
+        );
+      });
+      if (due) marked.push(booking._id);
+    } catch (error) {
+      console.error(`No-show for booking ${booking._id} failed:`, error);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return marked;
+};
+
 export default mongoose.model("Booking", bookingSchema);
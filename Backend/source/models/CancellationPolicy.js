@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+import { BadRequestError } from "../lib/errors.js";
+import { countMonths } from "../lib/billingMonths.js";
+
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    // Only one policy is in force; it is stored under this key
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    // Cancelling at least this many days before check-in refunds everything
+    fullRefundDays: {
+      type: Number,
+      default: 30,
+      min: 0,
+    },
+    // Cancelling with less notice than this also forfeits the deposit
+    noticeDays: {
+      type: Number,
+      default: 7,
+      min: 0,
+    },
+    // Share of the amount paid refunded between the two cut-offs
+    partialRefundPercent: {
+      type: Number,
+      default: 50,
+      min: 0,
+      max: 100,
+    },
+    // Deposit size in months of rent
+    depositMonths: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cancellationPolicySchema.pre("validate", function (next) {
+  if (this.noticeDays > this.fullRefundDays) {
+    return next(
+      new BadRequestError(
+        "Notice period cannot be longer than the full refund period",
+        "INVALID_REFUND_WINDOWS"
+      )
+    );
+  }
+  next();
+});
+
+// Static method to get the policy in force (created with defaults if missing)
+cancellationPolicySchema.statics.current = async function (session = null) {
+  const policy = await this.findOne({ key: "default" }).session(session);
+  if (policy) return policy;
+
+  const created = await this.create([{ key: "default" }], { session });
+  return created[0];
+};
+
+// Work out what a booking cancelled at a given time gets back
+cancellationPolicySchema.methods.evaluate = function (
+  booking,
+  at = new Date()
+) {
+  const dayMs = 1000 * 60 * 60 * 24;
+  const daysNotice = Math.floor((new Date(booking.checkInDate) - at) / dayMs);
+  const amountPaid = booking.paidAmount || 0;
+
+  let rule;
+  let refundAmount;
+
+  if (daysNotice >= this.fullRefundDays) {
+    rule = "full-refund";
+    refundAmount = amountPaid;
+  } else if (daysNotice >= this.noticeDays) {
+    rule = "partial-refund";
+    refundAmount = Math.round(amountPaid * this.partialRefundPercent) / 100;
+  } else {
+    rule = "deposit-forfeited";
+    const monthlyRent =
+      booking.totalAmount /
+      countMonths(booking.checkInDate, booking.checkOutDate);
+    const deposit = Math.round(monthlyRent * this.depositMonths);
+    // The deposit is kept and the rest is refunded at the partial rate, so
+    // less notice never refunds more
+    refundAmount =
+      Math.round(
+        Math.max(0, amountPaid - deposit) * this.partialRefundPercent
+      ) / 100;
+  }
+
+  return {
+    rule,
+    daysNotice,
+    amountPaid,
+    refundAmount,
+    forfeitedAmount: amountPaid - refundAmount,
+  };
+};
+
+export default mongoose.model("CancellationPolicy", cancellationPolicySchema);
@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+import { BadRequestError } from "../lib/errors.js";
+import { minutesIntoDay } from "../lib/timezone.js";
+
+const timeOfDay = {
+  type: String,
+  match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Use 24-hour HH:MM time"],
+};
+
+const curfewPolicySchema = new mongoose.Schema(
+  {
+    // Only one policy is in force; it is stored under this key
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    // Residents must be in by this time...
+    curfewTime: {
+      ...timeOfDay,
+      default: "22:00",
+    },
+    // ...and coming in before this time the next morning is still late
+    curfewEndTime: {
+      ...timeOfDay,
+      default: "05:00",
+    },
+    // Violations within the window that mark a repeat offender
+    repeatThreshold: {
+      type: Number,
+      default: 3,
+      min: 1,
+    },
+    repeatWindowDays: {
+      type: Number,
+      default: 30,
+      min: 1,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+curfewPolicySchema.pre("validate", function (next) {
+  if (this.curfewTime === this.curfewEndTime) {
+    return next(
+      new BadRequestError(
+        "Curfew must start and end at different times",
+        "INVALID_CURFEW_HOURS"
+      )
+    );
+  }
+  next();
+});
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Static method to get the policy in force (created with defaults if missing)
+curfewPolicySchema.statics.current = async function (session = null) {
+  const policy = await this.findOne({ key: "default" }).session(session);
+  if (policy) return policy;
+
+  const created = await this.create([{ key: "default" }], { session });
+  return created[0];
+};
+
+// Whether a time falls inside the curfew (which usually runs past
+// midnight), read on the hostel's clock
+curfewPolicySchema.methods.isAfterCurfew = function (at = new Date()) {
+  const minutes = minutesIntoDay(at);
+  const start = minutesOf(this.curfewTime);
+  const end = minutesOf(this.curfewEndTime);
+
+  return start > end
+    ? minutes >= start || minutes < end
+    : minutes >= start && minutes < end;
+};
+
+export default mongoose.model("CurfewPolicy", curfewPolicySchema);
@@ -0,0 +1,174 @@
+import mongoose from "mongoose";
+import Asset from "./Asset.js";
+import Booking from "./Booking.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../lib/errors.js";
+
+const damageChargeSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true,
+    },
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Asset",
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    conditionBefore: {
+      type: String,
+    },
+    conditionAfter: {
+      type: String,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Only confirmed charges are added to what the student owes
+    status: {
+      type: String,
+      enum: ["pending", "confirmed", "waived"],
+      default: "pending",
+    },
+    raisedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+damageChargeSchema.index({ booking: 1, asset: 1 }, { unique: true });
+damageChargeSchema.index({ status: 1, createdAt: -1 });
+damageChargeSchema.index({ student: 1 });
+
+// Static method to raise a pending charge for every item that came back in
+// worse condition than it was handed over in
+damageChargeSchema.statics.raiseFromInspection = async function (
+  booking,
+  { by } = {},
+  session = null
+) {
+  const checkInInspection = booking.inspections.find(
+    (inspection) => inspection.type === "check-in"
+  );
+  const checkOutInspection = booking.inspections.find(
+    (inspection) => inspection.type === "check-out"
+  );
+  if (!checkOutInspection) return [];
+
+  const charges = [];
+  for (const row of checkOutInspection.items) {
+    const handedOver = checkInInspection?.items.find((item) =>
+      item.asset.equals(row.asset)
+    );
+    const before = handedOver?.condition || row.previousCondition;
+    if (!Asset.isWorse(row.condition, before)) continue;
+
+    const asset = await Asset.findById(row.asset).session(session);
+    const amount =
+      row.charge ?? (row.condition === "missing" ? asset?.replacementCost : 0);
+
+    charges.push({
+      booking: booking._id,
+      student: booking.student,
+      room: booking.room,
+      asset: row.asset,
+      description: `${row.item} ${row.tag} ${before} -> ${row.condition}${
+        row.notes ? `: ${row.notes}` : ""
+      }`,
+      conditionBefore: before,
+      conditionAfter: row.condition,
+      amount: amount || 0,
+      raisedBy: by,
+    });
+  }
+
+  if (charges.length === 0) return [];
+  return this.insertMany(charges, { session });
+};
+
+// Confirm the charge (optionally at a different amount) and add it to the
+// booking's balance
+damageChargeSchema.methods.confirm = async function (
+  { by, amount, note } = {},
+  session = null
+) {
+  if (this.status !== "pending") {
+    throw new ConflictError(
+      `Damage charge is already ${this.status}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  if (amount !== undefined) this.amount = Number(amount);
+  if (!(this.amount > 0)) {
+    throw new BadRequestError(
+      "A charge amount is required to confirm",
+      "AMOUNT_REQUIRED"
+    );
+  }
+
+  const booking = await Booking.findById(this.booking).session(session);
+  if (!booking) throw new NotFoundError("Booking");
+
+  booking.chargesAmount = (booking.chargesAmount || 0) + this.amount;
+  await booking.save({ session });
+
+  this.status = "confirmed";
+  this.reviewedBy = by;
+  this.reviewedAt = new Date();
+  this.reviewNote = note;
+  return this.save({ session });
+};
+
+// Waive the charge so the student is not billed for it
+damageChargeSchema.methods.waive = async function ({ by, note } = {}) {
+  if (this.status !== "pending") {
+    throw new ConflictError(
+      `Damage charge is already ${this.status}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  this.status = "waived";
+  this.reviewedBy = by;
+  this.reviewedAt = new Date();
+  this.reviewNote = note;
+  return this.save();
+};
+
+export default mongoose.model("DamageCharge", damageChargeSchema);
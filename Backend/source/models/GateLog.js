@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import Student from "./Student.js";
+import CurfewPolicy from "./CurfewPolicy.js";
+
+const gateLogSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ["in", "out"],
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    method: {
+      type: String,
+      enum: ["manual", "qr"],
+      default: "manual",
+    },
+    curfewViolation: {
+      type: Boolean,
+      default: false,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+gateLogSchema.index({ student: 1, at: -1 });
+gateLogSchema.index({ curfewViolation: 1, at: -1 });
+
+// Static method to log a resident passing the gate. Without a direction the
+// opposite of the student's last movement is assumed, as a scanner would.
+gateLogSchema.statics.record = async function ({
+  student,
+  direction,
+  method,
+  by,
+  note,
+}) {
+  if (!direction) {
+    const last = await this.findOne({ student: student._id }).sort({ at: -1 });
+    direction = last?.direction === "out" ? "in" : "out";
+  }
+
+  const policy = await CurfewPolicy.current();
+  const at = new Date();
+  const curfewViolation = direction === "in" && policy.isAfterCurfew(at);
+
+  const log = await this.create({
+    student: student._id,
+    direction,
+    at,
+    method,
+    curfewViolation,
+    recordedBy: by,
+    note,
+  });
+
+  if (curfewViolation) {
+    await Student.updateOne(
+      { _id: student._id },
+      {
+        $inc: { "curfewViolations.count": 1 },
+        $set: { "curfewViolations.lastAt": at },
+      }
+    );
+  }
+
+  return log;
+};
+
+// Static method to list students with at least the policy's number of
+// violations inside its window
+gateLogSchema.statics.repeatOffenders = async function () {
+  const policy = await CurfewPolicy.current();
+  const since = new Date();
+  since.setDate(since.getDate() - policy.repeatWindowDays);
+
+  const rows = await this.aggregate([
+    { $match: { curfewViolation: true, at: { $gte: since } } },
+    {
+      $group: {
+        _id: "$student",
+        violations: { $sum: 1 },
+        lastViolationAt: { $max: "$at" },
+      },
+    },
+    { $match: { violations: { $gte: policy.repeatThreshold } } },
+    { $sort: { violations: -1 } },
+  ]);
+
+  const students = await Student.find({
+    _id: { $in: rows.map((row) => row._id) },
+  })
+    .select("name studentId phone room")
+    .populate("room", "roomNumber floor");
+
+  return rows.map((row) => ({
+    student: students.find((s) => s._id.equals(row._id)),
+    violations: row.violations,
+    lastViolationAt: row.lastViolationAt,
+  }));
+};
+
+// Static method to build the roll call: residents whose last movement
+// through the gate was out, grouped by floor
+gateLogSchema.statics.rollCall = async function ({ floor } = {}) {
+  const Room = mongoose.model("Room");
+
+  const roomFilter = floor !== undefined ? { floor: Number(floor) } : {};
+  const rooms = await Room.find(roomFilter).select("roomNumber floor");
+
+  const residents = await Student.find({
+    status: "active",
+    room: { $in: rooms.map((room) => room._id) },
+  }).select("name studentId phone room");
+
+  const lastMoves = await this.aggregate([
+    { $match: { student: { $in: residents.map((s) => s._id) } } },
+    { $sort: { at: -1 } },
+    {
+      $group: {
+        _id: "$student",
+        direction: { $first: "$direction" },
+        at: { $first: "$at" },
+      },
+    },
+  ]);
+
+  const floors = {};
+  residents.forEach((student) => {
+    const last = lastMoves.find((move) => move._id.equals(student._id));
+    if (last?.direction !== "out") return;
+
+    const room = rooms.find((r) => r._id.equals(student.room));
+    floors[room.floor] = floors[room.floor] || [];
+    floors[room.floor].push({
+      student: {
+        _id: student._id,
+        name: student.name,
+        studentId: student.studentId,
+        phone: student.phone,
+      },
+      roomNumber: room.roomNumber,
+      wentOutAt: last.at,
+    });
+  });
+
+  return Object.keys(floors)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((f) => ({
+      floor: f,
+      count: floors[f].length,
+      residents: floors[f],
+    }));
+};
+
+export default mongoose.model("GateLog", gateLogSchema);
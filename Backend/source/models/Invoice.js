@@ -0,0 +1,223 @@
+import mongoose from "mongoose";
+import { VOID_BOOKING_STATUSES } from "./Booking.js";
+import { BadRequestError } from "../lib/errors.js";
+import { monthlyPeriods } from "../lib/billingMonths.js";
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true,
+    },
+    installment: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    paidAmount: {
+      type: Number,
+      default: 0,
+    },
+    isVoid: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+invoiceSchema.index({ booking: 1, installment: 1 }, { unique: true });
+invoiceSchema.index({ student: 1 });
+invoiceSchema.index({ dueDate: 1 });
+
+export const INVOICE_STATUSES = [
+  "pending",
+  "partial",
+  "paid",
+  "overdue",
+  "void",
+];
+
+// Status is derived so that an invoice becomes overdue without a job
+// having to flip it. An overdue invoice may also be partly paid.
+invoiceSchema.virtual("status").get(function () {
+  if (this.isVoid) return "void";
+  if (this.paidAmount >= this.amount) return "paid";
+  if (this.dueDate < new Date()) return "overdue";
+  if (this.paidAmount > 0) return "partial";
+  return "pending";
+});
+
+invoiceSchema.virtual("balance").get(function () {
+  return Math.max(0, this.amount - this.paidAmount);
+});
+
+// Static method to translate a status into a query filter
+invoiceSchema.statics.statusFilter = function (status, now = new Date()) {
+  const unpaid = { $expr: { $lt: ["$paidAmount", "$amount"] } };
+
+  switch (status) {
+    case "void":
+      return { isVoid: true };
+    case "paid":
+      return { isVoid: false, $expr: { $gte: ["$paidAmount", "$amount"] } };
+    case "overdue":
+      return { isVoid: false, dueDate: { $lt: now }, ...unpaid };
+    case "partial":
+      return {
+        isVoid: false,
+        dueDate: { $gte: now },
+        paidAmount: { $gt: 0 },
+        ...unpaid,
+      };
+    case "pending":
+      return { isVoid: false, dueDate: { $gte: now }, paidAmount: 0 };
+    default:
+      throw new BadRequestError(
+        `Invalid status. Use: ${INVOICE_STATUSES.join(", ")}`,
+        "INVALID_STATUS"
+      );
+  }
+};
+
+// Split a stay into calendar-month periods (lib/billingMonths.js) and
+// share the total across them. Any rounding remainder goes on the final
+// installment.
+export const buildSchedule = (checkInDate, checkOutDate, totalAmount) => {
+  const periods = monthlyPeriods(checkInDate, checkOutDate);
+
+  const baseAmount = Math.floor(totalAmount / periods.length);
+  return periods.map((period, i) => ({
+    ...period,
+    installment: i + 1,
+    dueDate: period.periodStart,
+    amount:
+      i === periods.length - 1
+        ? totalAmount - baseAmount * (periods.length - 1)
+        : baseAmount,
+  }));
+};
+
+// Static method to (re)build the monthly schedule for a booking
+invoiceSchema.statics.generateForBooking = async function (
+  booking,
+  session = null
+) {
+  await this.deleteMany({ booking: booking._id }, { session });
+
+  const invoices = buildSchedule(
+    booking.checkInDate,
+    booking.checkOutDate,
+    booking.totalAmount
+  ).map((period) => ({
+    ...period,
+    booking: booking._id,
+    student: booking.student,
+    room: booking.room,
+    isVoid: VOID_BOOKING_STATUSES.includes(booking.status),
+  }));
+
+  const created = await this.insertMany(invoices, { session });
+  await this.allocatePayments(booking, session);
+  return created;
+};
+
+// Static method to spread a booking's paidAmount over its invoices,
+// oldest installment first
+invoiceSchema.statics.allocatePayments = async function (
+  booking,
+  session = null
+) {
+  const invoices = await this.find({ booking: booking._id })
+    .sort({ installment: 1 })
+    .session(session);
+
+  let remaining = booking.paidAmount || 0;
+  for (const invoice of invoices) {
+    const paid = Math.min(invoice.amount, remaining);
+    remaining -= paid;
+
+    if (invoice.paidAmount !== paid) {
+      invoice.paidAmount = paid;
+      await invoice.save({ session });
+    }
+  }
+};
+
+// Static method to spread a change in a booking's total over the
+// installments falling due from a given date (or the last one if none do)
+invoiceSchema.statics.applyAdjustment = async function (
+  booking,
+  difference,
+  fromDate,
+  session = null
+) {
+  if (!difference) return;
+
+  const invoices = await this.find({ booking: booking._id })
+    .sort({ installment: 1 })
+    .session(session);
+  if (invoices.length === 0) return;
+
+  let affected = invoices.filter((invoice) => invoice.dueDate >= fromDate);
+  if (affected.length === 0) affected = [invoices[invoices.length - 1]];
+
+  const share = Math.trunc(difference / affected.length);
+  for (let i = 0; i < affected.length; i++) {
+    // The rounding remainder goes on the final affected installment
+    const change =
+      i === affected.length - 1
+        ? difference - share * (affected.length - 1)
+        : share;
+    affected[i].amount = Math.max(0, affected[i].amount + change);
+    await affected[i].save({ session });
+  }
+
+  await this.allocatePayments(booking, session);
+};
+
+// Static method to void all invoices of a cancelled booking
+invoiceSchema.statics.voidForBooking = async function (
+  bookingId,
+  session = null
+) {
+  await this.updateMany(
+    { booking: bookingId },
+    { $set: { isVoid: true } },
+    { session }
+  );
+};
+
+export default mongoose.model("Invoice", invoiceSchema);
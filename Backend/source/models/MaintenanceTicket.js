@@ -0,0 +1,210 @@
+import mongoose from "mongoose";
+import Room from "./Room.js";
+import { ConflictError } from "../lib/errors.js";
+
+export const TICKET_CATEGORIES = [
+  "plumbing",
+  "electrical",
+  "furniture",
+  "cleaning",
+  "pest-control",
+  "internet",
+  "other",
+];
+
+export const TICKET_TRANSITIONS = {
+  open: ["in-progress", "resolved"],
+  "in-progress": ["open", "resolved"],
+  resolved: ["open"],
+};
+
+const OPEN_TICKET_STATUSES = ["open", "in-progress"];
+
+const maintenanceTicketSchema = new mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true,
+    },
+    // Bed label, when the problem is with one bed only
+    bed: {
+      type: String,
+      trim: true,
+    },
+    category: {
+      type: String,
+      enum: TICKET_CATEGORIES,
+      required: true,
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    // While a blocking ticket is open the room is kept in maintenance
+    blocksOccupancy: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: Object.keys(TICKET_TRANSITIONS),
+      default: "open",
+    },
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    resolutionNote: {
+      type: String,
+      trim: true,
+    },
+    history: [
+      {
+        from: {
+          type: String,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        note: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+maintenanceTicketSchema.index({ status: 1, priority: 1, createdAt: 1 });
+maintenanceTicketSchema.index({ room: 1, status: 1 });
+maintenanceTicketSchema.index({ reportedBy: 1, createdAt: -1 });
+
+// Move the ticket through open -> in-progress -> resolved (or reopen it)
+maintenanceTicketSchema.methods.transitionTo = function (
+  status,
+  { by, note } = {}
+) {
+  const allowed = TICKET_TRANSITIONS[this.status] || [];
+  if (!allowed.includes(status)) {
+    throw new ConflictError(
+      `Cannot move a ${this.status} ticket to ${status}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  this.history.push({ from: this.status, to: status, by, note });
+  this.status = status;
+
+  if (status === "resolved") {
+    this.resolvedAt = new Date();
+    this.resolutionNote = note;
+  } else {
+    this.resolvedAt = undefined;
+    this.resolutionNote = undefined;
+  }
+};
+
+// Static method to put a room into maintenance while it has open blocking
+// tickets, and back into service once the last one is resolved. Maintenance
+// staff set by hand is left for them to lift.
+maintenanceTicketSchema.statics.syncRoomStatus = async function (
+  roomId,
+  session = null
+) {
+  const room = await Room.findById(roomId).session(session);
+  if (!room) return null;
+
+  const blocking = await this.countDocuments({
+    room: roomId,
+    blocksOccupancy: true,
+    status: { $in: OPEN_TICKET_STATUSES },
+  }).session(session);
+
+  if (blocking > 0 && room.status !== "maintenance") {
+    room.status = "maintenance";
+    room.maintenanceSource = "tickets";
+    await room.save({ session });
+  } else if (
+    blocking === 0 &&
+    room.status === "maintenance" &&
+    room.maintenanceSource === "tickets"
+  ) {
+    // Occupancy status is worked out again from the beds on save
+    room.status = "available";
+    await room.save({ session });
+  }
+
+  return room;
+};
+
+// Static method to get the mean time to resolve tickets, per category
+maintenanceTicketSchema.statics.resolutionStats = function ({ from, to } = {}) {
+  const match = { status: "resolved" };
+  if (from || to) {
+    match.resolvedAt = {};
+    if (from) match.resolvedAt.$gte = new Date(from);
+    if (to) match.resolvedAt.$lte = new Date(to);
+  }
+
+  const hourMs = 1000 * 60 * 60;
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $project: {
+        category: 1,
+        hours: {
+          $divide: [{ $subtract: ["$resolvedAt", "$createdAt"] }, hourMs],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$category",
+        resolved: { $sum: 1 },
+        meanHoursToResolve: { $avg: "$hours" },
+        maxHoursToResolve: { $max: "$hours" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        category: "$_id",
+        resolved: 1,
+        meanHoursToResolve: { $round: ["$meanHoursToResolve", 1] },
+        maxHoursToResolve: { $round: ["$maxHoursToResolve", 1] },
+      },
+    },
+    { $sort: { category: 1 } },
+  ]);
+};
+
+export default mongoose.model("MaintenanceTicket", maintenanceTicketSchema);
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import Payment from "./Payment.js";
+import { ConflictError } from "../lib/errors.js";
+
+const mpesaTransactionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["stk", "c2b"],
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    phone: {
+      type: String,
+    },
+    amount: {
+      type: Number,
+    },
+    accountReference: {
+      type: String,
+      trim: true,
+    },
+    merchantRequestId: {
+      type: String,
+    },
+    checkoutRequestId: {
+      type: String,
+    },
+    // M-Pesa receipt number (TransID for C2B)
+    receiptNumber: {
+      type: String,
+    },
+    status: {
+      type: String,
+      // reversed: the payment it recorded was reversed by staff
+      enum: ["pending", "completed", "failed", "unmatched", "reversed"],
+      default: "pending",
+    },
+    resultCode: {
+      type: Number,
+    },
+    resultDesc: {
+      type: String,
+    },
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    rawCallback: {
+      type: Object,
+    },
+    // Staff who applied an unmatched payment to a booking by hand
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    resolutionNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Daraja may deliver the same callback more than once
+mpesaTransactionSchema.index(
+  { checkoutRequestId: 1 },
+  { unique: true, sparse: true }
+);
+mpesaTransactionSchema.index(
+  { receiptNumber: 1 },
+  { unique: true, sparse: true }
+);
+mpesaTransactionSchema.index({ booking: 1, createdAt: -1 });
+mpesaTransactionSchema.index({ status: 1 });
+
+// Money that arrived but was never applied: unmatched payments, and
+// callbacks that failed part way and were left pending with their receipt
+mpesaTransactionSchema.virtual("isResolvable").get(function () {
+  return (
+    this.status === "unmatched" ||
+    (this.status === "pending" && !!this.receiptNumber)
+  );
+});
+
+// Apply the payment to a booking chosen by staff
+mpesaTransactionSchema.methods.resolve = async function (
+  { booking, by, note },
+  session
+) {
+  if (!this.isResolvable) {
+    throw new ConflictError(
+      `A ${this.status} transaction cannot be resolved`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  const { payment } = await Payment.record(
+    {
+      booking,
+      amount: this.amount,
+      method: "mpesa",
+      reference: this.receiptNumber,
+      notes: note || `M-Pesa ${this.type} payment from ${this.phone}`,
+      receivedBy: by,
+    },
+    session,
+    { allowOverpayment: true }
+  );
+
+  this.booking = payment.booking;
+  this.payment = payment._id;
+  this.status = "completed";
+  this.resolvedBy = by;
+  this.resolvedAt = new Date();
+  this.resolutionNote = note;
+  await this.save({ session });
+
+  return payment;
+};
+
+export default mongoose.model("MpesaTransaction", mpesaTransactionSchema);
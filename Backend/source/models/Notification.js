@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+import { getChannel } from "../lib/notificationChannels.js";
+import {
+  renderTemplate,
+  TEMPLATE_NAMES,
+} from "../lib/notificationTemplates.js";
+import { ConflictError } from "../lib/errors.js";
+
+const MAX_ATTEMPTS = 5;
+// How long a message being sent is kept from other dispatch runs
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms"],
+      required: true,
+    },
+    // Email address or phone number the message goes to
+    to: {
+      type: String,
+      required: true,
+    },
+    template: {
+      type: String,
+      enum: TEMPLATE_NAMES,
+      required: true,
+    },
+    subject: {
+      type: String,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+    providerMessageId: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+// Static method to queue a templated message for a user (or the user behind
+// a student) on each channel they have switched on. Pass the session of the
+// surrounding transaction so the message is only sent if it commits.
+notificationSchema.statics.enqueue = async function (
+  { user, student, template, data = {} },
+  session = null
+) {
+  const User = mongoose.model("User");
+  const Student = mongoose.model("Student");
+
+  const studentDoc = student
+    ? await Student.findById(student).session(session)
+    : await Student.findOne({ user }).session(session);
+  const userDoc = await User.findById(user || studentDoc?.user).session(
+    session
+  );
+  if (!userDoc) return [];
+
+  const preferences = userDoc.notificationPreferences || {};
+  const message = renderTemplate(template, {
+    name: studentDoc?.name || userDoc.name,
+    ...data,
+  });
+
+  const outgoing = [];
+  if (preferences.email !== false && userDoc.email) {
+    outgoing.push({
+      channel: "email",
+      to: userDoc.email,
+      subject: message.subject,
+      body: message.body,
+    });
+  }
+  if (preferences.sms !== false && studentDoc?.phone) {
+    outgoing.push({ channel: "sms", to: studentDoc.phone, body: message.sms });
+  }
+  if (outgoing.length === 0) return [];
+
+  return this.insertMany(
+    outgoing.map((entry) => ({ ...entry, user: userDoc._id, template })),
+    { session }
+  );
+};
+
+// Static method to send whatever is due. Each message is claimed by pushing
+// its next attempt out, so two runs never send the same one.
+notificationSchema.statics.dispatchDue = async function ({ limit = 50 } = {}) {
+  const result = { sent: 0, retrying: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const notification = await this.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      {
+        $set: { nextAttemptAt: new Date(now.getTime() + SEND_LEASE_MS) },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!notification) break;
+
+    try {
+      const { messageId } = await getChannel(notification.channel).send({
+        to: notification.to,
+        subject: notification.subject,
+        body: notification.body,
+      });
+
+      notification.status = "sent";
+      notification.sentAt = new Date();
+      notification.providerMessageId = messageId;
+      notification.lastError = undefined;
+      result.sent++;
+    } catch (error) {
+      notification.lastError = error.message;
+      if (notification.attempts >= MAX_ATTEMPTS) {
+        notification.status = "failed";
+        result.failed++;
+      } else {
+        // Back off 1, 2, 4, 8... minutes between attempts
+        const delay = 60 * 1000 * 2 ** (notification.attempts - 1);
+        notification.nextAttemptAt = new Date(Date.now() + delay);
+        result.retrying++;
+      }
+    }
+
+    await notification.save();
+  }
+
+  return result;
+};
+
+// Put a failed message back in the queue
+notificationSchema.methods.retry = async function () {
+  if (this.status !== "failed") {
+    throw new ConflictError(
+      "Only failed notifications can be retried",
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  this.status = "pending";
+  this.attempts = 0;
+  this.nextAttemptAt = new Date();
+  return this.save();
+};
+
+export default mongoose.model("Notification", notificationSchema);
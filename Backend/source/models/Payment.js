@@ -0,0 +1,206 @@
+import mongoose from "mongoose";
+import Booking, { VOID_BOOKING_STATUSES } from "./Booking.js";
+import Invoice from "./Invoice.js";
+import Counter from "./Counter.js";
+import Notification from "./Notification.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../lib/errors.js";
+
+export const PAYMENT_METHODS = ["cash", "mpesa", "bank-transfer", "cheque"];
+
+const paymentSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, "Payment amount must be greater than zero"],
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      required: true,
+    },
+    reference: {
+      type: String,
+      trim: true,
+    },
+    receiptNumber: {
+      type: String,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    status: {
+      type: String,
+      enum: ["completed", "reversed"],
+      default: "completed",
+    },
+    reversal: {
+      reason: {
+        type: String,
+        trim: true,
+      },
+      reversedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reversedAt: {
+        type: Date,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A transaction reference (receipt, M-Pesa code, cheque number) is only ever used once
+paymentSchema.index({ reference: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
+
+// Format a counter value as a receipt number, e.g. RCT-000042
+const formatReceiptNumber = (seq) => `RCT-${String(seq).padStart(6, "0")}`;
+
+// Index for efficient queries
+paymentSchema.index({ booking: 1, createdAt: -1 });
+paymentSchema.index({ student: 1 });
+
+// Static method to record a payment and credit the booking
+paymentSchema.statics.record = async function (
+  { booking: bookingId, amount, method, reference, notes, receivedBy },
+  session,
+  { allowOverpayment = false } = {}
+) {
+  const booking = await Booking.findById(bookingId).session(session);
+  if (!booking) {
+    throw new NotFoundError("Booking");
+  }
+
+  if (VOID_BOOKING_STATUSES.includes(booking.status)) {
+    throw new ConflictError(
+      `Cannot record a payment against a ${booking.status} booking`,
+      "BOOKING_NOT_PAYABLE"
+    );
+  }
+
+  // Money that has already landed (e.g. an M-Pesa callback) is always recorded
+  if (!allowOverpayment && amount > booking.balance) {
+    throw new BadRequestError(
+      `Payment of ${amount} exceeds the outstanding balance of ${booking.balance}`,
+      "OVERPAYMENT"
+    );
+  }
+
+  const payment = await this.create(
+    [
+      {
+        booking: booking._id,
+        student: booking.student,
+        amount,
+        method,
+        reference: reference || undefined,
+        receiptNumber: formatReceiptNumber(
+          await Counter.next("receipt", session)
+        ),
+        notes,
+        receivedBy,
+      },
+    ],
+    { session }
+  );
+
+  booking.paidAmount += amount;
+  await booking.save({ session });
+  await Invoice.allocatePayments(booking, session);
+
+  await Notification.enqueue(
+    {
+      student: booking.student,
+      template: "payment-received",
+      data: {
+        amount,
+        method,
+        receiptNumber: payment[0].receiptNumber,
+        balance: booking.balance,
+      },
+    },
+    session
+  );
+
+  return { payment: payment[0], booking };
+};
+
+// Static method to reverse a payment and debit the booking
+paymentSchema.statics.reverse = async function (
+  paymentId,
+  { reason, reversedBy },
+  session
+) {
+  const payment = await this.findById(paymentId).session(session);
+  if (!payment) {
+    throw new NotFoundError("Payment");
+  }
+
+  if (payment.status === "reversed") {
+    throw new ConflictError(
+      "Payment has already been reversed",
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  const booking = await Booking.findById(payment.booking).session(session);
+  if (!booking) {
+    throw new NotFoundError("Booking");
+  }
+
+  payment.status = "reversed";
+  payment.reversal = {
+    reason,
+    reversedBy,
+    reversedAt: new Date(),
+  };
+  await payment.save({ session });
+
+  // The M-Pesa transaction behind the payment no longer counts as paid
+  await mongoose.model("MpesaTransaction").updateOne(
+    { payment: payment._id, status: "completed" },
+    { status: "reversed" },
+    { session }
+  );
+
+  booking.paidAmount = Math.max(0, booking.paidAmount - payment.amount);
+  await booking.save({ session });
+  await Invoice.allocatePayments(booking, session);
+
+  return { payment, booking };
+};
+
+// Assign a receipt number to payments recorded before receipts existed
+paymentSchema.methods.ensureReceiptNumber = async function () {
+  if (!this.receiptNumber) {
+    this.receiptNumber = formatReceiptNumber(await Counter.next("receipt"));
+    await this.save();
+  }
+  return this.receiptNumber;
+};
+
+export default mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,187 @@
+import mongoose from "mongoose";
+import CancellationPolicy from "./CancellationPolicy.js";
+import { BadRequestError, ConflictError } from "../lib/errors.js";
+
+const refundSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+      unique: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    amountPaid: {
+      type: Number,
+      required: true,
+    },
+    refundAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    forfeitedAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Snapshot of how the policy was applied
+    policy: {
+      rule: {
+        type: String,
+        enum: ["full-refund", "partial-refund", "deposit-forfeited"],
+      },
+      daysNotice: {
+        type: Number,
+      },
+      fullRefundDays: {
+        type: Number,
+      },
+      noticeDays: {
+        type: Number,
+      },
+      partialRefundPercent: {
+        type: Number,
+      },
+      depositMonths: {
+        type: Number,
+      },
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "paid"],
+      default: "pending",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    payout: {
+      method: {
+        type: String,
+        enum: ["cash", "mpesa", "bank-transfer", "cheque"],
+      },
+      reference: {
+        type: String,
+        trim: true,
+      },
+      paidBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      paidAt: {
+        type: Date,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ student: 1 });
+
+// Static method to apply the cancellation policy to a booking. Nothing is
+// recorded when the student had not paid anything.
+refundSchema.statics.createForBooking = async function (
+  booking,
+  { by } = {},
+  session = null
+) {
+  if (!booking.paidAmount) return null;
+
+  const policy = await CancellationPolicy.current(session);
+  const result = policy.evaluate(booking);
+
+  const refund = await this.create(
+    [
+      {
+        booking: booking._id,
+        student: booking.student,
+        amountPaid: result.amountPaid,
+        refundAmount: result.refundAmount,
+        forfeitedAmount: result.forfeitedAmount,
+        policy: {
+          rule: result.rule,
+          daysNotice: result.daysNotice,
+          fullRefundDays: policy.fullRefundDays,
+          noticeDays: policy.noticeDays,
+          partialRefundPercent: policy.partialRefundPercent,
+          depositMonths: policy.depositMonths,
+        },
+        // Nothing to pay out when the whole amount is forfeited
+        status: result.refundAmount > 0 ? "pending" : "rejected",
+        rejectionReason:
+          result.refundAmount > 0 ? undefined : "Nothing refundable",
+        requestedBy: by,
+      },
+    ],
+    { session }
+  );
+
+  return refund[0];
+};
+
+// Finance review: approve or reject a pending refund
+refundSchema.methods.review = async function ({ approve, by, reason }) {
+  if (this.status !== "pending") {
+    throw new ConflictError(
+      `Refund is already ${this.status}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  if (!approve && !reason) {
+    throw new BadRequestError(
+      "A reason is required to reject a refund",
+      "REASON_REQUIRED"
+    );
+  }
+
+  this.status = approve ? "approved" : "rejected";
+  this.reviewedBy = by;
+  this.reviewedAt = new Date();
+  if (!approve) this.rejectionReason = reason;
+
+  return this.save();
+};
+
+// Record the payout of an approved refund
+refundSchema.methods.markPaid = async function ({ method, reference, by }) {
+  if (this.status !== "approved") {
+    throw new ConflictError(
+      "Only approved refunds can be paid out",
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  if (!method) {
+    throw new BadRequestError(
+      "Payout method is required",
+      "PAYOUT_METHOD_REQUIRED"
+    );
+  }
+
+  this.status = "paid";
+  this.payout = { method, reference, paidBy: by, paidAt: new Date() };
+
+  return this.save();
+};
+
+export default mongoose.model("Refund", refundSchema);
@@ -1,4 +1,42 @@
 import mongoose from "mongoose";
+import { ConflictError, NotFoundError } from "../lib/errors.js";
+
+const bedSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["available", "occupied", "maintenance"],
+    default: "available",
+  },
+  occupant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+  },
+  // Time-limited hold for the student offered this bed off the waitlist
+  heldFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+  },
+  heldUntil: {
+    type: Date,
+  },
+});
+
+// Is the bed on hold for someone other than this student?
+bedSchema.methods.isHeldAgainst = function (student) {
+  return (
+    !!this.heldFor &&
+    this.heldUntil > new Date() &&
+    (!student || this.heldFor.toString() !== student.toString())
+  );
+};
 
 const roomSchema = new mongoose.Schema(
   {
@@ -19,12 +57,19 @@ const roomSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    beds: [bedSchema],
     amenities: [String],
     status: {
       type: String,
       enum: ["available", "occupied", "maintenance"],
       default: "available",
     },
+    // Who put the room into maintenance: staff by hand, or open blocking
+    // tickets (MaintenanceTicket.syncRoomStatus), which only lift their own
+    maintenanceSource: {
+      type: String,
+      enum: ["manual", "tickets"],
+    },
     price: {
       type: Number,
       required: true,
@@ -49,12 +94,138 @@ const roomSchema = new mongoose.Schema(
   }
 );
 
+// Front-desk search (see routes/search.js)
+roomSchema.index(
+  { roomNumber: "text", amenities: "text" },
+  { name: "search", weights: { roomNumber: 10 } }
+);
+
+// Bed labels run A, B, C, ... in the order beds are added
+const bedLabel = (index) => String.fromCharCode(65 + index);
+
+// Virtual for the number of beds that can be let (not under maintenance)
+roomSchema.virtual("usableBeds").get(function () {
+  return this.beds.filter((bed) => bed.status !== "maintenance").length;
+});
+
+// Virtual for the number of beds bookings can be made against: usable beds
+// less those occupied with no booking behind them (rooms migrated from a
+// plain occupancy count, or beds assigned directly), whose end date is
+// unknown
+const isBookable = (bed) =>
+  bed.status !== "maintenance" && !(bed.status === "occupied" && !bed.booking);
+
+roomSchema.virtual("bookableBeds").get(function () {
+  return this.beds.filter(isBookable).length;
+});
+
+// Virtual for the bookable beds on hold for a waitlisted student
+roomSchema.virtual("heldBeds").get(function () {
+  return this.beds.filter((bed) => isBookable(bed) && bed.isHeldAgainst());
+});
+
+// Keep beds in line with capacity and derive occupancy and status from them
+roomSchema.pre("validate", function (next) {
+  if (this.beds.length === 0) {
+    // Rooms created before beds were tracked keep their occupied count
+    for (let i = 0; i < this.capacity; i++) {
+      this.beds.push({
+        label: bedLabel(i),
+        status: i < this.currentOccupancy ? "occupied" : "available",
+      });
+    }
+  }
+
+  while (this.beds.length < this.capacity) {
+    this.beds.push({ label: bedLabel(this.beds.length) });
+  }
+
+  while (this.beds.length > this.capacity) {
+    const last = this.beds[this.beds.length - 1];
+    if (last.status === "occupied") {
+      return next(
+        new ConflictError(
+          "Cannot reduce capacity below occupied beds",
+          "CAPACITY_BELOW_OCCUPANCY"
+        )
+      );
+    }
+    this.beds.pop();
+  }
+
+  this.currentOccupancy = this.beds.filter(
+    (bed) => bed.status === "occupied"
+  ).length;
+
+  if (this.status === "maintenance") {
+    this.maintenanceSource ??= "manual";
+  } else {
+    this.maintenanceSource = undefined;
+  }
+
+  if (this.status !== "maintenance") {
+    this.status = this.beds.some((bed) => bed.status === "available")
+      ? "available"
+      : "occupied";
+  }
+
+  next();
+});
+
 // Prevent over-occupancy
 roomSchema.pre("save", function (next) {
   if (this.currentOccupancy > this.capacity) {
-    next(new Error("Room occupancy cannot exceed capacity"));
+    return next(
+      new ConflictError(
+        "Room occupancy cannot exceed capacity",
+        "OCCUPANCY_EXCEEDS_CAPACITY"
+      )
+    );
   }
   next();
 });
 
+// Put a student in a bed (a specific label, or the first free one)
+roomSchema.methods.allocateBed = function ({ student, booking, label }) {
+  const bed = label
+    ? this.beds.find((b) => b.label === label)
+    : this.beds.find(
+        (b) => b.status === "available" && !b.isHeldAgainst(student)
+      );
+
+  if (!bed) {
+    throw label
+      ? new NotFoundError("Bed", `Bed ${label} not found`)
+      : new ConflictError("Room is full", "ROOM_FULL");
+  }
+
+  if (bed.status !== "available") {
+    throw new ConflictError(`Bed ${bed.label} is not available`, "BED_TAKEN");
+  }
+
+  bed.status = "occupied";
+  bed.occupant = student;
+  bed.booking = booking;
+  bed.heldFor = undefined;
+  bed.heldUntil = undefined;
+  return bed;
+};
+
+// Free the bed held by a student or booking
+roomSchema.methods.releaseBed = function ({ student, booking }) {
+  const bed = this.beds.find(
+    (b) =>
+      b.status === "occupied" &&
+      ((student && b.occupant?.toString() === student.toString()) ||
+        (booking && b.booking?.toString() === booking.toString()))
+  );
+
+  if (!bed) return null;
+
+  bed.status = "available";
+  bed.occupant = undefined;
+  bed.booking = undefined;
+  return bed;
+};
+
 export default mongoose.model("Room", roomSchema);
@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { BadRequestError } from "../lib/errors.js";
+
+const INVITATION_DAYS = Number(process.env.STAFF_INVITATION_DAYS || 7);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export const STAFF_ROLES = ["admin", "warden", "guard"];
+
+const staffInvitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+staffInvitationSchema.index({ email: 1, createdAt: -1 });
+
+staffInvitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+// Static method to invite someone, replacing any open invitation to the
+// same address. Returns the invitation and the raw token for the email.
+staffInvitationSchema.statics.issue = async function ({
+  email,
+  name,
+  role,
+  invitedBy,
+}) {
+  await this.updateMany(
+    {
+      email: String(email || "").toLowerCase(),
+      acceptedAt: null,
+      revokedAt: null,
+    },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const invitation = await this.create({
+    email,
+    name,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return { invitation, token };
+};
+
+// Static method to claim an open invitation by its token
+staffInvitationSchema.statics.claim = async function (token) {
+  const invitation = await this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { acceptedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!invitation)
+    throw new BadRequestError(
+      "Invitation is invalid or has expired",
+      "INVALID_LINK"
+    );
+  return invitation;
+};
+
+export default mongoose.model("StaffInvitation", staffInvitationSchema);
@@ -1,5 +1,14 @@
 import mongoose from "mongoose";
 import Room from "./Room.js";
+import Booking, {
+  ACTIVE_BOOKING_STATUSES,
+  VOID_BOOKING_STATUSES,
+} from "./Booking.js";
+import Invoice from "./Invoice.js";
+import Payment from "./Payment.js";
+import Refund from "./Refund.js";
+import DamageCharge from "./DamageCharge.js";
+import { ConflictError, NotFoundError } from "../lib/errors.js";
 const studentSchema = new mongoose.Schema(
   {
     studentId: {
@@ -39,25 +48,220 @@ const studentSchema = new mongoose.Schema(
       enum: ["active", "graduated", "left"],
       default: "active",
     },
+    // Running tally kept by the gate log for the warden
+    curfewViolations: {
+      count: {
+        type: Number,
+        default: 0,
+      },
+      lastAt: {
+        type: Date,
+      },
+    },
   },
   { timestamps: true }
 );
-// Add method to Student model
-studentSchema.methods.assignRoom = async function (roomId) {
-  const room = await Room.findById(roomId);
-  if (!room) throw new Error("Room not found");
-  if (room.currentOccupancy >= room.capacity) throw new Error("Room is full");
 
-  this.room = roomId;
-  await this.save();
+// Front-desk search (see routes/search.js)
+studentSchema.index(
+  {
+    name: "text",
+    studentId: "text",
+    email: "text",
+    phone: "text",
+    "emergencyContact.name": "text",
+  },
+  {
+    name: "search",
+    weights: { name: 10, studentId: 10, email: 5, phone: 5 },
+  }
+);
+
+// Latest date a Date can hold, for windows with no end
+const OPEN_ENDED = new Date(8.64e15);
 
-  room.currentOccupancy += 1;
-  if (room.currentOccupancy === room.capacity) {
-    room.status = "occupied";
+// Put a student who has no booking straight into a bed. Students with an
+// active booking move through a transfer request (/api/transfers) so the
+// booking, bed and invoices change together.
+studentSchema.methods.assignRoom = async function (
+  roomId,
+  { bed } = {},
+  session = null
+) {
+  const hasBooking = await Booking.exists({
+    student: this._id,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+  }).session(session);
+  if (hasBooking) {
+    throw new ConflictError(
+      "Student has an active booking; request a transfer instead",
+      "TRANSFER_REQUIRED"
+    );
   }
-  await room.save();
+
+  const room = await Room.findById(roomId).session(session);
+  if (!room) throw new NotFoundError("Room");
+
+  // Free the bed the student currently holds so no ghost occupant is left
+  let previousRoom = null;
+  if (this.room && this.room.equals(room._id)) {
+    room.releaseBed({ student: this._id });
+  } else if (this.room) {
+    previousRoom = await Room.findById(this.room).session(session);
+  }
+
+  // The assignment has no end date, so the bed must be clear of every
+  // booking from today on
+  const label = await Booking.freeBedLabel(room, new Date(), OPEN_ENDED, {
+    label: bed,
+    student: this._id,
+    session,
+  });
+  room.allocateBed({ student: this._id, label });
+
+  if (previousRoom && previousRoom.releaseBed({ student: this._id })) {
+    await previousRoom.save({ session });
+  }
+  await room.save({ session });
+
+  this.room = roomId;
+  await this.save({ session });
 
   return this;
 };
 
+// Build a ledger of every charge and payment across the student's bookings
+studentSchema.methods.getAccountStatement = async function () {
+  const bookings = await Booking.find({ student: this._id })
+    .populate("room", "roomNumber floor")
+    .sort({ checkInDate: 1 });
+  const invoices = await Invoice.find({ student: this._id, isVoid: false });
+  const payments = await Payment.find({ student: this._id });
+  const refunds = await Refund.find({ student: this._id });
+  const damageCharges = await DamageCharge.find({
+    student: this._id,
+    status: "confirmed",
+  });
+
+  const entries = [];
+
+  bookings.forEach((booking) => {
+    const roomNumber = booking.room?.roomNumber || "N/A";
+    const bookingInvoices = invoices.filter(
+      (invoice) => invoice.booking.toString() === booking._id.toString()
+    );
+
+    if (bookingInvoices.length > 0) {
+      bookingInvoices.forEach((invoice) => {
+        entries.push({
+          date: invoice.dueDate,
+          type: "charge",
+          description: `Room ${roomNumber} rent, installment ${invoice.installment}`,
+          booking: booking._id,
+          debit: invoice.amount,
+          credit: 0,
+        });
+      });
+    } else if (!VOID_BOOKING_STATUSES.includes(booking.status)) {
+      // Bookings created before invoice schedules carry one lump charge
+      entries.push({
+        date: booking.createdAt,
+        type: "charge",
+        description: `Room ${roomNumber} rent, ${booking.duration} month(s)`,
+        booking: booking._id,
+        debit: booking.totalAmount,
+        credit: 0,
+      });
+    }
+  });
+
+  payments.forEach((payment) => {
+    entries.push({
+      date: payment.createdAt,
+      type: "payment",
+      description: `Payment (${payment.method})`,
+      reference: payment.receiptNumber || payment.reference,
+      booking: payment.booking,
+      debit: 0,
+      credit: payment.amount,
+    });
+
+    if (payment.status === "reversed") {
+      entries.push({
+        date: payment.reversal?.reversedAt || payment.updatedAt,
+        type: "reversal",
+        description: `Reversal: ${
+          payment.reversal?.reason || "payment reversed"
+        }`,
+        reference: payment.receiptNumber || payment.reference,
+        booking: payment.booking,
+        debit: payment.amount,
+        credit: 0,
+      });
+    }
+  });
+
+  // Cancelled bookings keep what the policy forfeits and pay back the rest
+  refunds.forEach((refund) => {
+    const retained =
+      refund.status === "rejected" ? refund.amountPaid : refund.forfeitedAmount;
+
+    if (retained > 0) {
+      entries.push({
+        date: refund.createdAt,
+        type: "charge",
+        description: "Cancellation charge",
+        booking: refund.booking,
+        debit: retained,
+        credit: 0,
+      });
+    }
+
+    if (refund.status === "paid") {
+      entries.push({
+        date: refund.payout.paidAt,
+        type: "refund",
+        description: `Refund (${refund.payout.method})`,
+        reference: refund.payout.reference,
+        booking: refund.booking,
+        debit: refund.refundAmount,
+        credit: 0,
+      });
+    }
+  });
+
+  damageCharges.forEach((charge) => {
+    entries.push({
+      date: charge.reviewedAt,
+      type: "charge",
+      description: `Damage: ${charge.description}`,
+      booking: charge.booking,
+      debit: charge.amount,
+      credit: 0,
+    });
+  });
+
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let balance = 0;
+  entries.forEach((entry) => {
+    balance += entry.debit - entry.credit;
+    entry.balance = balance;
+  });
+
+  const totalCharged = entries.reduce((sum, entry) => sum + entry.debit, 0);
+  const totalPaid = entries.reduce((sum, entry) => sum + entry.credit, 0);
+
+  return {
+    student: this,
+    bookings,
+    entries,
+    totals: {
+      totalCharged,
+      totalPaid,
+      balance,
+    },
+  };
+};
+
 export default mongoose.model("Student", studentSchema);
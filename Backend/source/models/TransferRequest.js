@@ -0,0 +1,251 @@
+import mongoose from "mongoose";
+import Room from "./Room.js";
+import Student from "./Student.js";
+import Invoice from "./Invoice.js";
+import Booking, { ACTIVE_BOOKING_STATUSES } from "./Booking.js";
+import WaitlistEntry from "./WaitlistEntry.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../lib/errors.js";
+import { countMonths } from "../lib/billingMonths.js";
+
+const transferRequestSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    fromRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true,
+    },
+    fromBed: {
+      type: String,
+    },
+    toRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true,
+    },
+    // Bed asked for (optional); the bed given is recorded on approval
+    toBed: {
+      type: String,
+    },
+    reason: {
+      type: String,
+      enum: ["roommate-conflict", "cheaper-room", "medical", "other"],
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+    },
+    effectiveDate: {
+      type: Date,
+    },
+    priceAdjustment: {
+      previousTotal: {
+        type: Number,
+      },
+      newTotal: {
+        type: Number,
+      },
+      difference: {
+        type: Number,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+transferRequestSchema.index({ status: 1, createdAt: 1 });
+transferRequestSchema.index({ student: 1, createdAt: -1 });
+
+const dayMs = 1000 * 60 * 60 * 24;
+
+// Approve the transfer: move the booking (and bed, if checked in) to the
+// new room and re-price the rest of the stay at the new room's rate
+transferRequestSchema.methods.approve = async function (
+  { by, note, bed: bedLabel } = {},
+  session = null
+) {
+  if (this.status !== "pending") {
+    throw new ConflictError(
+      `Transfer request is already ${this.status}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  const booking = await Booking.findById(this.booking).session(session);
+  if (!booking || !ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+    throw new ConflictError(
+      "Transfer request no longer has an active booking",
+      "NO_ACTIVE_BOOKING"
+    );
+  }
+
+  const fromRoom = await Room.findById(booking.room).session(session);
+  const sameRoom = booking.room.equals(this.toRoom);
+  const toRoom = sameRoom
+    ? fromRoom
+    : await Room.findById(this.toRoom).session(session);
+  if (!toRoom) throw new NotFoundError("Room");
+  if (toRoom.status === "maintenance") {
+    throw new ConflictError(
+      "Room is not available. Current status: maintenance",
+      "ROOM_UNAVAILABLE"
+    );
+  }
+
+  // The move takes effect today for residents, or from check-in otherwise
+  const now = new Date();
+  const checkIn = new Date(booking.checkInDate);
+  const checkOut = new Date(booking.checkOutDate);
+  const effectiveDate =
+    booking.status === "checked-in" && now > checkIn ? now : checkIn;
+
+  if (!sameRoom) {
+    const taken = await Booking.bedsTakenByRoom(effectiveDate, checkOut, {
+      rooms: [toRoom._id],
+      session,
+    });
+    if ((taken[toRoom._id.toString()] || 0) >= toRoom.bookableBeds) {
+      throw new ConflictError(
+        "Room is already at full capacity for the rest of the stay",
+        "ROOM_FULL"
+      );
+    }
+  }
+
+  const label = await Booking.freeBedLabel(toRoom, effectiveDate, checkOut, {
+    label: bedLabel || this.toBed,
+    student: booking.student,
+    session,
+  });
+
+  // Residents physically move beds; advance bookings just change rooms
+  if (booking.status === "checked-in") {
+    fromRoom?.releaseBed({ booking: booking._id });
+    toRoom.allocateBed({
+      student: booking.student,
+      booking: booking._id,
+      label,
+    });
+    if (fromRoom && !sameRoom) await fromRoom.save({ session });
+    await toRoom.save({ session });
+
+    await Student.updateOne(
+      { _id: booking.student },
+      { $set: { room: toRoom._id } },
+      { session }
+    );
+  }
+
+  // Pro rata: days already spent stay at the old price
+  const totalDays = Math.max(1, (checkOut - checkIn) / dayMs);
+  const remainingDays = Math.max(0, (checkOut - effectiveDate) / dayMs);
+  const remainingShare = remainingDays / totalDays;
+  const previousTotal = booking.totalAmount;
+  const newTotal = Math.round(
+    previousTotal * (1 - remainingShare) +
+      toRoom.price * countMonths(checkIn, checkOut) * remainingShare
+  );
+
+  booking.room = toRoom._id;
+  booking.bed = label;
+  booking.totalAmount = newTotal;
+  booking.history.push({
+    from: booking.status,
+    to: booking.status,
+    by,
+    note: `Transferred from room ${fromRoom?.roomNumber ?? "?"} bed ${
+      this.fromBed ?? "?"
+    } to room ${toRoom.roomNumber} bed ${label}`,
+  });
+  await booking.save({ session });
+
+  await Invoice.updateMany(
+    { booking: booking._id, dueDate: { $gte: effectiveDate } },
+    { $set: { room: toRoom._id } },
+    { session }
+  );
+  await Invoice.applyAdjustment(
+    booking,
+    newTotal - previousTotal,
+    effectiveDate,
+    session
+  );
+
+  this.status = "approved";
+  this.toBed = label;
+  this.reviewedBy = by;
+  this.reviewedAt = now;
+  this.reviewNote = note;
+  this.effectiveDate = effectiveDate;
+  this.priceAdjustment = {
+    previousTotal,
+    newTotal,
+    difference: newTotal - previousTotal,
+  };
+  await this.save({ session });
+
+  // The old bed (or its dates) can go to the next student waiting
+  if (fromRoom && !sameRoom) {
+    await WaitlistEntry.offerFreedBed(fromRoom._id, session);
+  }
+
+  return this;
+};
+
+// Reject the transfer with a reason
+transferRequestSchema.methods.reject = async function ({ by, note } = {}) {
+  if (this.status !== "pending") {
+    throw new ConflictError(
+      `Transfer request is already ${this.status}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  if (!note) {
+    throw new BadRequestError(
+      "A reason is required to reject a transfer",
+      "REASON_REQUIRED"
+    );
+  }
+
+  this.status = "rejected";
+  this.reviewedBy = by;
+  this.reviewedAt = new Date();
+  this.reviewNote = note;
+  return this.save();
+};
+
+export default mongoose.model("TransferRequest", transferRequestSchema);
@@ -9,9 +9,34 @@ const userSchema = new mongoose.Schema(
     password: { type: String, required: true },
     role: {
       type: String,
-      enum: ["admin", "warden", "student"],
+      enum: ["admin", "warden", "guard", "student"],
       default: "student",
     },
+    // Deactivated users cannot sign in or use existing tokens
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    deactivatedAt: {
+      type: Date,
+    },
+    // Self-registered accounts start unverified; accounts that predate
+    // verification have no value and are treated as verified
+    emailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // Access tokens issued before this are no longer accepted
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Channels the user wants notifications on
+    notificationPreferences: {
+      email: { type: Boolean, default: true },
+      sms: { type: Boolean, default: true },
+    },
   },
   { timestamps: true }
 );
@@ -20,9 +45,62 @@ const userSchema = new mongoose.Schema(
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) {
+    // Back-dated a second so a token issued right after still counts as newer
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
+  next();
+});
+
+// A new password or role, or deactivation, signs the user out of every
+// device
+userSchema.pre("save", function (next) {
+  if (this.isNew) return next();
+
+  if (this.isModified("password")) {
+    this.$locals.revokeSessions = "password changed";
+  } else if (this.isModified("role")) {
+    this.$locals.revokeSessions = "role changed";
+  } else if (this.isModified("active") && !this.active) {
+    this.$locals.revokeSessions = "account deactivated";
+  }
   next();
 });
 
+userSchema.post("save", async function (doc) {
+  if (!doc.$locals.revokeSessions) return;
+
+  const AuthSession = mongoose.model("AuthSession");
+  await AuthSession.revokeAll(doc._id, doc.$locals.revokeSessions);
+  doc.$locals.revokeSessions = undefined;
+});
+
+userSchema.methods.markEmailVerified = function () {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  return this.save();
+};
+
+// Whether an access token was issued before the password last changed
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Emails are stored as they were typed, so look them up ignoring case.
+// An exact match wins when older accounts differ only by case.
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+userSchema.statics.findByEmail = async function (email) {
+  const exact = await this.findOne({ email });
+  if (exact) return exact;
+  return this.findOne({ email }).collation(CASE_INSENSITIVE);
+};
+
+userSchema.statics.emailTaken = function (email) {
+  return this.exists({ email }).collation(CASE_INSENSITIVE);
+};
+
 // Compare passwords
 userSchema.methods.correctPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+import Student from "./Student.js";
+import VisitorPolicy from "./VisitorPolicy.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+} from "../lib/errors.js";
+
+const visitSchema = new mongoose.Schema(
+  {
+    // Resident being visited
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+    },
+    visitorName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    idNumber: {
+      type: String,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    purpose: {
+      type: String,
+      trim: true,
+    },
+    // expected visits were pre-registered by the resident
+    status: {
+      type: String,
+      enum: ["expected", "signed-in", "signed-out", "cancelled"],
+      default: "expected",
+    },
+    expectedAt: {
+      type: Date,
+    },
+    timeIn: {
+      type: Date,
+    },
+    timeOut: {
+      type: Date,
+    },
+    overnight: {
+      type: Boolean,
+      default: false,
+    },
+    overnightApproval: {
+      approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      approvedAt: {
+        type: Date,
+      },
+    },
+    registeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    signedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    signedOutBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+visitSchema.index({ student: 1, status: 1 });
+visitSchema.index({ status: 1, timeIn: -1 });
+visitSchema.index({ idNumber: 1 });
+
+visitSchema.virtual("overnightApproved").get(function () {
+  return Boolean(this.overnightApproval?.approvedAt);
+});
+
+// Sign the visitor in at the gate, applying the visitor policy
+visitSchema.methods.signIn = async function ({ by, role }, session = null) {
+  if (this.status !== "expected") {
+    throw new ConflictError(
+      `Visit is already ${this.status}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  const policy = await VisitorPolicy.current(session);
+  const now = new Date();
+
+  if (!policy.isWithinVisitingHours(now)) {
+    throw new BadRequestError(
+      `Visitors are only allowed between ${policy.visitingHoursStart} and ${policy.visitingHoursEnd}`,
+      "OUTSIDE_VISITING_HOURS"
+    );
+  }
+
+  const student = await Student.findById(this.student).session(session);
+  if (!student || student.status !== "active" || !student.room) {
+    throw new BadRequestError(
+      "Visitors can only be signed in for a current resident",
+      "NOT_A_RESIDENT"
+    );
+  }
+
+  const onSite = await this.constructor
+    .countDocuments({ student: student._id, status: "signed-in" })
+    .session(session);
+  if (onSite >= policy.maxVisitorsPerResident) {
+    throw new ConflictError(
+      `${student.name} already has ${onSite} visitor(s) on site (limit ${policy.maxVisitorsPerResident})`,
+      "VISITOR_LIMIT_REACHED"
+    );
+  }
+
+  if (
+    this.overnight &&
+    !this.overnightApproved &&
+    !policy.allowOvernightWithoutApproval
+  ) {
+    // A warden signing the guest in approves the stay there and then
+    if (!["admin", "warden"].includes(role)) {
+      throw new ForbiddenError(
+        "Overnight guests need a warden's approval",
+        "OVERNIGHT_APPROVAL_REQUIRED"
+      );
+    }
+    this.overnightApproval = { approvedBy: by, approvedAt: now };
+  }
+
+  this.room = student.room;
+  this.status = "signed-in";
+  this.timeIn = now;
+  this.signedInBy = by;
+  return this.save({ session });
+};
+
+visitSchema.methods.signOut = async function ({ by }) {
+  if (this.status !== "signed-in") {
+    throw new ConflictError(
+      "Visitor is not signed in",
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  this.status = "signed-out";
+  this.timeOut = new Date();
+  this.signedOutBy = by;
+  return this.save();
+};
+
+visitSchema.methods.approveOvernight = async function ({ by }) {
+  if (!this.overnight) {
+    throw new BadRequestError(
+      "This visit is not an overnight stay",
+      "NOT_OVERNIGHT"
+    );
+  }
+  if (!["expected", "signed-in"].includes(this.status)) {
+    throw new ConflictError(
+      `Visit is already ${this.status}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  this.overnightApproval = { approvedBy: by, approvedAt: new Date() };
+  return this.save();
+};
+
+// Static method to find visitors still on site after visiting hours ended
+// on the day they came in, without an approved overnight stay
+visitSchema.statics.findOverstays = async function (now = new Date()) {
+  const policy = await VisitorPolicy.current();
+  const onSite = await this.find({ status: "signed-in" })
+    .populate("student", "name studentId phone")
+    .populate("room", "roomNumber");
+
+  return onSite.filter(
+    (visit) =>
+      !(visit.overnightApproved || policy.allowOvernightWithoutApproval) &&
+      policy.visitingEndsAt(visit.timeIn) < now
+  );
+};
+
+export default mongoose.model("Visit", visitSchema);
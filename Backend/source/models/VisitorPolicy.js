@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import { BadRequestError } from "../lib/errors.js";
+import { atHostelTime } from "../lib/timezone.js";
+
+const timeOfDay = {
+  type: String,
+  match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Use 24-hour HH:MM time"],
+};
+
+const visitorPolicySchema = new mongoose.Schema(
+  {
+    // Only one policy is in force; it is stored under this key
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    visitingHoursStart: {
+      ...timeOfDay,
+      default: "08:00",
+    },
+    visitingHoursEnd: {
+      ...timeOfDay,
+      default: "20:00",
+    },
+    // Visitors one resident may have on site at the same time
+    maxVisitorsPerResident: {
+      type: Number,
+      default: 2,
+      min: 1,
+    },
+    // Overnight guests need a warden's approval unless this is switched on
+    allowOvernightWithoutApproval: {
+      type: Boolean,
+      default: false,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+visitorPolicySchema.pre("validate", function (next) {
+  if (this.visitingHoursStart >= this.visitingHoursEnd) {
+    return next(
+      new BadRequestError(
+        "Visiting hours must end after they start",
+        "INVALID_VISITING_HOURS"
+      )
+    );
+  }
+  next();
+});
+
+// Turn an HH:MM time at the hostel into a Date on the same hostel day as
+// the one given, whatever timezone the server runs in
+const atTime = (date, time) => atHostelTime(date, time);
+
+// Static method to get the policy in force (created with defaults if missing)
+visitorPolicySchema.statics.current = async function (session = null) {
+  const policy = await this.findOne({ key: "default" }).session(session);
+  if (policy) return policy;
+
+  const created = await this.create([{ key: "default" }], { session });
+  return created[0];
+};
+
+visitorPolicySchema.methods.isWithinVisitingHours = function (at = new Date()) {
+  return (
+    at >= atTime(at, this.visitingHoursStart) &&
+    at < atTime(at, this.visitingHoursEnd)
+  );
+};
+
+// When visiting hours end on the day of the given time
+visitorPolicySchema.methods.visitingEndsAt = function (at = new Date()) {
+  return atTime(at, this.visitingHoursEnd);
+};
+
+export default mongoose.model("VisitorPolicy", visitorPolicySchema);
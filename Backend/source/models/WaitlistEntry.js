@@ -0,0 +1,255 @@
+import mongoose from "mongoose";
+import Room from "./Room.js";
+import Booking, { ACTIVE_BOOKING_STATUSES } from "./Booking.js";
+import { ConflictError, NotFoundError } from "../lib/errors.js";
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    // A specific room, or any room matching the filters below
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+    },
+    filters: {
+      floor: {
+        type: Number,
+      },
+      maxPrice: {
+        type: Number,
+      },
+    },
+    checkInDate: {
+      type: Date,
+      required: true,
+    },
+    checkOutDate: {
+      type: Date,
+      required: true,
+    },
+    // Higher goes first; the warden can raise it to jump the queue
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+      default: "waiting",
+    },
+    offer: {
+      room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Room",
+      },
+      bed: {
+        type: String,
+      },
+      offeredAt: {
+        type: Date,
+      },
+      expiresAt: {
+        type: Date,
+      },
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Queue order: priority first, then first come first served
+export const WAITLIST_ORDER = { priority: -1, createdAt: 1 };
+
+waitlistEntrySchema.index({ status: 1, priority: -1, createdAt: 1 });
+waitlistEntrySchema.index({ student: 1, status: 1 });
+
+const holdHours = () => Number(process.env.WAITLIST_HOLD_HOURS || 24);
+
+// Does a room satisfy what this entry is waiting for?
+waitlistEntrySchema.methods.matchesRoom = function (room) {
+  if (this.room) return this.room.equals(room._id);
+  if (this.filters?.floor != null && room.floor !== this.filters.floor) {
+    return false;
+  }
+  if (this.filters?.maxPrice != null && room.price > this.filters.maxPrice) {
+    return false;
+  }
+  return true;
+};
+
+// Static method to offer a room's free bed to the next eligible student.
+// Returns the entry that received the offer, if any.
+waitlistEntrySchema.statics.offerFreedBed = async function (
+  roomId,
+  session = null
+) {
+  const room = await Room.findById(roomId).session(session);
+  if (!room || room.status === "maintenance") return null;
+
+  const entries = await this.find({ status: "waiting" })
+    .sort(WAITLIST_ORDER)
+    .session(session);
+
+  for (const entry of entries) {
+    if (!entry.matchesRoom(room)) continue;
+
+    // Students who booked elsewhere meanwhile are skipped
+    const activeBooking = await Booking.findOne({
+      student: entry.student,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+    }).session(session);
+    if (activeBooking) continue;
+
+    let label;
+    try {
+      label = await Booking.freeBedLabel(
+        room,
+        entry.checkInDate,
+        entry.checkOutDate,
+        { session }
+      );
+    } catch (error) {
+      continue;
+    }
+
+    const expiresAt = new Date(Date.now() + holdHours() * 60 * 60 * 1000);
+
+    const bed = room.beds.find((b) => b.label === label);
+    bed.heldFor = entry.student;
+    bed.heldUntil = expiresAt;
+    await room.save({ session });
+
+    entry.status = "offered";
+    entry.offer = {
+      room: room._id,
+      bed: label,
+      offeredAt: new Date(),
+      expiresAt,
+    };
+    await entry.save({ session });
+
+    return entry;
+  }
+
+  return null;
+};
+
+// Release the hold behind an offer and pass the bed on
+const releaseOffer = async (model, entry, session) => {
+  const room = await Room.findById(entry.offer.room).session(session);
+  if (!room) return;
+
+  const bed = room.beds.find((b) => b.label === entry.offer.bed);
+  if (bed?.heldFor?.equals(entry.student)) {
+    bed.heldFor = undefined;
+    bed.heldUntil = undefined;
+    await room.save({ session });
+  }
+
+  await model.offerFreedBed(room._id, session);
+};
+
+// Static method to close a student's waitlist entry once they have booked
+waitlistEntrySchema.statics.markBooked = async function (
+  booking,
+  session = null
+) {
+  const entry = await this.findOne({
+    student: booking.student,
+    status: { $in: ["waiting", "offered"] },
+  }).session(session);
+  if (!entry) return null;
+
+  const previousOffer = entry.status === "offered" ? entry.offer : null;
+
+  entry.status = "booked";
+  entry.booking = booking._id;
+  await entry.save({ session });
+
+  // Booking somewhere else frees the held bed for the next person
+  if (
+    previousOffer &&
+    !(
+      previousOffer.room.equals(booking.room) &&
+      previousOffer.bed === booking.bed
+    )
+  ) {
+    await releaseOffer(this, entry, session);
+  }
+
+  return entry;
+};
+
+// Static method to withdraw an entry, releasing any bed held for it
+waitlistEntrySchema.statics.withdraw = async function (
+  entryId,
+  session = null
+) {
+  const entry = await this.findById(entryId).session(session);
+  if (!entry) throw new NotFoundError("Waitlist entry");
+
+  if (!["waiting", "offered"].includes(entry.status)) {
+    throw new ConflictError(
+      `Waitlist entry is already ${entry.status}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  const wasOffered = entry.status === "offered";
+  entry.status = "cancelled";
+  await entry.save({ session });
+
+  if (wasOffered) await releaseOffer(this, entry, session);
+
+  return entry;
+};
+
+// Static method to expire lapsed offers and pass their beds on
+waitlistEntrySchema.statics.expireOffers = async function () {
+  const lapsed = await this.find({
+    status: "offered",
+    "offer.expiresAt": { $lte: new Date() },
+  });
+
+  // Each offer expires and passes its bed on in one transaction, so a bed is
+  // never left held for an expired offer
+  let expired = 0;
+  for (const { _id } of lapsed) {
+    const session = await mongoose.startSession();
+    try {
+      let released = false;
+      await session.withTransaction(async () => {
+        // Reload inside the transaction; the student may have booked since
+        const entry = await this.findById(_id).session(session);
+        released = entry?.status === "offered";
+        if (!released) return;
+
+        entry.status = "expired";
+        await entry.save({ session });
+        await releaseOffer(this, entry, session);
+      });
+      if (released) expired += 1;
+    } catch (error) {
+      console.error(`Expiring waitlist offer ${_id} failed:`, error);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return expired;
+};
+
+export default mongoose.model("WaitlistEntry", waitlistEntrySchema);
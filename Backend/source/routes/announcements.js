@@ -0,0 +1,278 @@
+import express from "express";
+import Announcement from "../models/Announcement.js";
+import Student from "../models/Student.js";
+import { protect, warden } from "../middleware/auth.js";
+import {
+  validate,
+  field,
+  optional,
+  checkObjectId,
+} from "../middleware/validate.js";
+import { NotFoundError } from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+const TARGETS = ["all", "floor", "rooms", "status"];
+
+const announcementFields = {
+  title: field.string({ required: true, max: 200 }),
+  body: field.string({ required: true }),
+  target: field.string({ enum: TARGETS }),
+  floors: field.array(field.integer({ min: 0 })),
+  rooms: field.array(field.id()),
+  studentStatuses: field.array(
+    field.string({ enum: ["active", "graduated", "left"] })
+  ),
+  pinned: field.boolean(),
+  // null takes the expiry off
+  expiresAt: field.date({ nullable: true }),
+};
+
+// @desc    Publish a notice
+// @route   POST /api/announcements
+// @access  Private (Admin/Warden)
+router.post(
+  "/",
+  protect,
+  warden,
+  validate({ body: announcementFields }),
+  async (req, res, next) => {
+    try {
+      const announcement = await Announcement.create({
+        ...req.body,
+        publishedBy: req.user._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Announcement published",
+        data: announcement,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const announcementList = listQuery({
+  sort: ["createdAt", "expiresAt"],
+  dates: ["createdAt", "expiresAt"],
+  fields: fieldsOf(Announcement),
+});
+
+// @desc    Get all notices with read counts
+// @route   GET /api/announcements
+// @access  Private (Admin/Warden)
+router.get(
+  "/",
+  protect,
+  warden,
+  validate({
+    query: {
+      active: field.boolean(),
+      target: field.string({ enum: TARGETS }),
+      pinned: field.boolean(),
+      ...announcementList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { active, target, pinned } = req.query;
+
+      const filter = {};
+      if (target) filter.target = target;
+      if (pinned !== undefined) filter.pinned = pinned;
+      if (active === true) {
+        filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+      } else if (active === false) {
+        filter.expiresAt = { $lte: new Date() };
+      }
+
+      const { data, ...page } = await announcementList.run(
+        Announcement.find(filter)
+          .populate("publishedBy", "name")
+          .populate("rooms", "roomNumber"),
+        req.query
+      );
+
+      res.json({
+        success: true,
+        ...page,
+        data: data.map((announcement) => {
+          const { readBy, ...rest } = announcement.toObject();
+          return readBy ? { ...rest, readCount: readBy.length } : rest;
+        }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get the logged-in student's notice feed
+// @route   GET /api/announcements/feed
+// @access  Private (Student)
+router.get(
+  "/feed",
+  protect,
+  validate({ query: { unread: field.boolean() } }),
+  async (req, res, next) => {
+    try {
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student) {
+        throw new NotFoundError("Student");
+      }
+
+      const filter = await Announcement.feedFilter(student);
+      const [announcements, readIds] = await Promise.all([
+        Announcement.find(filter)
+          .select("-readBy")
+          .populate("publishedBy", "name")
+          .sort({ pinned: -1, createdAt: -1 }),
+        Announcement.find({
+          ...filter,
+          "readBy.student": student._id,
+        }).distinct("_id"),
+      ]);
+
+      const read = new Set(readIds.map((id) => id.toString()));
+      let feed = announcements.map((announcement) => ({
+        ...announcement.toObject(),
+        read: read.has(announcement._id.toString()),
+      }));
+      if (req.query.unread) {
+        feed = feed.filter((announcement) => !announcement.read);
+      }
+
+      res.json({
+        success: true,
+        count: feed.length,
+        unreadCount: announcements.length - read.size,
+        data: feed,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Mark a notice as read
+// @route   PATCH /api/announcements/:id/read
+// @access  Private (Student)
+router.patch("/:id/read", protect, async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      throw new NotFoundError("Student");
+    }
+
+    const announcement = await Announcement.findOne({
+      _id: req.params.id,
+      ...(await Announcement.feedFilter(student)),
+    }).select("_id");
+    if (!announcement) {
+      throw new NotFoundError("Announcement");
+    }
+
+    // Only the first read is recorded
+    await Announcement.updateOne(
+      { _id: announcement._id, "readBy.student": { $ne: student._id } },
+      { $push: { readBy: { student: student._id, readAt: new Date() } } }
+    );
+
+    res.json({
+      success: true,
+      message: "Announcement marked as read",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get read receipts for a notice
+// @route   GET /api/announcements/:id/receipts
+// @access  Private (Admin/Warden)
+router.get("/:id/receipts", protect, warden, async (req, res, next) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id).populate(
+      "readBy.student",
+      "name studentId"
+    );
+
+    if (!announcement) {
+      throw new NotFoundError("Announcement");
+    }
+
+    const recipients = await announcement.recipients();
+    const unread = recipients.filter(
+      (student) => !announcement.isReadBy(student._id)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        recipients: recipients.length,
+        readCount: announcement.readBy.length,
+        read: announcement.readBy,
+        unread,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Edit a notice
+// @route   PUT /api/announcements/:id
+// @access  Private (Admin/Warden)
+router.put(
+  "/:id",
+  protect,
+  warden,
+  validate({ body: optional(announcementFields) }),
+  async (req, res, next) => {
+    try {
+      const announcement = await Announcement.findById(req.params.id);
+
+      if (!announcement) {
+        throw new NotFoundError("Announcement");
+      }
+
+      announcement.set(req.body);
+      await announcement.save();
+
+      res.json({
+        success: true,
+        message: "Announcement updated",
+        data: announcement,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Remove a notice
+// @route   DELETE /api/announcements/:id
+// @access  Private (Admin/Warden)
+router.delete("/:id", protect, warden, async (req, res, next) => {
+  try {
+    const announcement = await Announcement.findByIdAndDelete(req.params.id);
+
+    if (!announcement) {
+      throw new NotFoundError("Announcement");
+    }
+
+    res.json({
+      success: true,
+      message: "Announcement removed",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,188 @@
+import express from "express";
+import Asset, { ASSET_CONDITIONS, ASSET_ITEMS } from "../models/Asset.js";
+import Room from "../models/Room.js";
+import { protect, admin, warden } from "../middleware/auth.js";
+import {
+  validate,
+  field,
+  optional,
+  checkObjectId,
+} from "../middleware/validate.js";
+import { ConflictError, NotFoundError } from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+// lastInspectedAt is only set by inspections
+const assetFields = {
+  room: field.id({ required: true }),
+  bed: field.string({ uppercase: true }),
+  item: field.string({ required: true, enum: ASSET_ITEMS }),
+  description: field.string({ max: 500 }),
+  tag: field.string({ required: true, uppercase: true }),
+  condition: field.string({ enum: ASSET_CONDITIONS }),
+  replacementCost: field.number({ min: 0 }),
+  notes: field.string({ max: 1000 }),
+};
+
+const assetList = listQuery({
+  sort: ["tag", "item", "condition", "lastInspectedAt", "createdAt"],
+  defaultSort: "tag",
+  dates: ["lastInspectedAt"],
+  fields: fieldsOf(Asset),
+});
+
+// @desc    Get the asset register with filtering
+// @route   GET /api/assets
+// @access  Private (Admin/Warden)
+router.get(
+  "/",
+  protect,
+  warden,
+  validate({
+    query: {
+      room: field.id(),
+      item: field.string({ enum: ASSET_ITEMS }),
+      condition: field.string({ enum: ASSET_CONDITIONS }),
+      tag: field.string({ uppercase: true }),
+      ...assetList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { room, item, condition, tag } = req.query;
+
+      const filter = {};
+      if (room) filter.room = room;
+      if (item) filter.item = item;
+      if (condition) filter.condition = condition;
+      if (tag) filter.tag = tag;
+
+      const assets = Asset.find(filter).populate("room", "roomNumber floor");
+
+      res.json({
+        success: true,
+        ...(await assetList.run(assets, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get single asset
+// @route   GET /api/assets/:id
+// @access  Private (Admin/Warden)
+router.get("/:id", protect, warden, async (req, res, next) => {
+  try {
+    const asset = await Asset.findById(req.params.id).populate(
+      "room",
+      "roomNumber floor"
+    );
+
+    if (!asset) {
+      throw new NotFoundError("Asset");
+    }
+
+    res.json({
+      success: true,
+      data: asset,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Register an asset to a room
+// @route   POST /api/assets
+// @access  Private (Admin/Warden)
+router.post(
+  "/",
+  protect,
+  warden,
+  validate({ body: assetFields }),
+  async (req, res, next) => {
+    try {
+      const room = await Room.findById(req.body.room);
+      if (!room) {
+        throw new NotFoundError("Room");
+      }
+
+      const asset = await Asset.create(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: asset,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(
+          new ConflictError("Asset tag already exists", "ASSET_TAG_TAKEN")
+        );
+      }
+      next(error);
+    }
+  }
+);
+
+// @desc    Update an asset (including moving it to another room)
+// @route   PUT /api/assets/:id
+// @access  Private (Admin/Warden)
+router.put(
+  "/:id",
+  protect,
+  warden,
+  validate({ body: optional(assetFields) }),
+  async (req, res, next) => {
+    try {
+      const asset = await Asset.findById(req.params.id);
+
+      if (!asset) {
+        throw new NotFoundError("Asset");
+      }
+
+      if (req.body.room && !(await Room.exists({ _id: req.body.room }))) {
+        throw new NotFoundError("Room");
+      }
+
+      asset.set(req.body);
+      await asset.save();
+
+      res.json({
+        success: true,
+        data: asset,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(
+          new ConflictError("Asset tag already exists", "ASSET_TAG_TAKEN")
+        );
+      }
+      next(error);
+    }
+  }
+);
+
+// @desc    Remove an asset from the register
+// @route   DELETE /api/assets/:id
+// @access  Private (Admin only)
+router.delete("/:id", protect, admin, async (req, res, next) => {
+  try {
+    const asset = await Asset.findByIdAndDelete(req.params.id);
+
+    if (!asset) {
+      throw new NotFoundError("Asset");
+    }
+
+    res.json({
+      success: true,
+      message: "Asset removed successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
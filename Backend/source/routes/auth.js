@@ -1,77 +1,519 @@
 import express from "express";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import { protect } from "../middleware/auth.js";
+import AuthSession from "../models/AuthSession.js";
+import AccountToken from "../models/AccountToken.js";
+import StaffInvitation from "../models/StaffInvitation.js";
+import { protect, admin } from "../middleware/auth.js";
+import { sendAccountEmail, appLink } from "../lib/mailer.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import {
+  AuthenticationError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../lib/errors.js";
 
 const router = express.Router();
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
+router.param("id", checkObjectId);
+
+// Passwords are taken exactly as typed
+const newPassword = field.string({ required: true, min: 8, trim: false });
+const tokenBody = { token: field.string({ required: true }) };
+
+// Access tokens are short-lived; the refresh token keeps the user signed in
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || "15m",
   });
 };
 
-// Register
-router.post("/register", async (req, res) => {
-  try {
-    const { name, email, password, role } = req.body;
+const VERIFY_TOKEN_MINUTES = 24 * 60;
+const RESET_TOKEN_MINUTES = 30;
+
+// Mail the user a link to confirm their email address
+const sendVerificationEmail = async (user) => {
+  const token = await AccountToken.issue(
+    user,
+    "email-verification",
+    VERIFY_TOKEN_MINUTES
+  );
+  await sendAccountEmail(user, "email-verification", {
+    link: appLink("/verify-email", token),
+    expiresInMinutes: VERIFY_TOKEN_MINUTES,
+  });
+};
+
+// Open a session and return the user with both tokens
+const signIn = async (req, user) => {
+  const { session, refreshToken } = await AuthSession.issue(user, {
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified !== false,
+    token: generateToken(user._id, session._id),
+    refreshToken,
+  };
+};
+
+// Register (public sign-up always creates a student; staff are invited)
+router.post(
+  "/register",
+  validate({
+    body: {
+      name: field.string({ required: true, max: 100 }),
+      email: field.email({ required: true }),
+      password: newPassword,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { name, email, password } = req.body;
 
-    const userExists = await User.findOne({ email });
-    if (userExists) {
-      return res.status(400).json({ message: "User already exists" });
+      if (await User.emailTaken(email)) {
+        throw new ConflictError("User already exists", "EMAIL_TAKEN");
+      }
+
+      const user = await User.create({
+        name,
+        email,
+        password,
+        role: "student",
+        emailVerified: false,
+      });
+
+      // The account exists either way; the user can ask for another link
+      await sendVerificationEmail(user).catch((err) =>
+        console.error("Verification email failed:", err)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Account created",
+        data: await signIn(req, user),
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    const user = await User.create({
-      name,
-      email,
-      password,
-      role,
-    });
+// Login
+router.post(
+  "/login",
+  validate({
+    body: {
+      email: field.email({ required: true }),
+      password: field.string({ required: true, trim: false }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      // Check if user exists and password is correct
+      const user = await User.findByEmail(email);
+
+      if (!user || !(await user.correctPassword(password))) {
+        throw new AuthenticationError(
+          "Invalid email or password",
+          "INVALID_CREDENTIALS"
+        );
+      }
+      if (!user.active) {
+        throw new ForbiddenError(
+          "This account has been deactivated",
+          "ACCOUNT_DEACTIVATED"
+        );
+      }
+
+      res.json({ success: true, data: await signIn(req, user) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Accept a staff invitation and create the account it was issued for
+router.post(
+  "/invitations/accept",
+  validate({
+    body: {
+      ...tokenBody,
+      name: field.string({ max: 100 }),
+      password: newPassword,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { token, name, password } = req.body;
+
+      const invitation = await StaffInvitation.claim(token);
+
+      let user;
+      try {
+        if (await User.emailTaken(invitation.email)) {
+          throw new ConflictError("User already exists", "EMAIL_TAKEN");
+        }
+
+        // The invitation was emailed, so the address is known to be good
+        user = await User.create({
+          name: name || invitation.name,
+          email: invitation.email,
+          password,
+          role: invitation.role,
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+        });
+      } catch (error) {
+        // Leave the invitation open so the form can be fixed and resent
+        invitation.acceptedAt = undefined;
+        await invitation.save();
+        throw error;
+      }
+
+      invitation.acceptedUser = user._id;
+      await invitation.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Invitation accepted",
+        data: await signIn(req, user),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Swap a refresh token for a new access token and refresh token
+router.post(
+  "/refresh",
+  validate({ body: { refreshToken: field.string({ required: true }) } }),
+  async (req, res, next) => {
+    try {
+      const { session, refreshToken } = await AuthSession.rotate(
+        req.body.refreshToken
+      );
+
+      const user = await User.findById(session.user);
+      if (!user?.active) {
+        await session.revoke("account deactivated");
+        throw new AuthenticationError(
+          "This account has been deactivated",
+          "ACCOUNT_DEACTIVATED"
+        );
+      }
+
+      res.json({
+        success: true,
+        data: {
+          token: generateToken(session.user, session._id),
+          refreshToken,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Log out of this device
+router.post("/logout", protect, async (req, res, next) => {
+  try {
+    await req.authSession.revoke("logged out");
+    res.json({ success: true, message: "Logged out" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log out of every device
+router.post("/logout-all", protect, async (req, res, next) => {
+  try {
+    const count = await AuthSession.revokeAll(req.user._id, "logged out");
+    res.json({ success: true, message: `Logged out of ${count} session(s)` });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.status(201).json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      token: generateToken(user._id),
+// List the devices the user is signed in on
+router.get("/sessions", protect, async (req, res, next) => {
+  try {
+    const sessions = await AuthSession.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip lastUsedAt createdAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id),
+      })),
     });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    next(error);
   }
 });
 
-// Login
-router.post("/login", async (req, res) => {
+// Confirm an email address from the emailed link
+router.post(
+  "/verify-email",
+  validate({ body: tokenBody }),
+  async (req, res, next) => {
+    try {
+      const userId = await AccountToken.consume(
+        req.body.token,
+        "email-verification"
+      );
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new NotFoundError("User");
+      }
+
+      await user.markEmailVerified();
+      res.json({ success: true, message: "Email verified" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Send the logged-in user another verification link
+router.post("/verify-email/resend", protect, async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    if (req.user.emailVerified !== false) {
+      throw new ConflictError(
+        "Email is already verified",
+        "EMAIL_ALREADY_VERIFIED"
+      );
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ success: true, message: "Verification email sent" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: send a user another verification link
+router.post(
+  "/users/:id/verify-email/resend",
+  protect,
+  admin,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        throw new NotFoundError("User");
+      }
+      if (user.emailVerified !== false) {
+        throw new ConflictError(
+          "Email is already verified",
+          "EMAIL_ALREADY_VERIFIED"
+        );
+      }
+
+      await sendVerificationEmail(user);
+      res.json({ success: true, message: "Verification email sent" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-    // Check if user exists and password is correct
-    const user = await User.findOne({ email });
+// Admin: mark a user's email as verified without the link
+router.patch(
+  "/users/:id/verify-email",
+  protect,
+  admin,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        throw new NotFoundError("User");
+      }
+
+      await user.markEmailVerified();
+      res.json({ success: true, message: "Email marked as verified" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Start a password reset. The answer is the same whether or not the email
+// is registered so accounts cannot be discovered this way.
+router.post(
+  "/forgot-password",
+  validate({ body: { email: field.email({ required: true }) } }),
+  async (req, res, next) => {
+    try {
+      const user = await User.findByEmail(req.body.email);
+
+      if (user) {
+        const token = await AccountToken.issue(
+          user,
+          "password-reset",
+          RESET_TOKEN_MINUTES
+        );
+        await sendAccountEmail(user, "password-reset", {
+          link: appLink("/reset-password", token),
+          expiresInMinutes: RESET_TOKEN_MINUTES,
+        });
+      }
 
-    if (user && (await user.correctPassword(password))) {
       res.json({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        token: generateToken(user._id),
+        success: true,
+        message: "If that email is registered, a reset link has been sent",
       });
-    } else {
-      res.status(401).json({ message: "Invalid email or password" });
+    } catch (error) {
+      next(error);
     }
-  } catch (error) {
-    res.status(400).json({ message: error.message });
   }
-});
+);
+
+// Set a new password from the emailed link (signs out every device)
+router.post(
+  "/reset-password",
+  validate({ body: { ...tokenBody, password: newPassword } }),
+  async (req, res, next) => {
+    try {
+      const { token, password } = req.body;
+
+      const userId = await AccountToken.consume(token, "password-reset");
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new NotFoundError("User");
+      }
+
+      user.password = password;
+      // Getting the link proves the user owns the address
+      if (user.emailVerified === false) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Password has been reset. Please log in again",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 // Get current user
 router.get("/me", protect, async (req, res) => {
   res.json({
-    _id: req.user._id,
-    name: req.user.name,
-    email: req.user.email,
-    role: req.user.role,
+    success: true,
+    data: {
+      _id: req.user._id,
+      name: req.user.name,
+      email: req.user.email,
+      role: req.user.role,
+      emailVerified: req.user.emailVerified !== false,
+    },
   });
 });
 
+// Summaries and responses for the OpenAPI document (lib/openapi.js)
+const account = {
+  _id: { type: "string" },
+  name: { type: "string" },
+  email: { type: "string", format: "email" },
+  role: { type: "string", enum: ["admin", "warden", "guard", "student"] },
+  emailVerified: { type: "boolean" },
+};
+
+const tokens = {
+  token: {
+    type: "string",
+    description: "Access token, sent as Authorization: Bearer <token>",
+  },
+  refreshToken: {
+    type: "string",
+    description: "Swapped for new tokens at POST /api/auth/refresh",
+  },
+};
+
+const signedIn = { type: "object", properties: { ...account, ...tokens } };
+
+export const docs = {
+  "POST /register": {
+    summary: "Register a student account",
+    description: "Public sign-up always creates a student; staff are invited.",
+    status: 201,
+    data: signedIn,
+  },
+  "POST /login": { summary: "Log in", data: signedIn },
+  "POST /invitations/accept": {
+    summary: "Accept a staff invitation and create the account",
+    status: 201,
+    data: signedIn,
+  },
+  "POST /refresh": {
+    summary: "Swap a refresh token for a new access token and refresh token",
+    description: "A refresh token can only be used once.",
+    data: { type: "object", properties: tokens },
+  },
+  "POST /logout": { summary: "Log out of this device" },
+  "POST /logout-all": { summary: "Log out of every device" },
+  "GET /sessions": {
+    summary: "List the devices the user is signed in on",
+    data: [
+      {
+        type: "object",
+        properties: {
+          _id: { type: "string" },
+          userAgent: { type: "string" },
+          ip: { type: "string" },
+          lastUsedAt: { type: "string", format: "date-time" },
+          createdAt: { type: "string", format: "date-time" },
+          expiresAt: { type: "string", format: "date-time" },
+          current: { type: "boolean" },
+        },
+      },
+    ],
+  },
+  "POST /verify-email": { summary: "Confirm an email address" },
+  "POST /verify-email/resend": {
+    summary: "Send the signed-in user another verification link",
+  },
+  "POST /users/:id/verify-email/resend": {
+    summary: "Send a user another verification link",
+  },
+  "PATCH /users/:id/verify-email": {
+    summary: "Mark a user's email as verified without the link",
+  },
+  "POST /forgot-password": {
+    summary: "Start a password reset",
+    description:
+      "The answer is the same whether or not the email is registered.",
+  },
+  "POST /reset-password": {
+    summary: "Set a new password from the emailed link",
+    description: "Signs the user out of every device.",
+  },
+  "GET /me": {
+    summary: "Get the signed-in user",
+    data: { type: "object", properties: account },
+  },
+};
+
 export default router;
@@ -1,20 +1,81 @@
 import express from "express";
 import mongoose from "mongoose";
-import Booking from "../models/Booking.js";
+import Booking, { ACTIVE_BOOKING_STATUSES } from "../models/Booking.js";
 import Room from "../models/Room.js";
 import Student from "../models/Student.js";
+import User from "../models/User.js";
+import Invoice from "../models/Invoice.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import Refund from "../models/Refund.js";
+import DamageCharge from "../models/DamageCharge.js";
+import Payment from "../models/Payment.js";
+import MpesaTransaction from "../models/MpesaTransaction.js";
+import TransferRequest from "../models/TransferRequest.js";
+import Review from "../models/Review.js";
+import Notification from "../models/Notification.js";
+import CancellationPolicy from "../models/CancellationPolicy.js";
+import { ASSET_CONDITIONS } from "../models/Asset.js";
+import { protect, warden } from "../middleware/auth.js";
+import { authorize, isStaff, scopeFilter } from "../middleware/policy.js";
+import {
+  validate,
+  field,
+  optional,
+  checkObjectId,
+} from "../middleware/validate.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+import { countMonths } from "../lib/billingMonths.js";
+import { ref } from "../lib/openapi.js";
 
 const router = express.Router();
 
-// Helper functions
-const calculateDuration = (checkInDate, checkOutDate) => {
-  const start = new Date(checkInDate);
-  const end = new Date(checkOutDate);
-  const diffTime = Math.abs(end - start);
-  const diffMonths = Math.ceil(diffTime / (1000 * 60 * 60 * 24 * 30));
-  return diffMonths;
+router.param("id", checkObjectId);
+router.param("studentId", checkObjectId);
+
+const bookingFields = {
+  checkInDate: field.date({ required: true }),
+  checkOutDate: field.date({ required: true }),
+  duration: field.integer({ min: 1 }),
+  totalAmount: field.number({ min: 0 }),
+};
+
+// Body for the lifecycle endpoints; check-in and check-out may also carry
+// a room checklist
+const noteBody = { note: field.string({ max: 500 }) };
+const inspectionBody = {
+  ...noteBody,
+  inspection: field.object({
+    items: field.array(
+      field.object({
+        asset: field.id(),
+        tag: field.string(),
+        condition: field.string({ enum: ASSET_CONDITIONS }),
+        charge: field.number({ min: 0 }),
+        notes: field.string({ max: 500 }),
+      })
+    ),
+    notes: field.string({ max: 1000 }),
+  }),
 };
 
+const bookingList = listQuery({
+  sort: ["createdAt", "checkInDate", "checkOutDate", "totalAmount", "status"],
+  dates: ["checkInDate", "checkOutDate", "createdAt"],
+  fields: fieldsOf(Booking),
+});
+
+// Helper functions
+// Calendar months, as the invoice schedule bills them
+const calculateDuration = (checkInDate, checkOutDate) =>
+  countMonths(checkInDate, checkOutDate);
+
 const validateBookingDates = (checkInDate, checkOutDate) => {
   const checkIn = new Date(checkInDate);
   const checkOut = new Date(checkOutDate);
@@ -22,262 +83,818 @@ const validateBookingDates = (checkInDate, checkOutDate) => {
   today.setHours(0, 0, 0, 0);
 
   if (checkIn < today) {
-    throw new Error("Check-in date cannot be in the past");
+    throw new BadRequestError(
+      "Check-in date cannot be in the past",
+      "CHECK_IN_IN_PAST"
+    );
   }
 
   if (checkOut <= checkIn) {
-    throw new Error("Check-out date must be after check-in date");
+    throw new BadRequestError(
+      "Check-out date must be after check-in date",
+      "INVALID_DATE_RANGE"
+    );
   }
 
   // Maximum booking duration (e.g., 12 months)
   const maxDuration = 12;
   const duration = calculateDuration(checkInDate, checkOutDate);
   if (duration > maxDuration) {
-    throw new Error(`Booking duration cannot exceed ${maxDuration} months`);
+    throw new BadRequestError(
+      `Booking duration cannot exceed ${maxDuration} months`,
+      "BOOKING_TOO_LONG"
+    );
   }
 };
 
 const validateBookingRequest = (student, room, checkInDate, checkOutDate) => {
-  if (!student || !room || !checkInDate || !checkOutDate) {
-    throw new Error(
-      "Student, room, checkInDate, and checkOutDate are required"
-    );
-  }
+  const missing = Object.entries({ student, room, checkInDate, checkOutDate })
+    .filter(([, value]) => !value)
+    .map(([name]) => ({
+      field: name,
+      location: "body",
+      message: `${name} is required`,
+    }));
+
+  if (missing.length > 0) throw new ValidationError(missing);
 };
 
-// Enhanced room availability check
-const checkRoomAvailability = async (roomId, session = null) => {
+// Check that a room has a spare bed for the whole requested window
+const checkRoomAvailability = async (
+  roomId,
+  checkInDate,
+  checkOutDate,
+  { session = null, exclude } = {}
+) => {
   const query = Room.findById(roomId);
   if (session) query.session(session);
 
   const room = await query;
 
   if (!room) {
-    throw new Error("Room not found");
+    throw new NotFoundError("Room");
   }
 
-  if (room.status !== "available") {
-    throw new Error(`Room is not available. Current status: ${room.status}`);
+  if (room.status === "maintenance") {
+    throw new ConflictError(
+      "Room is not available. Current status: maintenance",
+      "ROOM_UNAVAILABLE"
+    );
   }
 
-  if (room.currentOccupancy >= room.capacity) {
-    throw new Error("Room is already at full capacity");
+  const taken = await Booking.bedsTakenByRoom(checkInDate, checkOutDate, {
+    rooms: [room._id],
+    exclude,
+    session,
+  });
+
+  if ((taken[room._id.toString()] || 0) >= room.bookableBeds) {
+    throw new ConflictError(
+      "Room is already at full capacity for the selected dates",
+      "ROOM_FULL"
+    );
   }
 
   return room;
 };
 
-// Create a booking with enhanced validation
-router.post("/", async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+// Create a booking with enhanced validation (students book for themselves
+// at the room's price; staff may book for anyone)
+router.post(
+  "/",
+  protect,
+  authorize("booking", "create"),
+  validate({
+    body: {
+      student: field.id(),
+      room: field.id({ required: true }),
+      bed: field.string({ uppercase: true }),
+      ...bookingFields,
+    },
+  }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      let createdBooking;
+      await session.withTransaction(async () => {
+        let body = req.body;
+        if (!isStaff(req.user)) {
+          const { duration, totalAmount, ...rest } = req.body;
+          body = { ...rest, student: req.student._id };
+        }
 
-  try {
-    const { student, room, checkInDate, checkOutDate, duration, totalAmount } =
-      req.body;
-
-    // Validate required fields
-    validateBookingRequest(student, room, checkInDate, checkOutDate);
-    validateBookingDates(checkInDate, checkOutDate);
-
-    // Check if student exists
-    const studentExists = await Student.findById(student).session(session);
-    if (!studentExists) {
-      await session.abortTransaction();
-      return res.status(404).json({ message: "Student not found" });
-    }
+        const {
+          student,
+          room,
+          checkInDate,
+          checkOutDate,
+          duration,
+          totalAmount,
+        } = body;
+
+        // Validate required fields
+        validateBookingRequest(student, room, checkInDate, checkOutDate);
+        validateBookingDates(checkInDate, checkOutDate);
+
+        // Check if student exists
+        const studentExists = await Student.findById(student).session(session);
+        if (!studentExists) {
+          throw new NotFoundError("Student");
+        }
+
+        // Students have to confirm their email before they can book
+        const account = await User.findById(studentExists.user).session(
+          session
+        );
+        if (account?.emailVerified === false) {
+          throw new ForbiddenError(
+            "Student must verify their email address before booking",
+            "EMAIL_NOT_VERIFIED"
+          );
+        }
+
+        // Check the room has a spare bed for the requested dates
+        const roomExists = await checkRoomAvailability(
+          room,
+          checkInDate,
+          checkOutDate,
+          { session }
+        );
+
+        // Check if student already has an active booking
+        const existingBooking = await Booking.findOne({
+          student: student,
+          status: { $in: ["confirmed", "checked-in"] },
+        }).session(session);
+
+        if (existingBooking) {
+          throw new ConflictError(
+            "Student already has an active booking",
+            "BOOKING_OVERLAP"
+          );
+        }
 
-    // Enhanced room availability check
-    const roomExists = await checkRoomAvailability(room, session);
+        // Calculate duration and total amount
+        const calculatedDuration =
+          duration || calculateDuration(checkInDate, checkOutDate);
+        const calculatedTotalAmount =
+          totalAmount || roomExists.price * calculatedDuration;
+
+        // Pick the bed the student will sleep in
+        const bed = await Booking.freeBedLabel(
+          roomExists,
+          checkInDate,
+          checkOutDate,
+          { label: body.bed, student, session }
+        );
+
+        const bookingData = {
+          ...body,
+          bed,
+          duration: calculatedDuration,
+          totalAmount: calculatedTotalAmount,
+          paidAmount: 0,
+          status: "confirmed",
+          history: [{ to: "confirmed", note: "Booking created" }],
+        };
+
+        // Create booking
+        const booking = await Booking.create([bookingData], { session });
+        createdBooking = booking[0];
+
+        // Generate the monthly invoice schedule
+        await Invoice.generateForBooking(createdBooking, session);
+
+        // Close the student's waitlist entry, if they had one
+        await WaitlistEntry.markBooked(createdBooking, session);
+
+        await Notification.enqueue(
+          {
+            student: createdBooking.student,
+            template: "booking-created",
+            data: {
+              roomNumber: roomExists.roomNumber,
+              bed,
+              checkInDate: createdBooking.checkInDate,
+              checkOutDate: createdBooking.checkOutDate,
+              totalAmount: createdBooking.totalAmount,
+            },
+          },
+          session
+        );
+      });
 
-    // Check if student already has an active booking
-    const existingBooking = await Booking.findOne({
-      student: student,
-      status: { $in: ["confirmed", "checked-in"] },
-    }).session(session);
+      // Populate and return response
+      const populatedBooking = await Booking.findById(createdBooking._id)
+        .populate("student")
+        .populate("room");
 
-    if (existingBooking) {
-      await session.abortTransaction();
-      return res.status(400).json({
-        message: "Student already has an active booking",
+      res.status(201).json({
+        success: true,
+        message: "Booking created successfully",
+        data: populatedBooking,
       });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
     }
+  }
+);
+
+// Get rooms with a spare bed for a date range (defaults to tonight)
+router.get(
+  "/available-rooms",
+  validate({
+    query: { checkInDate: field.date(), checkOutDate: field.date() },
+  }),
+  async (req, res, next) => {
+    try {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const tomorrow = new Date(today);
+      tomorrow.setDate(today.getDate() + 1);
+
+      const checkInDate = req.query.checkInDate || today;
+      const checkOutDate = req.query.checkOutDate || tomorrow;
+
+      if (checkOutDate <= checkInDate) {
+        throw new BadRequestError(
+          "Check-out date must be after check-in date",
+          "INVALID_DATE_RANGE"
+        );
+      }
+
+      const rooms = await Room.find({ status: { $ne: "maintenance" } }).sort({
+        roomNumber: 1,
+      });
+      // Beds on hold for waitlisted students are not offered to others.
+      // They are taken whatever is booked on them, so count them only once.
+      const taken = await Booking.bedsTakenByRoom(checkInDate, checkOutDate, {
+        ignoreBeds: rooms.flatMap((room) =>
+          room.heldBeds.map((bed) => ({ room: room._id, bed: bed.label }))
+        ),
+      });
 
-    // Calculate duration and total amount
-    const calculatedDuration =
-      duration || calculateDuration(checkInDate, checkOutDate);
-    const calculatedTotalAmount =
-      totalAmount || roomExists.price * calculatedDuration;
-
-    const bookingData = {
-      ...req.body,
-      duration: calculatedDuration,
-      totalAmount: calculatedTotalAmount,
-    };
-
-    // Create booking
-    const booking = await Booking.create([bookingData], { session });
-    const createdBooking = booking[0];
-
-    // Update room occupancy
-    roomExists.currentOccupancy += 1;
-    if (roomExists.currentOccupancy === roomExists.capacity) {
-      roomExists.status = "occupied";
+      const availableRooms = rooms
+        .map((room) => ({
+          ...room.toObject(),
+          availableBeds:
+            room.bookableBeds -
+            room.heldBeds.length -
+            (taken[room._id.toString()] || 0),
+        }))
+        .filter((room) => room.availableBeds > 0);
+
+      res.json({
+        success: true,
+        checkInDate,
+        checkOutDate,
+        count: availableRooms.length,
+        data: availableRooms,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get bookings with filtering (students only see their own)
+router.get(
+  "/",
+  protect,
+  validate({
+    query: {
+      status: field.string({
+        enum: [
+          "confirmed",
+          "checked-in",
+          "checked-out",
+          "cancelled",
+          "no-show",
+        ],
+      }),
+      student: field.id(),
+      room: field.id(),
+      ...bookingList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, student, room } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (student) filter.student = student;
+      if (room) filter.room = room;
+      Object.assign(filter, await scopeFilter(req, "booking"));
+
+      const bookings = Booking.find(filter)
+        .populate("student")
+        .populate("room");
+
+      res.json({
+        success: true,
+        ...(await bookingList.run(bookings, req.query)),
+      });
+    } catch (error) {
+      next(error);
     }
-    await roomExists.save({ session });
+  }
+);
 
-    // Commit transaction
-    await session.commitTransaction();
+// Get bookings for a specific student
+router.get(
+  "/student/:studentId",
+  protect,
+  authorize("student", "read", { param: "studentId" }),
+  validate({ query: bookingList.query }),
+  async (req, res, next) => {
+    try {
+      const bookings = Booking.find({ student: req.params.studentId })
+        .populate("student")
+        .populate("room");
+
+      res.json({
+        success: true,
+        ...(await bookingList.run(bookings, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-    // Populate and return response
-    const populatedBooking = await Booking.findById(createdBooking._id)
-      .populate("student")
-      .populate("room");
+// Get a single booking by ID
+router.get(
+  "/:id",
+  protect,
+  authorize("booking", "read"),
+  async (req, res, next) => {
+    try {
+      const booking = await Booking.findById(req.params.id)
+        .populate("student")
+        .populate("room")
+        .populate("history.by", "name role");
+
+      if (!booking) {
+        throw new NotFoundError("Booking");
+      }
+      res.json({
+        success: true,
+        data: booking,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the invoice schedule for a booking
+router.get(
+  "/:id/invoices",
+  protect,
+  authorize("booking", "read"),
+  async (req, res, next) => {
+    try {
+      const booking = req.record;
+
+      const invoices = await Invoice.find({ booking: booking._id }).sort({
+        installment: 1,
+      });
 
-    res.status(201).json({
-      message: "Booking created successfully",
-      booking: populatedBooking,
-    });
-  } catch (error) {
-    await session.abortTransaction();
-    res.status(400).json({ message: error.message });
-  } finally {
-    session.endSession();
+      res.json({
+        success: true,
+        count: invoices.length,
+        summary: {
+          totalAmount: booking.totalAmount,
+          chargesAmount: booking.chargesAmount,
+          paidAmount: booking.paidAmount,
+          balance: booking.balance,
+        },
+        data: invoices,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+// Update booking (admin/warden only)
+router.put(
+  "/:id",
+  protect,
+  authorize("booking", "update"),
+  // Status moves through the lifecycle endpoints, paidAmount through
+  // /api/payments and chargesAmount through /api/damage-charges
+  validate({ body: optional(bookingFields) }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      const updateData = req.body;
+      let bookingId;
+
+      await session.withTransaction(async () => {
+        const booking = await Booking.findById(req.params.id).session(session);
+
+        if (!booking) {
+          throw new NotFoundError("Booking");
+        }
 
-// Get available rooms for booking
-router.get("/available-rooms", async (req, res) => {
-  try {
-    const { checkInDate, checkOutDate } = req.query;
+        const checkInDate = updateData.checkInDate || booking.checkInDate;
+        const checkOutDate = updateData.checkOutDate || booking.checkOutDate;
+        const datesChanged =
+          checkInDate.getTime() !== booking.checkInDate.getTime() ||
+          checkOutDate.getTime() !== booking.checkOutDate.getTime();
+
+        if (datesChanged) {
+          if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+            throw new ConflictError(
+              `A ${booking.status} booking cannot be re-dated`,
+              "INVALID_STATUS_TRANSITION"
+            );
+          }
+
+          // A student who has arrived keeps their check-in date, so only a
+          // change to it has to be in the future
+          if (checkInDate.getTime() !== booking.checkInDate.getTime()) {
+            validateBookingDates(checkInDate, checkOutDate);
+          } else if (checkOutDate <= checkInDate) {
+            throw new BadRequestError(
+              "Check-out date must be after check-in date",
+              "INVALID_DATE_RANGE"
+            );
+          }
+
+          // The booking must still have its bed (or, for bookings made
+          // before beds were tracked, a spare bed in the room) for the new
+          // window, leaving its own dates out of the count
+          if (booking.bed) {
+            const room = await Room.findById(booking.room).session(session);
+            if (!room) throw new NotFoundError("Room");
+            await Booking.freeBedLabel(room, checkInDate, checkOutDate, {
+              label: booking.bed,
+              student: booking.student,
+              exclude: booking._id,
+              session,
+            });
+          } else {
+            await checkRoomAvailability(
+              booking.room,
+              checkInDate,
+              checkOutDate,
+              { session, exclude: booking._id }
+            );
+          }
+
+          // Keep the booking's monthly rate over the new number of months
+          if (updateData.duration === undefined) {
+            const previousMonths = calculateDuration(
+              booking.checkInDate,
+              booking.checkOutDate
+            );
+            booking.duration = calculateDuration(checkInDate, checkOutDate);
+            if (updateData.totalAmount === undefined) {
+              booking.totalAmount = Math.round(
+                (booking.totalAmount / previousMonths) * booking.duration
+              );
+            }
+          }
+        }
+
+        booking.set(updateData);
+
+        // A total below what has already been paid would leave money on
+        // the books that no invoice accounts for
+        if (
+          booking.isModified("totalAmount") &&
+          booking.totalAmount + (booking.chargesAmount || 0) <
+            booking.paidAmount
+        ) {
+          throw new ConflictError(
+            `Total cannot drop below the ${booking.paidAmount} already paid`,
+            "TOTAL_BELOW_PAID"
+          );
+        }
 
-    // Get all available rooms
-    const availableRooms = await Room.find({
-      status: "available",
-      $expr: { $lt: ["$currentOccupancy", "$capacity"] },
-    }).sort({ roomNumber: 1 });
+        await booking.save({ session });
+        bookingId = booking._id;
 
-    res.json({
-      success: true,
-      count: availableRooms.length,
-      data: availableRooms,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+        // Keep the invoice schedule in line with the booking
+        if (
+          ["checkInDate", "checkOutDate", "duration", "totalAmount"].some(
+            (field) => updateData[field] !== undefined
+          )
+        ) {
+          await Invoice.generateForBooking(booking, session);
+        }
+      });
+
+      const booking = await Booking.findById(bookingId)
+        .populate("student")
+        .populate("room");
+
+      res.json({
+        success: true,
+        message: "Booking updated successfully",
+        data: booking,
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
+    }
   }
-});
+);
+
+// Run a lifecycle transition (checkIn, checkOut, cancel, markNoShow) in a
+// transaction and return the updated booking (and any refund it created)
+const runTransition = (action, successMessage) => async (req, res, next) => {
+  const session = await mongoose.startSession();
 
-// Other routes remain the same...
-// Get all bookings with filtering
-router.get("/", async (req, res) => {
   try {
-    const { status, student, room } = req.query;
+    let booking;
+    await session.withTransaction(async () => {
+      booking = await Booking.findById(req.params.id).session(session);
 
-    const filter = {};
-    if (status) filter.status = status;
-    if (student) filter.student = student;
-    if (room) filter.room = room;
+      if (!booking) {
+        throw new NotFoundError("Booking");
+      }
+
+      await booking[action](
+        {
+          by: req.user._id,
+          note: req.body.note,
+          inspection: req.body.inspection,
+        },
+        session
+      );
+    });
 
-    const bookings = await Booking.find(filter)
+    const updatedBooking = await Booking.findById(booking._id)
       .populate("student")
       .populate("room")
-      .sort({ createdAt: -1 });
+      .populate("history.by", "name role");
+    const refund = await Refund.findOne({ booking: booking._id });
+    const damageCharges = await DamageCharge.find({ booking: booking._id });
 
     res.json({
-      count: bookings.length,
-      bookings,
+      success: true,
+      message: successMessage,
+      data: updatedBooking,
+      refund,
+      damageCharges,
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
+  } finally {
+    session.endSession();
   }
-});
+};
 
-// Get bookings for a specific student
-router.get("/student/:studentId", async (req, res) => {
+// Mark overdue confirmed bookings as no-shows (also runs as a scheduled job)
+router.post("/no-shows/run", protect, warden, async (req, res, next) => {
   try {
-    const bookings = await Booking.find({ student: req.params.studentId })
-      .populate("student")
-      .populate("room")
-      .sort({ createdAt: -1 });
+    const marked = await Booking.markNoShows({ by: req.user._id });
 
     res.json({
-      count: bookings.length,
-      bookings,
+      success: true,
+      message: `${marked.length} booking(s) marked as no-show`,
+      count: marked.length,
+      data: marked,
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    next(error);
   }
 });
 
-// Get a single booking by ID
-router.get("/:id", async (req, res) => {
-  try {
-    const booking = await Booking.findById(req.params.id)
-      .populate("student")
-      .populate("room");
+// Check a student in (body may carry an inspection checklist:
+// { inspection: { items: [{ tag, condition, notes }], notes } })
+router.post(
+  "/:id/check-in",
+  protect,
+  warden,
+  validate({ body: inspectionBody }),
+  runTransition("checkIn", "Student checked in successfully")
+);
+
+// Check a student out; items in worse condition than at check-in raise
+// pending damage charges (an item may carry a proposed "charge")
+router.post(
+  "/:id/check-out",
+  protect,
+  warden,
+  validate({ body: inspectionBody }),
+  runTransition("checkOut", "Student checked out successfully")
+);
+
+// Preview the refund a cancellation would give under the current policy
+router.get(
+  "/:id/cancellation-quote",
+  protect,
+  authorize("booking", "cancel"),
+  async (req, res, next) => {
+    try {
+      const booking = await Booking.findById(req.params.id);
+
+      if (!booking) {
+        throw new NotFoundError("Booking");
+      }
 
-    if (!booking) {
-      return res.status(404).json({ message: "Booking not found" });
-    }
-    res.json(booking);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
+      if (booking.status !== "confirmed") {
+        throw new ConflictError(
+          `A ${booking.status} booking cannot be cancelled`,
+          "INVALID_STATUS_TRANSITION"
+        );
+      }
 
-// Update booking
-router.put("/:id", async (req, res) => {
-  try {
-    const booking = await Booking.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    })
-      .populate("student")
-      .populate("room");
+      const policy = await CancellationPolicy.current();
 
-    if (!booking) {
-      return res.status(404).json({ message: "Booking not found" });
+      res.json({
+        success: true,
+        data: policy.evaluate(booking),
+        policy,
+      });
+    } catch (error) {
+      next(error);
     }
-
-    res.json(booking);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
   }
-});
-
-// Delete booking
-router.delete("/:id", async (req, res) => {
-  try {
-    const booking = await Booking.findById(req.params.id);
-
-    if (!booking) {
-      return res.status(404).json({ message: "Booking not found" });
-    }
+);
+
+// Cancel a booking (keeps the record and applies the cancellation policy)
+router.post(
+  "/:id/cancel",
+  protect,
+  authorize("booking", "cancel"),
+  validate({ body: noteBody }),
+  runTransition("cancel", "Booking cancelled successfully")
+);
+
+// Mark a booking as a no-show
+router.post(
+  "/:id/no-show",
+  protect,
+  warden,
+  validate({ body: noteBody }),
+  runTransition("markNoShow", "Booking marked as no-show")
+);
+
+// Hard delete a booking (admin only; use cancel for normal cancellations).
+// Bookings with money or reviews on record have to be cancelled instead so
+// the student's account still adds up.
+router.delete(
+  "/:id",
+  protect,
+  authorize("booking", "delete"),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        const booking = await Booking.findById(req.params.id).session(session);
+
+        if (!booking) {
+          throw new NotFoundError("Booking");
+        }
 
-    // Update room occupancy when booking is deleted
-    if (
-      booking.room &&
-      (booking.status === "confirmed" || booking.status === "checked-in")
-    ) {
-      const room = await Room.findById(booking.room);
-      if (room) {
-        room.currentOccupancy = Math.max(0, room.currentOccupancy - 1);
-        if (room.currentOccupancy < room.capacity) {
-          room.status = "available";
+        const filter = { booking: booking._id };
+        for (const Model of [Payment, MpesaTransaction, DamageCharge, Review]) {
+          if (await Model.exists(filter).session(session)) {
+            throw new ConflictError(
+              "Booking has payments, charges or reviews on record; " +
+                "cancel it instead",
+              "BOOKING_HAS_RECORDS"
+            );
+          }
         }
-        await room.save();
-      }
-    }
 
-    await Booking.findByIdAndDelete(req.params.id);
+        // Free the bed held by the booking and clear the student's room
+        await booking.vacate(session);
 
-    res.json({ message: "Booking deleted successfully" });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+        await Invoice.deleteMany(filter, { session });
+        await Refund.deleteMany(filter, { session });
+        await TransferRequest.deleteMany(filter, { session });
+        await Booking.deleteOne({ _id: booking._id }, { session });
+        await WaitlistEntry.offerFreedBed(booking.room, session);
+      });
+
+      res.json({
+        success: true,
+        message: "Booking deleted successfully",
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
+    }
   }
+);
+
+// Summaries and responses for the OpenAPI document (lib/openapi.js)
+const accountSummary = {
+  type: "object",
+  properties: {
+    totalAmount: { type: "number" },
+    chargesAmount: { type: "number" },
+    paidAmount: { type: "number" },
+    balance: { type: "number" },
+  },
+};
+
+const transition = (summary, description) => ({
+  summary,
+  description,
+  data: "Booking",
+  extra: {
+    refund: { ...ref("Refund"), nullable: true },
+    damageCharges: { type: "array", items: ref("DamageCharge") },
+  },
 });
 
+export const docs = {
+  "POST /": {
+    summary: "Create a booking",
+    description:
+      "Students book for themselves at the room's price; staff may book for " +
+      "any student and set the duration and total. Students must have " +
+      "verified their email.",
+    status: 201,
+    data: "Booking",
+  },
+  "GET /available-rooms": {
+    summary: "Get rooms with a spare bed for a date range",
+    description: "Defaults to tonight.",
+    data: ["Room"],
+    extra: {
+      checkInDate: { type: "string", format: "date-time" },
+      checkOutDate: { type: "string", format: "date-time" },
+    },
+  },
+  "GET /": {
+    summary: "Get bookings with filtering",
+    description: "Students only see their own bookings.",
+    list: "Booking",
+  },
+  "GET /student/:studentId": {
+    summary: "Get bookings for a specific student",
+    list: "Booking",
+  },
+  "GET /:id": { summary: "Get a single booking", data: "Booking" },
+  "GET /:id/invoices": {
+    summary: "Get the invoice schedule for a booking",
+    data: ["Invoice"],
+    extra: { summary: accountSummary },
+  },
+  "PUT /:id": {
+    summary: "Update a booking",
+    description:
+      "New dates are checked like a new booking and must leave the " +
+      "booking's bed free; the invoice schedule is rebuilt to match. " +
+      "The total cannot drop below what has already been paid.",
+    data: "Booking",
+  },
+  "POST /no-shows/run": {
+    summary: "Mark overdue confirmed bookings as no-shows",
+    description: "Also runs as a scheduled job.",
+    data: ["Booking"],
+  },
+  "POST /:id/check-in": transition(
+    "Check a student in",
+    "The body may carry a room checklist: " +
+      "{ inspection: { items: [{ tag, condition, notes }], notes } }."
+  ),
+  "POST /:id/check-out": transition(
+    "Check a student out",
+    "Items in worse condition than at check-in raise pending damage " +
+      "charges (an item may carry a proposed charge)."
+  ),
+  "GET /:id/cancellation-quote": {
+    summary: "Preview the refund a cancellation would give",
+    data: {
+      type: "object",
+      properties: {
+        rule: { type: "string" },
+        daysNotice: { type: "integer" },
+        amountPaid: { type: "number" },
+        refundAmount: { type: "number" },
+        forfeitedAmount: { type: "number" },
+      },
+    },
+    extra: { policy: ref("CancellationPolicy") },
+  },
+  "POST /:id/cancel": transition(
+    "Cancel a booking",
+    "Keeps the record and applies the cancellation policy."
+  ),
+  "POST /:id/no-show": transition("Mark a booking as a no-show"),
+  "DELETE /:id": {
+    summary: "Hard delete a booking",
+    description:
+      "Use cancel for normal cancellations. Refused for bookings with " +
+      "payments, M-Pesa transactions, damage charges or reviews on record.",
+  },
+};
+
 export default router;
@@ -0,0 +1,134 @@
+import express from "express";
+import mongoose from "mongoose";
+import DamageCharge from "../models/DamageCharge.js";
+import { protect, warden } from "../middleware/auth.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import { NotFoundError } from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+const noteBody = { note: field.string({ max: 500 }) };
+
+const populateCharge = (query) =>
+  query
+    .populate("student", "name studentId phone")
+    .populate("room", "roomNumber floor")
+    .populate("asset", "item tag replacementCost")
+    .populate("reviewedBy", "name");
+
+const chargeList = listQuery({
+  sort: ["createdAt", "amount"],
+  dates: ["createdAt"],
+  fields: fieldsOf(DamageCharge),
+});
+
+// @desc    Get damage charges with filtering
+// @route   GET /api/damage-charges
+// @access  Private (Admin/Warden)
+router.get(
+  "/",
+  protect,
+  warden,
+  validate({
+    query: {
+      status: field.string({ enum: ["pending", "confirmed", "waived"] }),
+      student: field.id(),
+      booking: field.id(),
+      ...chargeList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, student, booking } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (student) filter.student = student;
+      if (booking) filter.booking = booking;
+
+      const charges = populateCharge(DamageCharge.find(filter));
+
+      res.json({
+        success: true,
+        ...(await chargeList.run(charges, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Confirm a damage charge and bill it to the student
+// @route   PATCH /api/damage-charges/:id/confirm
+// @access  Private (Admin/Warden)
+router.patch(
+  "/:id/confirm",
+  protect,
+  warden,
+  validate({ body: { ...noteBody, amount: field.number({ min: 0 }) } }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      let charge;
+      await session.withTransaction(async () => {
+        charge = await DamageCharge.findById(req.params.id).session(
+          session
+        );
+
+        if (!charge) {
+          throw new NotFoundError("Damage charge");
+        }
+
+        await charge.confirm(
+          { by: req.user._id, amount: req.body.amount, note: req.body.note },
+          session
+        );
+      });
+
+      res.json({
+        success: true,
+        message: "Damage charge confirmed",
+        data: await populateCharge(DamageCharge.findById(charge._id)),
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @desc    Waive a damage charge
+// @route   PATCH /api/damage-charges/:id/waive
+// @access  Private (Admin/Warden)
+router.patch(
+  "/:id/waive",
+  protect,
+  warden,
+  validate({ body: noteBody }),
+  async (req, res, next) => {
+    try {
+      const charge = await DamageCharge.findById(req.params.id);
+
+      if (!charge) {
+        throw new NotFoundError("Damage charge");
+      }
+
+      await charge.waive({ by: req.user._id, note: req.body.note });
+
+      res.json({
+        success: true,
+        message: "Damage charge waived",
+        data: await populateCharge(DamageCharge.findById(charge._id)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,95 @@
+import express from "express";
+import Room from "../models/Room.js";
+import Booking from "../models/Booking.js";
+import Student from "../models/Student.js";
+import Review from "../models/Review.js";
+import Invoice from "../models/Invoice.js";
+import Refund from "../models/Refund.js";
+import DamageCharge from "../models/DamageCharge.js";
+import CancellationPolicy from "../models/CancellationPolicy.js";
+import authRoutes, { docs as authDocs } from "./auth.js";
+import roomRoutes, { docs as roomDocs } from "./rooms.js";
+import bookingRoutes, { docs as bookingDocs } from "./bookings.js";
+import studentRoutes, { docs as studentDocs } from "./students.js";
+import reviewRoutes, { docs as reviewDocs } from "./review.js";
+import { buildOpenApi } from "../lib/openapi.js";
+
+const router = express.Router();
+
+// Built once at startup, so a route without a docs entry stops the server
+// from starting rather than going out undocumented
+const spec = buildOpenApi({
+  info: {
+    title: "California-Hostel-Nyawita Management API",
+    version: "1.0.0",
+    description:
+      "Errors use the envelope { success: false, code, message, errors? }; " +
+      "codes are stable and safe to branch on.",
+  },
+  routers: [
+    { prefix: "/api/auth", tag: "Auth", router: authRoutes, docs: authDocs },
+    { prefix: "/api/rooms", tag: "Rooms", router: roomRoutes, docs: roomDocs },
+    {
+      prefix: "/api/bookings",
+      tag: "Bookings",
+      router: bookingRoutes,
+      docs: bookingDocs,
+    },
+    {
+      prefix: "/api/students",
+      tag: "Students",
+      router: studentRoutes,
+      docs: studentDocs,
+    },
+    {
+      prefix: "/api/reviews",
+      tag: "Reviews",
+      router: reviewRoutes,
+      docs: reviewDocs,
+    },
+  ],
+  models: [
+    Room,
+    Booking,
+    Student,
+    Review,
+    Invoice,
+    Refund,
+    DamageCharge,
+    CancellationPolicy,
+  ],
+});
+
+// Swagger UI, loaded from a CDN so it adds no dependency
+const docsPage = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${spec.info.title}</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="docs"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#docs" });
+    </script>
+  </body>
+</html>
+`;
+
+// @desc    Interactive API documentation
+// @route   GET /api/docs
+// @access  Public
+router.get("/", (req, res) => {
+  res.type("html").send(docsPage(`${req.baseUrl}/openapi.json`));
+});
+
+// @desc    OpenAPI 3 document for the auth, rooms, bookings, students and reviews routes
+// @route   GET /api/docs/openapi.json
+// @access  Public
+router.get("/openapi.json", (req, res) => {
+  res.json(spec);
+});
+
+export default router;
@@ -0,0 +1,295 @@
+import express from "express";
+import mongoose from "mongoose";
+import GateLog from "../models/GateLog.js";
+import CurfewPolicy from "../models/CurfewPolicy.js";
+import Student from "../models/Student.js";
+import { parsePassPayload, passQrPng } from "../lib/gatePass.js";
+import { protect, admin, warden, security } from "../middleware/auth.js";
+import { validate, field } from "../middleware/validate.js";
+import { BadRequestError, NotFoundError } from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+// Direction is worked out from the last movement when left off
+const movementBody = {
+  direction: field.string({ enum: ["in", "out"] }),
+  note: field.string({ max: 500 }),
+};
+
+// Accept either the Mongo id or the studentId printed on the card
+const findStudent = (key) =>
+  Student.findOne(
+    mongoose.isValidObjectId(key) ? { _id: key } : { studentId: key }
+  );
+
+const sendPass = async (res, student) => {
+  const png = await passQrPng(student.studentId);
+  res.setHeader("Content-Type", "image/png");
+  res.setHeader(
+    "Content-Disposition",
+    `inline; filename="gate-pass-${student.studentId}.png"`
+  );
+  res.send(png);
+};
+
+// Shared handler for recording a movement once the student is known
+const logMovement = async (req, res, student, method) => {
+  if (student.status !== "active") {
+    throw new BadRequestError(
+      `${student.name} is not a current resident`,
+      "NOT_A_RESIDENT"
+    );
+  }
+
+  const { direction, note } = req.body;
+
+  const log = await GateLog.record({
+    student,
+    direction,
+    method,
+    by: req.user._id,
+    note,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: log.curfewViolation
+      ? `${student.name} signed in after curfew`
+      : `${student.name} signed ${log.direction}`,
+    data: log,
+  });
+};
+
+// @desc    Get the curfew policy in force
+// @route   GET /api/gate/policy
+// @access  Private
+router.get("/policy", protect, async (req, res, next) => {
+  try {
+    const policy = await CurfewPolicy.current();
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update the curfew policy
+// @route   PUT /api/gate/policy
+// @access  Private (Admin only)
+router.put(
+  "/policy",
+  protect,
+  admin,
+  validate({
+    body: {
+      curfewTime: field.time(),
+      curfewEndTime: field.time(),
+      repeatThreshold: field.integer({ min: 1 }),
+      repeatWindowDays: field.integer({ min: 1 }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const policy = await CurfewPolicy.current();
+
+      policy.set(req.body);
+      policy.updatedBy = req.user._id;
+      await policy.save();
+
+      res.json({
+        success: true,
+        message: "Curfew policy updated successfully",
+        data: policy,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get the logged-in student's gate pass QR code
+// @route   GET /api/gate/pass
+// @access  Private (Student)
+router.get("/pass", protect, async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      throw new NotFoundError("Student");
+    }
+
+    await sendPass(res, student);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a student's gate pass QR code for printing
+// @route   GET /api/gate/pass/:student
+// @access  Private (Admin/Warden)
+router.get("/pass/:student", protect, warden, async (req, res, next) => {
+  try {
+    const student = await findStudent(req.params.student);
+    if (!student) {
+      throw new NotFoundError("Student");
+    }
+
+    await sendPass(res, student);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Record an entry or exit from a scanned gate pass
+// @route   POST /api/gate/scan
+// @access  Private (Admin/Warden/Guard)
+router.post(
+  "/scan",
+  protect,
+  security,
+  validate({
+    body: { payload: field.string({ required: true }), ...movementBody },
+  }),
+  async (req, res, next) => {
+    try {
+      const studentId = parsePassPayload(req.body.payload);
+      if (!studentId) {
+        throw new BadRequestError("Invalid gate pass", "INVALID_GATE_PASS");
+      }
+
+      const student = await Student.findOne({ studentId });
+      if (!student) {
+        throw new NotFoundError("Student");
+      }
+
+      await logMovement(req, res, student, "qr");
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Record an entry or exit by hand
+// @route   POST /api/gate/log
+// @access  Private (Admin/Warden/Guard)
+router.post(
+  "/log",
+  protect,
+  security,
+  // student is the Mongo id or the studentId printed on the card
+  validate({
+    body: { student: field.string({ required: true }), ...movementBody },
+  }),
+  async (req, res, next) => {
+    try {
+      const student = await findStudent(req.body.student);
+      if (!student) {
+        throw new NotFoundError("Student");
+      }
+
+      await logMovement(req, res, student, "manual");
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// The log is filtered by time with from/to
+const logList = listQuery({
+  sort: ["at"],
+  defaultSort: "-at",
+  fields: fieldsOf(GateLog),
+  defaultLimit: 50,
+});
+
+// @desc    Get the gate log with filtering
+// @route   GET /api/gate/log
+// @access  Private (Admin/Warden/Guard)
+router.get(
+  "/log",
+  protect,
+  security,
+  validate({
+    query: {
+      student: field.id(),
+      direction: movementBody.direction,
+      violations: field.boolean(),
+      from: field.date(),
+      to: field.date(),
+      ...logList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { student, direction, violations, from, to } = req.query;
+
+      const filter = {};
+      if (student) filter.student = student;
+      if (direction) filter.direction = direction;
+      if (violations) filter.curfewViolation = true;
+      if (from || to) {
+        filter.at = {};
+        if (from) filter.at.$gte = from;
+        if (to) filter.at.$lte = to;
+      }
+
+      const logs = GateLog.find(filter)
+        .populate("student", "name studentId room")
+        .populate("recordedBy", "name");
+
+      res.json({
+        success: true,
+        ...(await logList.run(logs, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get residents who are not in, per floor
+// @route   GET /api/gate/roll-call
+// @access  Private (Admin/Warden/Guard)
+router.get(
+  "/roll-call",
+  protect,
+  security,
+  validate({ query: { floor: field.integer({ min: 0 }) } }),
+  async (req, res, next) => {
+    try {
+      const floors = await GateLog.rollCall({ floor: req.query.floor });
+      const policy = await CurfewPolicy.current();
+
+      res.json({
+        success: true,
+        curfewTime: policy.curfewTime,
+        count: floors.reduce((sum, floor) => sum + floor.count, 0),
+        data: floors,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get students with repeated curfew violations
+// @route   GET /api/gate/violations/repeat
+// @access  Private (Admin/Warden)
+router.get("/violations/repeat", protect, warden, async (req, res, next) => {
+  try {
+    const offenders = await GateLog.repeatOffenders();
+
+    res.json({
+      success: true,
+      count: offenders.length,
+      data: offenders,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
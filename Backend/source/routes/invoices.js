@@ -0,0 +1,154 @@
+import express from "express";
+import Invoice, { INVOICE_STATUSES } from "../models/Invoice.js";
+import { protect, warden } from "../middleware/auth.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import { NotFoundError } from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+// Build a filter from the common invoice query parameters
+const buildInvoiceFilter = ({ status, student, booking, room, month }) => {
+  const conditions = [];
+  if (status) conditions.push(Invoice.statusFilter(status));
+  if (student) conditions.push({ student });
+  if (booking) conditions.push({ booking });
+  if (room) conditions.push({ room });
+
+  // month=YYYY-MM restricts to invoices due in that calendar month
+  if (month) {
+    const [year, monthIndex] = month.split("-").map(Number);
+    conditions.push({
+      dueDate: {
+        $gte: new Date(year, monthIndex - 1, 1),
+        $lt: new Date(year, monthIndex, 1),
+      },
+    });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+const invoiceList = listQuery({
+  sort: ["dueDate", "amount", "createdAt"],
+  defaultSort: "dueDate",
+  dates: ["dueDate", "periodStart"],
+  fields: fieldsOf(Invoice),
+});
+
+// @desc    Get invoices with filtering (e.g. ?status=overdue)
+// @route   GET /api/invoices
+// @access  Private (Admin/Warden)
+router.get(
+  "/",
+  protect,
+  warden,
+  validate({
+    query: {
+      status: field.string({ enum: INVOICE_STATUSES }),
+      student: field.id(),
+      booking: field.id(),
+      room: field.id(),
+      month: field.string({
+        pattern: /^\d{4}-(0[1-9]|1[0-2])$/,
+        patternMessage: "must be in the format YYYY-MM",
+      }),
+      ...invoiceList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const filter = {
+        ...buildInvoiceFilter(req.query),
+        ...invoiceList.dateFilter(req.query),
+      };
+
+      const invoices = Invoice.find(filter)
+        .populate("student", "name studentId phone")
+        .populate("room", "roomNumber floor");
+
+      // Outstanding across every matching invoice, not just this page
+      const [page, amounts] = await Promise.all([
+        invoiceList.run(invoices, req.query),
+        Invoice.find({ ...filter, isVoid: false })
+          .select("amount paidAmount")
+          .lean(),
+      ]);
+      const totalOutstanding = amounts.reduce(
+        (sum, invoice) =>
+          sum + Math.max(0, invoice.amount - invoice.paidAmount),
+        0
+      );
+
+      res.json({
+        success: true,
+        ...page,
+        totalOutstanding,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get overdue arrears grouped by due month
+// @route   GET /api/invoices/stats/arrears
+// @access  Private (Admin/Warden)
+router.get("/stats/arrears", protect, warden, async (req, res, next) => {
+  try {
+    const arrears = await Invoice.aggregate([
+      { $match: Invoice.statusFilter("overdue") },
+      {
+        $group: {
+          _id: {
+            year: { $year: "$dueDate" },
+            month: { $month: "$dueDate" },
+          },
+          invoices: { $sum: 1 },
+          students: { $addToSet: "$student" },
+          outstanding: { $sum: { $subtract: ["$amount", "$paidAmount"] } },
+        },
+      },
+      { $sort: { "_id.year": 1, "_id.month": 1 } },
+    ]);
+
+    res.json({
+      success: true,
+      data: arrears.map((entry) => ({
+        month: `${entry._id.year}-${String(entry._id.month).padStart(2, "0")}`,
+        invoices: entry.invoices,
+        students: entry.students.length,
+        outstanding: entry.outstanding,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single invoice
+// @route   GET /api/invoices/:id
+// @access  Private (Admin/Warden)
+router.get("/:id", protect, warden, async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate("student", "name studentId phone email")
+      .populate("room", "roomNumber floor")
+      .populate("booking");
+
+    if (!invoice) {
+      throw new NotFoundError("Invoice");
+    }
+
+    res.json({
+      success: true,
+      data: invoice,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
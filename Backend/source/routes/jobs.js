@@ -0,0 +1,42 @@
+import express from "express";
+import { jobs, runJob, isValidCronSecret } from "../lib/jobs.js";
+import { AuthenticationError } from "../lib/errors.js";
+import { validate, field } from "../middleware/validate.js";
+
+const router = express.Router();
+
+const verifyCron = (req, res, next) => {
+  if (!isValidCronSecret(req.headers.authorization)) {
+    return next(
+      new AuthenticationError(
+        "Not authorized, invalid cron secret",
+        "INVALID_CRON_SECRET"
+      )
+    );
+  }
+  next();
+};
+
+// Run a scheduled job now (called by Vercel cron; see vercel.json)
+router.get(
+  "/:job",
+  verifyCron,
+  validate({
+    params: { job: field.string({ required: true, enum: Object.keys(jobs) }) },
+  }),
+  async (req, res, next) => {
+    try {
+      const result = await runJob(req.params.job);
+
+      res.json({
+        success: true,
+        job: req.params.job,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
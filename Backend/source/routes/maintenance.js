@@ -0,0 +1,376 @@
+import express from "express";
+import mongoose from "mongoose";
+import MaintenanceTicket, {
+  TICKET_CATEGORIES,
+  TICKET_TRANSITIONS,
+} from "../models/MaintenanceTicket.js";
+import Room from "../models/Room.js";
+import Student from "../models/Student.js";
+import User from "../models/User.js";
+import { protect, warden } from "../middleware/auth.js";
+import { isStaff } from "../middleware/policy.js";
+import {
+  validate,
+  field,
+  optional,
+  checkObjectId,
+} from "../middleware/validate.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+const TICKET_PRIORITIES = ["low", "medium", "high", "urgent"];
+
+const ticketFields = {
+  category: field.string({ required: true, enum: TICKET_CATEGORIES }),
+  priority: field.string({ enum: TICKET_PRIORITIES }),
+  description: field.string({ required: true, max: 2000 }),
+  blocksOccupancy: field.boolean(),
+};
+
+const populateTicket = (query) =>
+  query
+    .populate("room", "roomNumber floor status")
+    .populate("reportedBy", "name role")
+    .populate("assignedTo", "name role")
+    .populate("history.by", "name");
+
+const ticketList = listQuery({
+  sort: ["createdAt", "priority", "status", "resolvedAt"],
+  dates: ["createdAt", "resolvedAt"],
+  fields: fieldsOf(MaintenanceTicket),
+});
+
+// @desc    Report a maintenance problem
+// @route   POST /api/maintenance
+// @access  Private (Students for their own room, Admin/Warden for any room)
+router.post(
+  "/",
+  protect,
+  validate({
+    body: {
+      room: field.id({ required: true }),
+      bed: field.string({ uppercase: true }),
+      ...ticketFields,
+    },
+  }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      let ticket;
+      await session.withTransaction(async () => {
+        const { room: roomId, bed, category, priority, description } = req.body;
+
+        const room = await Room.findById(roomId).session(session);
+        if (!room) {
+          throw new NotFoundError("Room");
+        }
+
+        if (bed && !room.beds.some((b) => b.label === bed)) {
+          throw new NotFoundError(
+            "Bed",
+            `Room ${room.roomNumber} has no bed ${bed}`
+          );
+        }
+
+        const staff = isStaff(req.user);
+        if (!staff) {
+          const student = await Student.findOne({ user: req.user._id }).session(
+            session
+          );
+          if (!student?.room?.equals(room._id)) {
+            throw new ForbiddenError(
+              "You can only report problems in your own room"
+            );
+          }
+        }
+
+        [ticket] = await MaintenanceTicket.create(
+          [
+            {
+              room: room._id,
+              bed,
+              category,
+              priority,
+              description,
+              // Only staff decide whether a problem takes the room out of use
+              blocksOccupancy: staff && Boolean(req.body.blocksOccupancy),
+              reportedBy: req.user._id,
+              history: [{ to: "open", by: req.user._id }],
+            },
+          ],
+          { session }
+        );
+
+        if (ticket.blocksOccupancy) {
+          await MaintenanceTicket.syncRoomStatus(room._id, session);
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Maintenance ticket created",
+        data: ticket,
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @desc    Get maintenance tickets with filtering
+// @route   GET /api/maintenance
+// @access  Private (Admin/Warden)
+router.get(
+  "/",
+  protect,
+  warden,
+  validate({
+    query: {
+      status: field.string({ enum: Object.keys(TICKET_TRANSITIONS) }),
+      room: field.id(),
+      category: field.string({ enum: TICKET_CATEGORIES }),
+      priority: field.string({ enum: TICKET_PRIORITIES }),
+      assignedTo: field.id(),
+      blocking: field.boolean(),
+      ...ticketList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, room, category, priority, assignedTo, blocking } =
+        req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (room) filter.room = room;
+      if (category) filter.category = category;
+      if (priority) filter.priority = priority;
+      if (assignedTo) filter.assignedTo = assignedTo;
+      if (blocking !== undefined) filter.blocksOccupancy = blocking;
+
+      const tickets = populateTicket(MaintenanceTicket.find(filter));
+
+      res.json({
+        success: true,
+        ...(await ticketList.run(tickets, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get tickets reported by the logged-in user
+// @route   GET /api/maintenance/me
+// @access  Private
+router.get(
+  "/me",
+  protect,
+  validate({ query: ticketList.query }),
+  async (req, res, next) => {
+    try {
+      const tickets = populateTicket(
+        MaintenanceTicket.find({ reportedBy: req.user._id })
+      );
+
+      res.json({
+        success: true,
+        ...(await ticketList.run(tickets, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get mean time to resolve per category
+// @route   GET /api/maintenance/stats/resolution
+// @access  Private (Admin/Warden)
+router.get(
+  "/stats/resolution",
+  protect,
+  warden,
+  validate({ query: { from: field.date(), to: field.date() } }),
+  async (req, res, next) => {
+    try {
+      const { from, to } = req.query;
+
+      const [byCategory, open] = await Promise.all([
+        MaintenanceTicket.resolutionStats({ from, to }),
+        MaintenanceTicket.aggregate([
+          { $match: { status: { $in: ["open", "in-progress"] } } },
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      const openByCategory = Object.fromEntries(
+        open.map((row) => [row._id, row.count])
+      );
+
+      res.json({
+        success: true,
+        data: byCategory.map((row) => ({
+          ...row,
+          open: openByCategory[row.category] || 0,
+        })),
+        openByCategory,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get single ticket
+// @route   GET /api/maintenance/:id
+// @access  Private (Reporter or Admin/Warden)
+router.get("/:id", protect, async (req, res, next) => {
+  try {
+    const ticket = await populateTicket(
+      MaintenanceTicket.findById(req.params.id)
+    );
+
+    if (!ticket) {
+      throw new NotFoundError("Maintenance ticket");
+    }
+
+    if (!isStaff(req.user) && !ticket.reportedBy._id.equals(req.user._id)) {
+      throw new ForbiddenError("Not authorized to view this ticket");
+    }
+
+    res.json({
+      success: true,
+      data: ticket,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Triage a ticket (category, priority, assignee, blocking)
+// @route   PATCH /api/maintenance/:id
+// @access  Private (Admin/Warden)
+router.patch(
+  "/:id",
+  protect,
+  warden,
+  validate({
+    body: { ...optional(ticketFields), assignedTo: field.id() },
+  }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      let ticket;
+      await session.withTransaction(async () => {
+        ticket = await MaintenanceTicket.findById(req.params.id).session(
+          session
+        );
+
+        if (!ticket) {
+          throw new NotFoundError("Maintenance ticket");
+        }
+
+        const { assignedTo } = req.body;
+        if (assignedTo) {
+          const assignee = await User.findById(assignedTo).session(session);
+          if (!assignee || !isStaff(assignee)) {
+            throw new BadRequestError(
+              "Tickets can only be assigned to staff",
+              "INVALID_ASSIGNEE"
+            );
+          }
+        }
+
+        ticket.set(req.body);
+
+        const blockingChanged = ticket.isModified("blocksOccupancy");
+        await ticket.save({ session });
+
+        if (blockingChanged) {
+          await MaintenanceTicket.syncRoomStatus(ticket.room, session);
+        }
+      });
+
+      res.json({
+        success: true,
+        message: "Maintenance ticket updated",
+        data: await populateTicket(MaintenanceTicket.findById(ticket._id)),
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @desc    Move a ticket to open, in-progress or resolved
+// @route   PATCH /api/maintenance/:id/status
+// @access  Private (Admin/Warden)
+router.patch(
+  "/:id/status",
+  protect,
+  warden,
+  validate({
+    body: {
+      status: field.string({
+        required: true,
+        enum: Object.keys(TICKET_TRANSITIONS),
+      }),
+      note: field.string({ max: 500 }),
+    },
+  }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      let ticket;
+      await session.withTransaction(async () => {
+        const { status, note } = req.body;
+
+        ticket = await MaintenanceTicket.findById(req.params.id).session(
+          session
+        );
+
+        if (!ticket) {
+          throw new NotFoundError("Maintenance ticket");
+        }
+
+        ticket.transitionTo(status, { by: req.user._id, note });
+        // Whoever starts the work takes the ticket if nobody has it yet
+        if (status === "in-progress" && !ticket.assignedTo) {
+          ticket.assignedTo = req.user._id;
+        }
+        await ticket.save({ session });
+
+        if (ticket.blocksOccupancy) {
+          await MaintenanceTicket.syncRoomStatus(ticket.room, session);
+        }
+      });
+
+      res.json({
+        success: true,
+        message: `Ticket marked as ${status}`,
+        data: await populateTicket(MaintenanceTicket.findById(ticket._id)),
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+export default router;
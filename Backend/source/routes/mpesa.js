@@ -0,0 +1,501 @@
+import express from "express";
+import mongoose from "mongoose";
+import Booking, { VOID_BOOKING_STATUSES } from "../models/Booking.js";
+import Student from "../models/Student.js";
+import Payment from "../models/Payment.js";
+import MpesaTransaction from "../models/MpesaTransaction.js";
+import { protect, admin, warden } from "../middleware/auth.js";
+import {
+  getMpesaClient,
+  normalizePhone,
+  isValidCallbackToken,
+  parseCallbackMetadata,
+} from "../lib/mpesa.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UpstreamError,
+} from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+// Daraja rejects callback URLs containing "mpesa", so this router is mounted
+// at /api/payments/mobile-money
+const MOUNT_PATH = "/api/payments/mobile-money";
+
+const callbackUrl = (path) =>
+  `${process.env.MPESA_CALLBACK_BASE_URL}${MOUNT_PATH}${path}/${process.env.MPESA_CALLBACK_TOKEN}`;
+
+// Daraja only needs to hear that we received the callback
+const acknowledge = (res, description = "Accepted") =>
+  res.json({ ResultCode: 0, ResultDesc: description });
+
+// Our own failure (transient ones are already retried by withTransaction);
+// the money stays on record, unapplied, for staff to resolve
+const reportFailure = (res) =>
+  res.status(500).json({ ResultCode: 1, ResultDesc: "Failed" });
+
+// Payment.record refuses bookings that are missing or void with an
+// AppError; the money then waits, unmatched, for staff to resolve it
+const recordOrUnmatched = async (payment, session) => {
+  try {
+    const { payment: recorded } = await Payment.record(payment, session, {
+      allowOverpayment: true,
+    });
+    return { status: "completed", payment: recorded._id, resultCode: 0 };
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+    return { status: "unmatched", resultDesc: error.message };
+  }
+};
+
+// Account reference is the student's studentId (or a booking id)
+const findBookingByAccountReference = async (reference, session = null) => {
+  if (!reference) return null;
+  const ref = String(reference).trim();
+
+  if (mongoose.Types.ObjectId.isValid(ref)) {
+    const query = Booking.findById(ref);
+    if (session) query.session(session);
+    const booking = await query;
+    if (booking) return booking;
+  }
+
+  const studentQuery = Student.findOne({ studentId: ref.toUpperCase() });
+  if (session) studentQuery.session(session);
+  const student = await studentQuery;
+  if (!student) return null;
+
+  const bookingQuery = Booking.findOne({
+    student: student._id,
+    status: { $in: ["confirmed", "checked-in"] },
+  }).sort({ createdAt: -1 });
+  if (session) bookingQuery.session(session);
+
+  return bookingQuery;
+};
+
+const verifyCallback = (req, res, next) => {
+  if (!isValidCallbackToken(req.params.token)) {
+    return res.status(403).json({ ResultCode: 1, ResultDesc: "Rejected" });
+  }
+  next();
+};
+
+// @desc    Start an STK push for a booking's outstanding balance
+// @route   POST /api/payments/mobile-money/stk-push
+// @access  Private (Student who owns the booking or Admin/Warden)
+router.post(
+  "/stk-push",
+  protect,
+  validate({
+    body: {
+      booking: field.id({ required: true }),
+      phone: field.string({ max: 20 }),
+      amount: field.number({ min: 1 }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { booking: bookingId, phone, amount } = req.body;
+
+      const booking = await Booking.findById(bookingId).populate("student");
+      if (!booking) {
+        throw new NotFoundError("Booking");
+      }
+
+      if (
+        req.user.role === "student" &&
+        !booking.student?.user?.equals(req.user._id)
+      ) {
+        throw new ForbiddenError("Not authorized to pay for this booking");
+      }
+
+      if (VOID_BOOKING_STATUSES.includes(booking.status)) {
+        throw new ConflictError(
+          `Cannot pay for a ${booking.status} booking`,
+          "BOOKING_NOT_PAYABLE"
+        );
+      }
+
+      if (booking.balance <= 0) {
+        throw new ConflictError(
+          "Booking has no outstanding balance",
+          "NOTHING_TO_PAY"
+        );
+      }
+
+      const pushAmount = amount ?? booking.balance;
+      if (pushAmount > booking.balance) {
+        throw new BadRequestError(
+          `Amount must be between 1 and the outstanding balance of ${booking.balance}`,
+          "OVERPAYMENT"
+        );
+      }
+
+      const msisdn = normalizePhone(phone || booking.student.phone);
+
+      const response = await getMpesaClient().stkPush({
+        phone: msisdn,
+        amount: pushAmount,
+        accountReference: booking.student.studentId,
+        description: "Hostel rent",
+        callbackUrl: callbackUrl("/stk-callback"),
+      });
+
+      if (String(response.ResponseCode) !== "0") {
+        throw new UpstreamError(
+          response.ResponseDescription || "STK push was not accepted",
+          "STK_PUSH_REJECTED"
+        );
+      }
+
+      const transaction = await MpesaTransaction.create({
+        type: "stk",
+        booking: booking._id,
+        phone: msisdn,
+        amount: pushAmount,
+        accountReference: booking.student.studentId,
+        merchantRequestId: response.MerchantRequestID,
+        checkoutRequestId: response.CheckoutRequestID,
+        initiatedBy: req.user._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "STK push sent. Enter your M-Pesa PIN to complete payment",
+        data: transaction,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get the status of an STK push
+// @route   GET /api/payments/mobile-money/stk-push/:checkoutRequestId
+// @access  Private
+router.get("/stk-push/:checkoutRequestId", protect, async (req, res, next) => {
+  try {
+    const transaction = await MpesaTransaction.findOne({
+      checkoutRequestId: req.params.checkoutRequestId,
+    }).populate("payment");
+
+    if (!transaction) {
+      throw new NotFoundError("Transaction");
+    }
+
+    if (
+      req.user.role === "student" &&
+      transaction.initiatedBy?.toString() !== req.user._id.toString()
+    ) {
+      throw new ForbiddenError("Not authorized to view this transaction");
+    }
+
+    res.json({
+      success: true,
+      data: transaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Daraja STK push result callback
+// @route   POST /api/payments/mobile-money/stk-callback/:token
+// @access  Public (Daraja, verified by callback token)
+router.post("/stk-callback/:token", verifyCallback, async (req, res) => {
+  const callback = req.body?.Body?.stkCallback;
+  if (!callback?.CheckoutRequestID) {
+    return res
+      .status(400)
+      .json({ ResultCode: 1, ResultDesc: "Invalid payload" });
+  }
+
+  const metadata = parseCallbackMetadata(callback.CallbackMetadata);
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const transaction = await MpesaTransaction.findOne({
+        checkoutRequestId: callback.CheckoutRequestID,
+      }).session(session);
+
+      // Unknown or already processed requests are acknowledged unchanged
+      if (!transaction || transaction.status !== "pending") return;
+
+      transaction.resultCode = Number(callback.ResultCode);
+      transaction.resultDesc = callback.ResultDesc;
+      transaction.rawCallback = req.body;
+
+      if (transaction.resultCode !== 0) {
+        transaction.status = "failed";
+        await transaction.save({ session });
+        return;
+      }
+
+      transaction.amount = Number(metadata.Amount);
+      transaction.receiptNumber = metadata.MpesaReceiptNumber;
+      transaction.set(
+        await recordOrUnmatched(
+          {
+            booking: transaction.booking,
+            amount: Number(metadata.Amount),
+            method: "mpesa",
+            reference: metadata.MpesaReceiptNumber,
+            notes: `M-Pesa STK push from ${metadata.PhoneNumber}`,
+          },
+          session
+        )
+      );
+      await transaction.save({ session });
+    });
+
+    acknowledge(res);
+  } catch (error) {
+    // The receipt has already been recorded by an earlier delivery
+    if (error.code === 11000) {
+      return acknowledge(res);
+    }
+
+    console.error("STK callback error:", error);
+    await MpesaTransaction.updateOne(
+      { checkoutRequestId: callback.CheckoutRequestID, status: "pending" },
+      {
+        resultCode: Number(callback.ResultCode),
+        resultDesc: error.message,
+        rawCallback: req.body,
+        ...(metadata.MpesaReceiptNumber && {
+          amount: Number(metadata.Amount),
+          receiptNumber: metadata.MpesaReceiptNumber,
+        }),
+      }
+    ).catch(() => {});
+    reportFailure(res);
+  } finally {
+    session.endSession();
+  }
+});
+
+// @desc    Daraja C2B validation (paybill account number check)
+// @route   POST /api/payments/mobile-money/c2b/validation/:token
+// @access  Public (Daraja, verified by callback token)
+router.post("/c2b/validation/:token", verifyCallback, async (req, res) => {
+  try {
+    const booking = await findBookingByAccountReference(req.body.BillRefNumber);
+
+    if (!booking || VOID_BOOKING_STATUSES.includes(booking.status)) {
+      return res.json({ ResultCode: "C2B00012", ResultDesc: "Rejected" });
+    }
+
+    acknowledge(res);
+  } catch (error) {
+    console.error("C2B validation error:", error);
+    res.json({ ResultCode: "C2B00016", ResultDesc: "Rejected" });
+  }
+});
+
+// @desc    Daraja C2B confirmation (paybill payment received)
+// @route   POST /api/payments/mobile-money/c2b/confirmation/:token
+// @access  Public (Daraja, verified by callback token)
+router.post("/c2b/confirmation/:token", verifyCallback, async (req, res) => {
+  const { TransID, TransAmount, BusinessShortCode, BillRefNumber, MSISDN } =
+    req.body;
+
+  if (!TransID) {
+    return res
+      .status(400)
+      .json({ ResultCode: 1, ResultDesc: "Invalid payload" });
+  }
+
+  if (
+    process.env.MPESA_SHORTCODE &&
+    String(BusinessShortCode) !== String(process.env.MPESA_SHORTCODE)
+  ) {
+    return res.status(403).json({ ResultCode: 1, ResultDesc: "Rejected" });
+  }
+
+  const transactionData = {
+    type: "c2b",
+    phone: MSISDN,
+    amount: Number(TransAmount),
+    accountReference: BillRefNumber,
+    receiptNumber: TransID,
+    rawCallback: req.body,
+  };
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const existing = await MpesaTransaction.findOne({
+        receiptNumber: TransID,
+      }).session(session);
+      if (existing) return;
+
+      const booking = await findBookingByAccountReference(
+        BillRefNumber,
+        session
+      );
+
+      const outcome = booking
+        ? {
+            booking: booking._id,
+            ...(await recordOrUnmatched(
+              {
+                booking: booking._id,
+                amount: Number(TransAmount),
+                method: "mpesa",
+                reference: TransID,
+                notes: `M-Pesa paybill from ${MSISDN}`,
+              },
+              session
+            )),
+          }
+        : {
+            status: "unmatched",
+            resultDesc: "No booking matches the account reference",
+          };
+
+      await MpesaTransaction.create([{ ...transactionData, ...outcome }], {
+        session,
+      });
+    });
+
+    acknowledge(res);
+  } catch (error) {
+    if (error.code === 11000) {
+      return acknowledge(res);
+    }
+
+    console.error("C2B confirmation error:", error);
+    await MpesaTransaction.create({
+      ...transactionData,
+      status: "pending",
+      resultDesc: error.message,
+    }).catch(() => {});
+    reportFailure(res);
+  } finally {
+    session.endSession();
+  }
+});
+
+const transactionList = listQuery({
+  sort: ["createdAt", "amount"],
+  dates: ["createdAt"],
+  fields: fieldsOf(MpesaTransaction, { except: ["rawCallback"] }),
+});
+
+// @desc    Get M-Pesa transactions (e.g. unmatched ones for reconciliation)
+// @route   GET /api/payments/mobile-money/transactions
+// @access  Private (Admin/Warden)
+router.get(
+  "/transactions",
+  protect,
+  warden,
+  validate({
+    query: {
+      status: field.string({
+        enum: ["pending", "completed", "failed", "unmatched", "reversed"],
+      }),
+      type: field.string({ enum: ["stk", "c2b"] }),
+      booking: field.id(),
+      ...transactionList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, type, booking } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (type) filter.type = type;
+      if (booking) filter.booking = booking;
+
+      const transactions = MpesaTransaction.find(filter).select("-rawCallback");
+
+      res.json({
+        success: true,
+        ...(await transactionList.run(transactions, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Apply an unmatched (or stuck pending) payment to a booking
+// @route   POST /api/payments/mobile-money/transactions/:id/resolve
+// @access  Private (Admin/Warden)
+router.post(
+  "/transactions/:id/resolve",
+  protect,
+  warden,
+  validate({
+    body: {
+      booking: field.id({ required: true }),
+      note: field.string({ max: 500 }),
+    },
+  }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        const transaction = await MpesaTransaction.findById(
+          req.params.id
+        ).session(session);
+        if (!transaction) {
+          throw new NotFoundError("Transaction");
+        }
+
+        await transaction.resolve(
+          { booking: req.body.booking, by: req.user._id, note: req.body.note },
+          session
+        );
+      });
+
+      const transaction = await MpesaTransaction.findById(req.params.id)
+        .select("-rawCallback")
+        .populate("payment");
+
+      res.json({
+        success: true,
+        message: "Payment applied to booking",
+        data: transaction,
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @desc    Register the C2B validation and confirmation URLs with Daraja
+// @route   POST /api/payments/mobile-money/register-urls
+// @access  Private (Admin only)
+router.post("/register-urls", protect, admin, async (req, res, next) => {
+  try {
+    const response = await getMpesaClient().registerC2BUrls({
+      confirmationUrl: callbackUrl("/c2b/confirmation"),
+      validationUrl: callbackUrl("/c2b/validation"),
+    });
+
+    res.json({
+      success: true,
+      data: response,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,167 @@
+import express from "express";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { TEMPLATE_NAMES } from "../lib/notificationTemplates.js";
+import { protect, admin } from "../middleware/auth.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import { NotFoundError } from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+// Delivery details are only shown in the admin outbox
+const PRIVATE_FIELDS = ["lastError", "providerMessageId"];
+
+const outboxList = listQuery({
+  sort: ["createdAt", "sentAt", "nextAttemptAt"],
+  dates: ["createdAt", "sentAt"],
+  fields: fieldsOf(Notification),
+});
+const myNotificationList = listQuery({
+  dates: ["createdAt"],
+  fields: fieldsOf(Notification, { except: PRIVATE_FIELDS }),
+});
+
+// @desc    Get notifications sent to the logged-in user
+// @route   GET /api/notifications/me
+// @access  Private
+router.get(
+  "/me",
+  protect,
+  validate({ query: myNotificationList.query }),
+  async (req, res, next) => {
+    try {
+      const notifications = Notification.find({ user: req.user._id }).select(
+        PRIVATE_FIELDS.map((name) => `-${name}`).join(" ")
+      );
+
+      res.json({
+        success: true,
+        ...(await myNotificationList.run(notifications, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get the logged-in user's channel preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get("/preferences", protect, async (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.notificationPreferences,
+  });
+});
+
+// @desc    Switch notification channels on or off
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put(
+  "/preferences",
+  protect,
+  validate({ body: { email: field.boolean(), sms: field.boolean() } }),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      Object.entries(req.body).forEach(([channel, enabled]) => {
+        user.notificationPreferences[channel] = enabled;
+      });
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Notification preferences updated",
+        data: user.notificationPreferences,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get the outbox with filtering
+// @route   GET /api/notifications
+// @access  Private (Admin only)
+router.get(
+  "/",
+  protect,
+  admin,
+  validate({
+    query: {
+      status: field.string({ enum: ["pending", "sent", "failed"] }),
+      channel: field.string({ enum: ["email", "sms"] }),
+      template: field.string({ enum: TEMPLATE_NAMES }),
+      user: field.id(),
+      ...outboxList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, channel, template, user } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (channel) filter.channel = channel;
+      if (template) filter.template = template;
+      if (user) filter.user = user;
+
+      const notifications = Notification.find(filter).populate(
+        "user",
+        "name email"
+      );
+
+      res.json({
+        success: true,
+        ...(await outboxList.run(notifications, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Send everything that is due now
+// @route   POST /api/notifications/dispatch
+// @access  Private (Admin only)
+router.post("/dispatch", protect, admin, async (req, res, next) => {
+  try {
+    const result = await Notification.dispatchDue();
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Queue a failed notification again
+// @route   POST /api/notifications/:id/retry
+// @access  Private (Admin only)
+router.post("/:id/retry", protect, admin, async (req, res, next) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      throw new NotFoundError("Notification");
+    }
+
+    await notification.retry();
+
+    res.json({
+      success: true,
+      message: "Notification queued for retry",
+      data: notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1 +1,260 @@
-export default payments;
+import express from "express";
+import mongoose from "mongoose";
+import Payment, { PAYMENT_METHODS } from "../models/Payment.js";
+import Booking from "../models/Booking.js";
+import { protect, warden } from "../middleware/auth.js";
+import { buildReceiptPdf, sendPdf } from "../lib/pdf.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import { ConflictError, ForbiddenError, NotFoundError } from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+router.param("bookingId", checkObjectId);
+
+const populatePayment = (query) =>
+  query
+    .populate("student", "name studentId")
+    .populate("booking", "room totalAmount chargesAmount paidAmount status")
+    .populate("receivedBy", "name")
+    .populate("reversal.reversedBy", "name");
+
+const paymentList = listQuery({
+  sort: ["createdAt", "amount"],
+  dates: ["createdAt"],
+  fields: fieldsOf(Payment),
+});
+
+// @desc    Record a payment against a booking
+// @route   POST /api/payments
+// @access  Private (Admin/Warden)
+router.post(
+  "/",
+  protect,
+  warden,
+  validate({
+    body: {
+      booking: field.id({ required: true }),
+      amount: field.number({ required: true, min: 1 }),
+      method: field.string({ required: true, enum: PAYMENT_METHODS }),
+      reference: field.string({ max: 100 }),
+      notes: field.string({ max: 500 }),
+    },
+  }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      const { booking, amount, method, reference, notes } = req.body;
+
+      let payment;
+      await session.withTransaction(async () => {
+        ({ payment } = await Payment.record(
+          {
+            booking,
+            amount,
+            method,
+            reference,
+            notes,
+            receivedBy: req.user._id,
+          },
+          session
+        ));
+      });
+
+      const populatedPayment = await populatePayment(
+        Payment.findById(payment._id)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Payment recorded successfully",
+        data: populatedPayment,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(
+          new ConflictError(
+            "A payment with this reference has already been recorded",
+            "DUPLICATE_PAYMENT"
+          )
+        );
+      }
+
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @desc    Get all payments with filtering
+// @route   GET /api/payments
+// @access  Private (Admin/Warden)
+router.get(
+  "/",
+  protect,
+  warden,
+  validate({
+    query: {
+      booking: field.id(),
+      student: field.id(),
+      method: field.string({ enum: PAYMENT_METHODS }),
+      status: field.string({ enum: ["completed", "reversed"] }),
+      ...paymentList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { booking, student, method, status } = req.query;
+
+      const filter = {};
+      if (booking) filter.booking = booking;
+      if (student) filter.student = student;
+      if (method) filter.method = method;
+      if (status) filter.status = status;
+
+      res.json({
+        success: true,
+        ...(await paymentList.run(
+          populatePayment(Payment.find(filter)),
+          req.query
+        )),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get payments and balance for a booking
+// @route   GET /api/payments/booking/:bookingId
+// @access  Private (Admin/Warden)
+router.get(
+  "/booking/:bookingId",
+  protect,
+  warden,
+  validate({ query: paymentList.query }),
+  async (req, res, next) => {
+    try {
+      const booking = await Booking.findById(req.params.bookingId);
+
+      if (!booking) {
+        throw new NotFoundError("Booking");
+      }
+
+      const page = await paymentList.run(
+        populatePayment(Payment.find({ booking: booking._id })),
+        req.query
+      );
+
+      res.json({
+        success: true,
+        ...page,
+        summary: {
+          totalAmount: booking.totalAmount,
+          chargesAmount: booking.chargesAmount,
+          paidAmount: booking.paidAmount,
+          balance: booking.balance,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get single payment
+// @route   GET /api/payments/:id
+// @access  Private (Admin/Warden)
+router.get("/:id", protect, warden, async (req, res, next) => {
+  try {
+    const payment = await populatePayment(Payment.findById(req.params.id));
+
+    if (!payment) {
+      throw new NotFoundError("Payment");
+    }
+
+    res.json({
+      success: true,
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download a PDF receipt for a payment
+// @route   GET /api/payments/:id/receipt
+// @access  Private (Student who made the payment or Admin/Warden)
+router.get("/:id/receipt", protect, async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate("student", "name studentId user")
+      .populate({
+        path: "booking",
+        select: "room totalAmount chargesAmount paidAmount status",
+        populate: { path: "room", select: "roomNumber floor" },
+      })
+      .populate("receivedBy", "name");
+
+    if (!payment) {
+      throw new NotFoundError("Payment");
+    }
+
+    if (
+      req.user.role === "student" &&
+      payment.student?.user?.toString() !== req.user._id.toString()
+    ) {
+      throw new ForbiddenError("Not authorized to view this receipt");
+    }
+
+    await payment.ensureReceiptNumber();
+
+    sendPdf(res, buildReceiptPdf(payment), `${payment.receiptNumber}.pdf`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reverse a payment
+// @route   POST /api/payments/:id/reverse
+// @access  Private (Admin/Warden)
+router.post(
+  "/:id/reverse",
+  protect,
+  warden,
+  validate({ body: { reason: field.string({ required: true, max: 500 }) } }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      const { reason } = req.body;
+
+      await session.withTransaction(() =>
+        Payment.reverse(
+          req.params.id,
+          { reason, reversedBy: req.user._id },
+          session
+        )
+      );
+
+      const populatedPayment = await populatePayment(
+        Payment.findById(req.params.id)
+      );
+
+      res.json({
+        success: true,
+        message: "Payment reversed successfully",
+        data: populatedPayment,
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,214 @@
+import express from "express";
+import Refund from "../models/Refund.js";
+import CancellationPolicy from "../models/CancellationPolicy.js";
+import { PAYMENT_METHODS } from "../models/Payment.js";
+import { protect, admin, warden } from "../middleware/auth.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import { NotFoundError } from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+const populateRefund = (query) =>
+  query
+    .populate("student", "name studentId phone")
+    .populate("booking", "room checkInDate checkOutDate totalAmount status")
+    .populate("requestedBy", "name")
+    .populate("reviewedBy", "name")
+    .populate("payout.paidBy", "name");
+
+// @desc    Get the cancellation policy in force
+// @route   GET /api/refunds/policy
+// @access  Public
+router.get("/policy", async (req, res, next) => {
+  try {
+    const policy = await CancellationPolicy.current();
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update the cancellation policy
+// @route   PUT /api/refunds/policy
+// @access  Private (Admin only)
+router.put(
+  "/policy",
+  protect,
+  admin,
+  validate({
+    body: {
+      fullRefundDays: field.integer({ min: 0 }),
+      noticeDays: field.integer({ min: 0 }),
+      partialRefundPercent: field.number({ min: 0, max: 100 }),
+      depositMonths: field.number({ min: 0 }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const policy = await CancellationPolicy.current();
+
+      policy.set(req.body);
+      policy.updatedBy = req.user._id;
+      await policy.save();
+
+      res.json({
+        success: true,
+        message: "Cancellation policy updated successfully",
+        data: policy,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const refundList = listQuery({
+  sort: ["createdAt", "refundAmount"],
+  dates: ["createdAt"],
+  fields: fieldsOf(Refund),
+});
+
+// @desc    Get refunds with filtering
+// @route   GET /api/refunds
+// @access  Private (Admin/Warden)
+router.get(
+  "/",
+  protect,
+  warden,
+  validate({
+    query: {
+      status: field.string({
+        enum: ["pending", "approved", "rejected", "paid"],
+      }),
+      student: field.id(),
+      booking: field.id(),
+      ...refundList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, student, booking } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (student) filter.student = student;
+      if (booking) filter.booking = booking;
+
+      res.json({
+        success: true,
+        ...(await refundList.run(
+          populateRefund(Refund.find(filter)),
+          req.query
+        )),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get single refund
+// @route   GET /api/refunds/:id
+// @access  Private (Admin/Warden)
+router.get("/:id", protect, warden, async (req, res, next) => {
+  try {
+    const refund = await populateRefund(Refund.findById(req.params.id));
+
+    if (!refund) {
+      throw new NotFoundError("Refund");
+    }
+
+    res.json({
+      success: true,
+      data: refund,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Shared handler for the finance actions on a refund
+const refundAction = (apply, successMessage) => async (req, res, next) => {
+  try {
+    const refund = await Refund.findById(req.params.id);
+
+    if (!refund) {
+      throw new NotFoundError("Refund");
+    }
+
+    await apply(refund, req);
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: await populateRefund(Refund.findById(refund._id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a refund
+// @route   PATCH /api/refunds/:id/approve
+// @access  Private (Admin only)
+router.patch(
+  "/:id/approve",
+  protect,
+  admin,
+  refundAction(
+    (refund, req) => refund.review({ approve: true, by: req.user._id }),
+    "Refund approved successfully"
+  )
+);
+
+// @desc    Reject a refund
+// @route   PATCH /api/refunds/:id/reject
+// @access  Private (Admin only)
+router.patch(
+  "/:id/reject",
+  protect,
+  admin,
+  validate({ body: { reason: field.string({ max: 500 }) } }),
+  refundAction(
+    (refund, req) =>
+      refund.review({
+        approve: false,
+        by: req.user._id,
+        reason: req.body.reason,
+      }),
+    "Refund rejected"
+  )
+);
+
+// @desc    Record the payout of an approved refund
+// @route   POST /api/refunds/:id/payout
+// @access  Private (Admin only)
+router.post(
+  "/:id/payout",
+  protect,
+  admin,
+  validate({
+    body: {
+      method: field.string({ required: true, enum: PAYMENT_METHODS }),
+      reference: field.string({ max: 100 }),
+    },
+  }),
+  refundAction(
+    (refund, req) =>
+      refund.markPaid({
+        method: req.body.method,
+        reference: req.body.reference,
+        by: req.user._id,
+      }),
+    "Refund marked as paid"
+  )
+);
+
+export default router;
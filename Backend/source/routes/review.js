@@ -4,12 +4,80 @@ import Review from "../models/Review.js";
 import Room from "../models/Room.js";
 import Booking from "../models/Booking.js";
 import Student from "../models/Student.js";
+import Notification from "../models/Notification.js";
+import { protect, admin } from "../middleware/auth.js";
+import { authorize } from "../middleware/policy.js";
+import {
+  validate,
+  field,
+  optional,
+  checkObjectId,
+} from "../middleware/validate.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
 
 const router = express.Router();
 
+router.param("id", checkObjectId);
+router.param("roomId", checkObjectId);
+router.param("studentId", checkObjectId);
+
+const score = field.integer({ min: 1, max: 5 });
+
+const reviewFields = {
+  rating: field.integer({ required: true, min: 1, max: 5 }),
+  title: field.string({ required: true, max: 100 }),
+  comment: field.string({ required: true, max: 1000 }),
+  categories: field.object({
+    cleanliness: score,
+    comfort: score,
+    location: score,
+    facilities: score,
+    staff: score,
+    valueForMoney: score,
+  }),
+};
+
+const reviewList = listQuery({
+  sort: ["createdAt", "rating", "likes"],
+  dates: ["createdAt"],
+  fields: fieldsOf(Review),
+  defaultLimit: 10,
+});
+
+// GET /api/reviews still takes the sortBy/sortOrder pair it took before the
+// shared `sort` parameter existed. Either one, when given, wins over `sort`.
+const legacySort = {
+  sortBy: field.string({ enum: ["createdAt", "rating", "likes"] }),
+  sortOrder: field.string({ enum: ["asc", "desc"] }),
+};
+
+const withLegacySort = ({ sortBy, sortOrder, ...params }) =>
+  sortBy || sortOrder
+    ? {
+        ...params,
+        sort: `${sortOrder === "asc" ? "" : "-"}${sortBy ?? "createdAt"}`,
+      }
+    : params;
+
+// Pending and rejected reviews are only listed to signed-in staff; anyone
+// may list approved ones
+const staffOnly = express.Router().use(
+  protect,
+  authorize("review", "listUnapproved")
+);
+const staffUnlessApproved = (req, res, next) =>
+  req.query.status === "approved" ? next() : staffOnly(req, res, next);
+
 // Middleware to check if student can review (has completed booking)
 const canStudentReview = async (req, res, next) => {
   try {
+    // Students always review as themselves
+    req.body.student = req.student._id;
     const { booking, room, student } = req.body;
 
     // Check if booking exists and belongs to student
@@ -21,239 +89,201 @@ const canStudentReview = async (req, res, next) => {
     });
 
     if (!existingBooking) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "Cannot review this room. Booking not found or stay not completed.",
-      });
+      throw new BadRequestError(
+        "Cannot review this room. Booking not found or stay not completed.",
+        "STAY_NOT_COMPLETED"
+      );
     }
 
     // Check if student already reviewed this booking
     const existingReview = await Review.findOne({ booking });
     if (existingReview) {
-      return res.status(400).json({
-        success: false,
-        message: "You have already reviewed this booking.",
-      });
+      throw new ConflictError(
+        "You have already reviewed this booking.",
+        "ALREADY_REVIEWED"
+      );
     }
 
     next();
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+    next(error);
   }
 };
 
-router.post("/", canStudentReview, async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const {
-      student,
-      room,
-      booking,
-      rating,
-      title,
-      comment,
-      categories = {},
-    } = req.body;
-
-    // Validate required fields
-    if (!student || !room || !booking || !rating || !title || !comment) {
-      await session.abortTransaction();
-      return res.status(400).json({
-        success: false,
-        message:
-          "Student, room, booking, rating, title, and comment are required",
-      });
-    }
-
-    // Validate rating
-    if (rating < 1 || rating > 5 || !Number.isInteger(rating)) {
-      await session.abortTransaction();
-      return res.status(400).json({
-        success: false,
-        message: "Rating must be a whole number between 1 and 5",
+// @desc    Review a completed stay
+// @route   POST /api/reviews
+// @access  Private (Student who stayed)
+router.post(
+  "/",
+  protect,
+  authorize("review", "create"),
+  validate({
+    body: {
+      room: field.id({ required: true }),
+      booking: field.id({ required: true }),
+      ...reviewFields,
+    },
+  }),
+  canStudentReview,
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      let createdReview;
+      await session.withTransaction(async () => {
+        const {
+          student,
+          room,
+          booking,
+          rating,
+          title,
+          comment,
+          categories = {},
+        } = req.body;
+
+        const reviewData = {
+          student,
+          room,
+          booking,
+          rating,
+          title,
+          comment,
+          categories,
+          isVerified: true, // Auto-verify since we check booking
+          status: "approved", // Auto-approve for now, can be changed to "pending" for moderation
+        };
+
+        [createdReview] = await Review.create([reviewData], { session });
       });
-    }
 
-    const reviewData = {
-      student,
-      room,
-      booking,
-      rating,
-      title: title.trim(),
-      comment: comment.trim(),
-      categories,
-      isVerified: true, // Auto-verify since we check booking
-      status: "approved", // Auto-approve for now, can be changed to "pending" for moderation
-    };
-
-    const review = await Review.create([reviewData], { session });
-    const createdReview = review[0];
-
-    await session.commitTransaction();
-
-    // Populate and return response
-    const populatedReview = await Review.findById(createdReview._id)
-      .populate("student", "name email")
-      .populate("room", "roomNumber floor");
-
-    res.status(201).json({
-      success: true,
-      message: "Review submitted successfully",
-      data: populatedReview,
-    });
-  } catch (error) {
-    await session.abortTransaction();
+      // Populate and return response
+      const populatedReview = await Review.findById(createdReview._id)
+        .populate("student", "name email")
+        .populate("room", "roomNumber floor");
 
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: "You have already reviewed this booking",
+      res.status(201).json({
+        success: true,
+        message: "Review submitted successfully",
+        data: populatedReview,
       });
-    }
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(
+          new ConflictError(
+            "You have already reviewed this booking",
+            "ALREADY_REVIEWED"
+          )
+        );
+      }
 
-    res.status(400).json({
-      success: false,
-      message: error.message,
-    });
-  } finally {
-    session.endSession();
+      next(error);
+    } finally {
+      session.endSession();
+    }
   }
-});
+);
 
 // @desc    Get all reviews with filtering
 // @route   GET /api/reviews
-// @access  Public
-router.get("/", async (req, res) => {
-  try {
-    const {
-      room,
-      student,
-      status = "approved",
-      rating,
-      page = 1,
-      limit = 10,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-    } = req.query;
-
-    const filter = { status };
-    if (room) filter.room = room;
-    if (student) filter.student = student;
-    if (rating) filter.rating = parseInt(rating);
-
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
-
-    const options = {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      sort: sortOptions,
-      populate: [
-        { path: "student", select: "name" },
-        { path: "room", select: "roomNumber floor" },
-      ],
-    };
-
-    const reviews = await Review.find(filter)
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate("student", "name")
-      .populate("room", "roomNumber floor");
-
-    const total = await Review.countDocuments(filter);
-
-    res.json({
-      success: true,
-      count: reviews.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / limit),
-      data: reviews,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+// @access  Public (approved), Admin/Warden (other statuses)
+router.get(
+  "/",
+  validate({
+    query: {
+      room: field.id(),
+      student: field.id(),
+      status: field.string({
+        enum: ["pending", "approved", "rejected"],
+        default: "approved",
+      }),
+      rating: score,
+      ...legacySort,
+      ...reviewList.query,
+    },
+  }),
+  staffUnlessApproved,
+  async (req, res, next) => {
+    try {
+      const { room, student, status, rating } = req.query;
+
+      const filter = { status };
+      if (room) filter.room = room;
+      if (student) filter.student = student;
+      if (rating) filter.rating = rating;
+
+      const reviews = Review.find(filter)
+        .populate("student", "name")
+        .populate("room", "roomNumber floor");
+
+      res.json({
+        success: true,
+        ...(await reviewList.run(reviews, withLegacySort(req.query))),
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // @desc    Get reviews for a specific room
 // @route   GET /api/reviews/room/:roomId
 // @access  Public
-router.get("/room/:roomId", async (req, res) => {
-  try {
-    const { page = 1, limit = 10 } = req.query;
-
-    const reviews = await Review.find({
-      room: req.params.roomId,
-      status: "approved",
-    })
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate("student", "name")
-      .populate("room", "roomNumber floor");
-
-    const total = await Review.countDocuments({
-      room: req.params.roomId,
-      status: "approved",
-    });
-
-    // Get rating summary
-    const ratingSummary = await Review.getRoomRatingSummary(req.params.roomId);
-
-    res.json({
-      success: true,
-      count: reviews.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / limit),
-      ratingSummary,
-      data: reviews,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+router.get(
+  "/room/:roomId",
+  validate({ query: reviewList.query }),
+  async (req, res, next) => {
+    try {
+      const reviews = Review.find({
+        room: req.params.roomId,
+        status: "approved",
+      })
+        .populate("student", "name")
+        .populate("room", "roomNumber floor");
+
+      const [page, ratingSummary] = await Promise.all([
+        reviewList.run(reviews, req.query),
+        Review.getRoomRatingSummary(req.params.roomId),
+      ]);
+
+      res.json({
+        success: true,
+        ...page,
+        ratingSummary,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // @desc    Get reviews by a specific student
 // @route   GET /api/reviews/student/:studentId
-// @access  Private
-router.get("/student/:studentId", async (req, res) => {
-  try {
-    const reviews = await Review.find({ student: req.params.studentId })
-      .populate("student", "name")
-      .populate("room", "roomNumber floor")
-      .sort({ createdAt: -1 });
-
-    res.json({
-      success: true,
-      count: reviews.length,
-      data: reviews,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+// @access  Private (Student themselves, Admin/Warden)
+router.get(
+  "/student/:studentId",
+  protect,
+  authorize("student", "read", { param: "studentId" }),
+  validate({ query: reviewList.query }),
+  async (req, res, next) => {
+    try {
+      const reviews = Review.find({ student: req.params.studentId })
+        .populate("student", "name")
+        .populate("room", "roomNumber floor");
+
+      res.json({
+        success: true,
+        ...(await reviewList.run(reviews, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // @desc    Get single review
 // @route   GET /api/reviews/:id
 // @access  Public
-router.get("/:id", async (req, res) => {
+router.get("/:id", async (req, res, next) => {
   try {
     const review = await Review.findById(req.params.id)
       .populate("student", "name email")
@@ -261,10 +291,7 @@ router.get("/:id", async (req, res) => {
       .populate("booking");
 
     if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: "Review not found",
-      });
+      throw new NotFoundError("Review");
     }
 
     res.json({
@@ -272,106 +299,67 @@ router.get("/:id", async (req, res) => {
       data: review,
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+    next(error);
   }
 });
 
 // @desc    Update a review
 // @route   PUT /api/reviews/:id
 // @access  Private (Student who created the review)
-router.put("/:id", async (req, res) => {
-  try {
-    const { rating, title, comment, categories } = req.body;
-
-    const review = await Review.findById(req.params.id);
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: "Review not found",
+router.put(
+  "/:id",
+  protect,
+  authorize("review", "update"),
+  validate({ body: optional(reviewFields) }),
+  async (req, res, next) => {
+    try {
+      const updatedReview = await Review.findByIdAndUpdate(
+        req.params.id,
+        req.body,
+        {
+          new: true,
+          runValidators: true,
+        }
+      )
+        .populate("student", "name")
+        .populate("room", "roomNumber floor");
+
+      res.json({
+        success: true,
+        message: "Review updated successfully",
+        data: updatedReview,
       });
+    } catch (error) {
+      next(error);
     }
-
-    // In real app, check if current user is the review owner
-    // if (review.student.toString() !== req.user.id) {
-    //   return res.status(403).json({
-    //     success: false,
-    //     message: "Not authorized to update this review",
-    //   });
-    // }
-
-    // Only allow updating certain fields
-    const updateData = {};
-    if (rating) updateData.rating = rating;
-    if (title) updateData.title = title.trim();
-    if (comment) updateData.comment = comment.trim();
-    if (categories) updateData.categories = categories;
-
-    const updatedReview = await Review.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      {
-        new: true,
-        runValidators: true,
-      }
-    )
-      .populate("student", "name")
-      .populate("room", "roomNumber floor");
-
-    res.json({
-      success: true,
-      message: "Review updated successfully",
-      data: updatedReview,
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: error.message,
-    });
   }
-});
+);
 
 // @desc    Delete a review
 // @route   DELETE /api/reviews/:id
 // @access  Private (Student who created the review or Admin)
-router.delete("/:id", async (req, res) => {
-  try {
-    const review = await Review.findById(req.params.id);
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: "Review not found",
+router.delete(
+  "/:id",
+  protect,
+  authorize("review", "delete"),
+  async (req, res, next) => {
+    try {
+      await Review.findByIdAndDelete(req.params.id);
+
+      res.json({
+        success: true,
+        message: "Review deleted successfully",
       });
+    } catch (error) {
+      next(error);
     }
-
-    // In real app, check if current user is the review owner or admin
-    // if (review.student.toString() !== req.user.id && !req.user.isAdmin) {
-    //   return res.status(403).json({
-    //     success: false,
-    //     message: "Not authorized to delete this review",
-    //   });
-    // }
-
-    await Review.findByIdAndDelete(req.params.id);
-
-    res.json({
-      success: true,
-      message: "Review deleted successfully",
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
   }
-});
+);
 
 // @desc    Get room rating statistics
 // @route   GET /api/reviews/stats/room/:roomId
 // @access  Public
-router.get("/stats/room/:roomId", async (req, res) => {
+router.get("/stats/room/:roomId", async (req, res, next) => {
   try {
     const ratingSummary = await Review.getRoomRatingSummary(req.params.roomId);
 
@@ -380,61 +368,123 @@ router.get("/stats/room/:roomId", async (req, res) => {
       data: ratingSummary,
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+    next(error);
   }
 });
 
 // @desc    Admin: Update review status
 // @route   PATCH /api/reviews/:id/status
 // @access  Private (Admin)
-router.patch("/:id/status", async (req, res) => {
-  try {
-    const { status, adminReply } = req.body;
-
-    if (!["pending", "approved", "rejected"].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid status. Use: pending, approved, or rejected",
-      });
-    }
-
-    const updateData = { status };
+router.patch(
+  "/:id/status",
+  protect,
+  admin,
+  validate({
+    body: {
+      status: field.string({
+        required: true,
+        enum: ["pending", "approved", "rejected"],
+      }),
+      adminReply: field.string({ max: 500 }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, adminReply } = req.body;
+
+      const updateData = { status };
+
+      if (adminReply) {
+        updateData.response = {
+          adminReply,
+          repliedBy: req.user._id,
+          repliedAt: new Date(),
+        };
+      }
 
-    if (adminReply) {
-      updateData.response = {
-        adminReply: adminReply.trim(),
-        repliedBy: null, // In real app: req.user.id
-        repliedAt: new Date(),
-      };
-    }
+      const review = await Review.findByIdAndUpdate(req.params.id, updateData, {
+        new: true,
+      })
+        .populate("student", "name")
+        .populate("room", "roomNumber floor");
 
-    const review = await Review.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-    })
-      .populate("student", "name")
-      .populate("room", "roomNumber floor");
+      if (!review) {
+        throw new NotFoundError("Review");
+      }
 
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: "Review not found",
+      // Let the student know; a notification problem should not fail the update
+      await Notification.enqueue({
+        student: review.student?._id,
+        template: "review-status",
+        data: {
+          title: review.title,
+          status,
+          adminReply: review.response?.adminReply,
+        },
+      }).catch((err) => console.error("Review notification failed:", err));
+
+      res.json({
+        success: true,
+        message: `Review ${status} successfully`,
+        data: review,
       });
+    } catch (error) {
+      next(error);
     }
-
-    res.json({
-      success: true,
-      message: `Review ${status} successfully`,
-      data: review,
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: error.message,
-    });
   }
-});
+);
+
+// Summaries and responses for the OpenAPI document (lib/openapi.js)
+const ratingSummary = {
+  type: "object",
+  properties: {
+    averageRating: { type: "number" },
+    totalReviews: { type: "integer" },
+    ratingDistribution: {
+      type: "object",
+      description: "Number of reviews for each rating from 1 to 5",
+      additionalProperties: { type: "integer" },
+    },
+    categoryAverages: {
+      type: "object",
+      additionalProperties: { type: "number" },
+    },
+  },
+};
+
+export const docs = {
+  "POST /": {
+    summary: "Review a completed stay",
+    status: 201,
+    data: "Review",
+  },
+  "GET /": {
+    summary: "Get all reviews with filtering",
+    description:
+      "Lists approved reviews to anyone. Any other status needs an admin " +
+      "or warden token.",
+    list: "Review",
+  },
+  "GET /room/:roomId": {
+    summary: "Get reviews for a specific room",
+    list: "Review",
+    extra: { ratingSummary },
+  },
+  "GET /student/:studentId": {
+    summary: "Get reviews by a specific student",
+    list: "Review",
+  },
+  "GET /:id": { summary: "Get single review", data: "Review" },
+  "PUT /:id": { summary: "Update a review", data: "Review" },
+  "DELETE /:id": { summary: "Delete a review" },
+  "GET /stats/room/:roomId": {
+    summary: "Get room rating statistics",
+    data: ratingSummary,
+  },
+  "PATCH /:id/status": {
+    summary: "Update review status (moderation)",
+    data: "Review",
+  },
+};
 
 export default router;
@@ -1,45 +1,77 @@
 import express from "express";
 import Room from "../models/Room.js";
 import { protect, admin, warden } from "../middleware/auth.js";
+import {
+  validate,
+  field,
+  optional,
+  checkObjectId,
+} from "../middleware/validate.js";
+import { ConflictError, NotFoundError } from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
 
 const router = express.Router();
 
+router.param("id", checkObjectId);
+
+// Occupancy and beds are derived from capacity and allocations
+const roomFields = {
+  roomNumber: field.string({ required: true }),
+  floor: field.integer({ required: true, min: 0 }),
+  capacity: field.integer({ required: true, min: 1 }),
+  price: field.number({ required: true, min: 0 }),
+  amenities: field.array(field.string()),
+  status: field.string({ enum: ["available", "occupied", "maintenance"] }),
+};
+
+const roomList = listQuery({
+  sort: ["roomNumber", "floor", "price", "capacity", "rating", "createdAt"],
+  defaultSort: "roomNumber",
+  fields: fieldsOf(Room),
+});
+
 // @desc    Get all rooms
 // @route   GET /api/rooms
 // @access  Public
-router.get("/", async (req, res) => {
-  try {
-    const { status, floor, minPrice, maxPrice } = req.query;
-
-    // Build filter object
-    let filter = {};
-    if (status) filter.status = status;
-    if (floor) filter.floor = parseInt(floor);
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseInt(minPrice);
-      if (maxPrice) filter.price.$lte = parseInt(maxPrice);
-    }
+router.get(
+  "/",
+  validate({
+    query: {
+      ...roomList.query,
+      status: roomFields.status,
+      floor: field.integer({ min: 0 }),
+      minPrice: field.number({ min: 0 }),
+      maxPrice: field.number({ min: 0 }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, floor, minPrice, maxPrice } = req.query;
 
-    const rooms = await Room.find(filter).sort({ roomNumber: 1 });
+      // Build filter object
+      let filter = {};
+      if (status) filter.status = status;
+      if (floor !== undefined) filter.floor = floor;
+      if (minPrice !== undefined || maxPrice !== undefined) {
+        filter.price = {};
+        if (minPrice !== undefined) filter.price.$gte = minPrice;
+        if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+      }
 
-    res.json({
-      success: true,
-      count: rooms.length,
-      data: rooms,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+      res.json({
+        success: true,
+        ...(await roomList.run(Room.find(filter), req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // @desc    Get available rooms
 // @route   GET /api/rooms/available
 // @access  Public
-router.get("/available", async (req, res) => {
+router.get("/available", async (req, res, next) => {
   try {
     const availableRooms = await Room.find({
       status: "available",
@@ -52,25 +84,22 @@ router.get("/available", async (req, res) => {
       data: availableRooms,
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+    next(error);
   }
 });
 
 // @desc    Get single room
 // @route   GET /api/rooms/:id
 // @access  Public
-router.get("/:id", async (req, res) => {
+router.get("/:id", async (req, res, next) => {
   try {
-    const room = await Room.findById(req.params.id);
+    const room = await Room.findById(req.params.id).populate(
+      "beds.occupant",
+      "name studentId"
+    );
 
     if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: "Room not found",
-      });
+      throw new NotFoundError("Room");
     }
 
     res.json({
@@ -78,92 +107,90 @@ router.get("/:id", async (req, res) => {
       data: room,
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+    next(error);
   }
 });
 
 // @desc    Create a room
 // @route   POST /api/rooms
 // @access  Private (Admin/Warden)
-router.post("/", protect, warden, async (req, res) => {
-  try {
-    const room = await Room.create(req.body);
+router.post(
+  "/",
+  protect,
+  warden,
+  validate({ body: roomFields }),
+  async (req, res, next) => {
+    try {
+      const room = await Room.create(req.body);
 
-    res.status(201).json({
-      success: true,
-      data: room,
-    });
-  } catch (error) {
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: "Room number already exists",
+      res.status(201).json({
+        success: true,
+        data: room,
       });
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(
+          new ConflictError("Room number already exists", "ROOM_NUMBER_TAKEN")
+        );
+      }
+      next(error);
     }
-    res.status(400).json({
-      success: false,
-      message: error.message,
-    });
   }
-});
+);
 
 // @desc    Update a room
 // @route   PUT /api/rooms/:id
 // @access  Private (Admin/Warden)
-router.put("/:id", protect, warden, async (req, res) => {
-  try {
-    const room = await Room.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+router.put(
+  "/:id",
+  protect,
+  warden,
+  validate({ body: optional(roomFields) }),
+  async (req, res, next) => {
+    try {
+      const room = await Room.findById(req.params.id);
 
-    if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: "Room not found",
-      });
-    }
+      if (!room) {
+        throw new NotFoundError("Room");
+      }
 
-    res.json({
-      success: true,
-      data: room,
-    });
-  } catch (error) {
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: "Room number already exists",
+      // Save through the document so beds and occupancy are re-derived
+      room.set(req.body);
+      // Maintenance asked for by staff outlasts the tickets on the room
+      if (req.body.status === "maintenance") room.maintenanceSource = "manual";
+      await room.save();
+
+      res.json({
+        success: true,
+        data: room,
       });
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(
+          new ConflictError("Room number already exists", "ROOM_NUMBER_TAKEN")
+        );
+      }
+      next(error);
     }
-    res.status(400).json({
-      success: false,
-      message: error.message,
-    });
   }
-});
+);
 
 // @desc    Delete a room
 // @route   DELETE /api/rooms/:id
 // @access  Private (Admin only)
-router.delete("/:id", protect, admin, async (req, res) => {
+router.delete("/:id", protect, admin, async (req, res, next) => {
   try {
     const room = await Room.findById(req.params.id);
 
     if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: "Room not found",
-      });
+      throw new NotFoundError("Room");
     }
 
     if (room.currentOccupancy > 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot delete room with current occupants",
-      });
+      throw new ConflictError(
+        "Cannot delete room with current occupants",
+        "ROOM_OCCUPIED"
+      );
     }
 
     await Room.findByIdAndDelete(req.params.id);
@@ -173,75 +200,64 @@ router.delete("/:id", protect, admin, async (req, res) => {
       message: "Room deleted successfully",
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+    next(error);
   }
 });
 
-// @desc    Update room occupancy
-// @route   PATCH /api/rooms/:id/occupancy
+// @desc    Update a bed's status (take out of or return to service)
+// @route   PATCH /api/rooms/:id/beds/:label
 // @access  Private (Admin/Warden)
-router.patch("/:id/occupancy", protect, warden, async (req, res) => {
-  try {
-    const { action } = req.body;
-
-    const room = await Room.findById(req.params.id);
-    if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: "Room not found",
-      });
-    }
+router.patch(
+  "/:id/beds/:label",
+  protect,
+  warden,
+  validate({
+    body: {
+      status: field.string({
+        required: true,
+        enum: ["available", "maintenance"],
+      }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status } = req.body;
 
-    if (action === "increase") {
-      if (room.currentOccupancy >= room.capacity) {
-        return res.status(400).json({
-          success: false,
-          message: "Room is already at full capacity",
-        });
+      const room = await Room.findById(req.params.id);
+      if (!room) {
+        throw new NotFoundError("Room");
       }
-      room.currentOccupancy += 1;
-      if (room.currentOccupancy === room.capacity) {
-        room.status = "occupied";
-      }
-    } else if (action === "decrease") {
-      if (room.currentOccupancy <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: "Room occupancy is already zero",
-        });
+
+      const bed = room.beds.find((b) => b.label === req.params.label);
+      if (!bed) {
+        throw new NotFoundError("Bed");
       }
-      room.currentOccupancy -= 1;
-      if (room.currentOccupancy < room.capacity) {
-        room.status = "available";
+
+      if (bed.occupant) {
+        throw new ConflictError(
+          "Bed is occupied by a student. Move or check them out first",
+          "BED_OCCUPIED"
+        );
       }
-    } else {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid action. Use "increase" or "decrease"',
-      });
-    }
 
-    await room.save();
+      bed.status = status;
+      bed.booking = undefined;
+      await room.save();
 
-    res.json({
-      success: true,
-      data: room,
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: error.message,
-    });
+      res.json({
+        success: true,
+        data: room,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // @desc    Get room statistics
 // @route   GET /api/rooms/stats/overview
 // @access  Private (Admin/Warden)
-router.get("/stats/overview", protect, warden, async (req, res) => {
+router.get("/stats/overview", protect, warden, async (req, res, next) => {
   try {
     const totalRooms = await Room.countDocuments();
     const availableRooms = await Room.countDocuments({
@@ -278,11 +294,47 @@ router.get("/stats/overview", protect, warden, async (req, res) => {
       },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+    next(error);
   }
 });
 
+// Summaries and responses for the OpenAPI document (lib/openapi.js)
+export const docs = {
+  "GET /": { summary: "Get all rooms", list: "Room" },
+  "GET /available": {
+    summary: "Get available rooms",
+    data: ["Room"],
+  },
+  "GET /:id": {
+    summary: "Get single room",
+    description: "Bed occupants are populated with their name and studentId.",
+    data: "Room",
+  },
+  "POST /": { summary: "Create a room", status: 201, data: "Room" },
+  "PUT /:id": { summary: "Update a room", data: "Room" },
+  "DELETE /:id": {
+    summary: "Delete a room",
+    description: "Rooms with current occupants cannot be deleted.",
+  },
+  "PATCH /:id/beds/:label": {
+    summary: "Update a bed's status (take out of or return to service)",
+    data: "Room",
+  },
+  "GET /stats/overview": {
+    summary: "Get room statistics",
+    data: {
+      type: "object",
+      properties: {
+        totalRooms: { type: "integer" },
+        availableRooms: { type: "integer" },
+        occupiedRooms: { type: "integer" },
+        maintenanceRooms: { type: "integer" },
+        totalCapacity: { type: "integer" },
+        totalOccupancy: { type: "integer" },
+        occupancyRate: { type: "number" },
+      },
+    },
+  },
+};
+
 export default router;
@@ -0,0 +1,187 @@
+import express from "express";
+import Student from "../models/Student.js";
+import Room from "../models/Room.js";
+import Booking from "../models/Booking.js";
+import Payment from "../models/Payment.js";
+import { protect, security } from "../middleware/auth.js";
+import { isStaff } from "../middleware/policy.js";
+import { validate, field } from "../middleware/validate.js";
+import { textSearch, startsWith, phonePattern } from "../lib/search.js";
+
+const router = express.Router();
+
+const SEARCH_TYPES = ["students", "rooms", "bookings", "payments"];
+
+// Guards look people up at the gate; contact details, bookings and money
+// stay with the office
+const GUARD_TYPES = ["students", "rooms"];
+
+const STUDENT_FIELDS = {
+  staff: "studentId name email phone room status",
+  guard: "studentId name room status",
+};
+const ROOM_FIELDS = "roomNumber floor capacity currentOccupancy status price";
+const BOOKING_FIELDS =
+  "student room bed checkInDate checkOutDate status totalAmount chargesAmount paidAmount";
+const PAYMENT_FIELDS =
+  "booking student amount method reference receiptNumber status createdAt";
+
+// The student text index covers email, phone and emergency contact too, so
+// guards skip it and match only on name, student ID and room number
+const searchStudents = async (q, { staff, limit }) => {
+  const phone = staff && phonePattern(q);
+  const rooms = staff
+    ? []
+    : await Room.find({ roomNumber: startsWith(q) }).distinct("_id");
+
+  return textSearch(Student, q, {
+    prefix: [
+      { studentId: startsWith(q) },
+      { name: startsWith(q, { anyWord: true }) },
+      ...(phone ? [{ phone }] : []),
+      ...(rooms.length ? [{ room: { $in: rooms } }] : []),
+    ],
+    select: STUDENT_FIELDS[staff ? "staff" : "guard"],
+    populate: [["room", "roomNumber"]],
+    limit,
+    text: staff,
+  });
+};
+
+const searchRooms = (q, { limit }) =>
+  textSearch(Room, q, {
+    prefix: [{ roomNumber: startsWith(q) }],
+    select: ROOM_FIELDS,
+    limit,
+  });
+
+// Receipt numbers are issued in upper case and M-Pesa codes are quoted that
+// way, but people type them however they like
+const searchPayments = (q, { limit }) => {
+  const references = [...new Set([q, q.toUpperCase()])];
+
+  return Payment.find({
+    $or: [
+      { reference: { $in: references } },
+      { receiptNumber: { $in: references } },
+    ],
+  })
+    .select(PAYMENT_FIELDS)
+    .populate("student", "name studentId")
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Bookings rank by how directly they matched: paid with the reference that
+// was searched for, then staff notes mentioning the search, then the latest
+// bookings of the students and rooms found
+const searchBookings = async (q, { students, rooms, payments, limit }) => {
+  const populateBooking = (query) =>
+    query
+      .select(BOOKING_FIELDS)
+      .populate("student", "name studentId")
+      .populate("room", "roomNumber")
+      .lean();
+
+  const [byPayment, byNotes, byOwner] = await Promise.all([
+    populateBooking(
+      Booking.find({ _id: { $in: payments.map((p) => p.booking) } })
+    ),
+    textSearch(Booking, q, {
+      select: BOOKING_FIELDS,
+      populate: [
+        ["student", "name studentId"],
+        ["room", "roomNumber"],
+      ],
+      limit,
+    }),
+    students.length || rooms.length
+      ? populateBooking(
+          Booking.find({
+            $or: [
+              { student: { $in: students.map((s) => s._id) } },
+              { room: { $in: rooms.map((r) => r._id) } },
+            ],
+          })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+        )
+      : [],
+  ]);
+
+  const seen = new Set();
+  return [...byPayment, ...byNotes, ...byOwner]
+    .filter((booking) => {
+      const id = booking._id.toString();
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .slice(0, limit);
+};
+
+// @desc    Search students, rooms, bookings and payments from one box
+// @route   GET /api/search?q=
+// @access  Private (Admin/Warden/Guard; guards see students and rooms only)
+router.get(
+  "/",
+  protect,
+  security,
+  validate({
+    query: {
+      q: field.string({ required: true, min: 2, max: 100 }),
+      types: field.array(field.string({ enum: SEARCH_TYPES })),
+      limit: field.integer({ min: 1, max: 20, default: 5 }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { q, limit } = req.query;
+      const staff = isStaff(req.user);
+
+      const allowed = staff ? SEARCH_TYPES : GUARD_TYPES;
+      const types = allowed.filter(
+        (type) => !req.query.types?.length || req.query.types.includes(type)
+      );
+      const wants = (type) => types.includes(type);
+
+      // Bookings are also found through the students, rooms and payments
+      // that matched, so those are searched whenever bookings are wanted
+      const [students, rooms, payments] = await Promise.all([
+        wants("students") || wants("bookings")
+          ? searchStudents(q, { staff, limit })
+          : [],
+        wants("rooms") || wants("bookings") ? searchRooms(q, { limit }) : [],
+        wants("payments") || wants("bookings")
+          ? searchPayments(q, { limit })
+          : [],
+      ]);
+
+      const results = { students, rooms, payments };
+      if (wants("bookings")) {
+        results.bookings = await searchBookings(q, {
+          students,
+          rooms,
+          payments,
+          limit,
+        });
+      }
+
+      const data = Object.fromEntries(
+        types.map((type) => [type, results[type]])
+      );
+
+      res.json({
+        success: true,
+        query: q,
+        count: Object.values(data).reduce((sum, list) => sum + list.length, 0),
+        data,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
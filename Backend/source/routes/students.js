@@ -1,245 +1,465 @@
 import express from "express";
+import mongoose from "mongoose";
 import Student from "../models/Student.js";
+import Room from "../models/Room.js";
+import Booking, { ACTIVE_BOOKING_STATUSES } from "../models/Booking.js";
+import Notification from "../models/Notification.js";
 import { protect, warden } from "../middleware/auth.js";
+import { authorize } from "../middleware/policy.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import { buildStatementPdf, sendPdf } from "../lib/pdf.js";
+import { ConflictError, ForbiddenError } from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+import { ref } from "../lib/openapi.js";
 
 const student_router = express.Router();
 
-// Get all students (admin/warden only)
-student_router.get("/", protect, warden, async (req, res) => {
-  try {
-    const students = await Student.find()
-      .populate("user", "name email")
-      .populate("room");
-    res.json(students);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+student_router.param("id", checkObjectId);
+
+// Students may only change their contact details
+const profileBody = {
+  phone: field.string({ max: 20 }),
+  emergencyContact: field.object({
+    name: field.string({ max: 100 }),
+    phone: field.string({ max: 20 }),
+    relationship: field.string({ max: 50 }),
+  }),
+};
+
+const studentList = listQuery({
+  sort: ["createdAt", "name", "studentId"],
+  dates: ["createdAt"],
+  fields: fieldsOf(Student),
 });
 
-// Get student by ID (student can see their own, admin/warden can see any)
-student_router.get("/:id", protect, async (req, res) => {
-  try {
-    // allow if user is admin/warden OR if it's the same user
-    if (
-      req.user.role !== "admin" &&
-      req.user.role !== "warden" &&
-      req.user._id.toString() !== req.params.id
-    ) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to view this student" });
-    }
-
-    const student = await Student.findById(req.params.id)
-      .populate("user", "name email")
-      .populate("room");
-
-    if (!student) {
-      return res.status(404).json({ message: "Student not found" });
-    }
-
-    res.json(student);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
+// Get all students (admin/warden only)
+student_router.get(
+  "/",
+  protect,
+  warden,
+  validate({
+    query: {
+      status: field.string({ enum: ["active", "graduated", "left"] }),
+      room: field.id(),
+      ...studentList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, room } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (room) filter.room = room;
+
+      const students = Student.find(filter)
+        .populate("user", "name email")
+        .populate("room");
 
-//Only allow students to update their own profile by ID
-student_router.put("/:id", protect, async (req, res) => {
-  try {
-    // Only students can update profiles
-    if (req.user.role !== "student") {
-      return res.status(403).json({
-        message: "Only students can update their profile",
+      res.json({
+        success: true,
+        ...(await studentList.run(students, req.query)),
       });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Find the student profile for the current user
-    let student = await Student.findOne({ user: req.user._id });
-
-    // If student profile doesn't exist, create it
-    if (!student) {
-      // Generate unique student ID
-      const studentCount = await Student.countDocuments();
-      const studentId = `STU${(studentCount + 1).toString().padStart(4, "0")}`;
-
-      student = await Student.create({
-        studentId: studentId,
-        user: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        phone: req.body.phone || "",
-        emergencyContact: req.body.emergencyContact || {
-          name: "",
-          phone: "",
-          relationship: "",
-        },
-        status: "active",
-      });
-
-      const populatedStudent = await Student.findById(student._id)
+// Get student by ID (student can see their own, admin/warden can see any)
+student_router.get(
+  "/:id",
+  protect,
+  authorize("student", "read"),
+  async (req, res, next) => {
+    try {
+      const student = await Student.findById(req.params.id)
         .populate("user", "name email")
         .populate("room");
 
-      return res.status(201).json({
-        message: "Student profile created successfully",
-        data: populatedStudent,
+      res.json({
+        success: true,
+        data: student,
       });
+    } catch (error) {
+      next(error);
     }
-
-    // ✅ FIX: Check if the requested student ID matches the user's student profile ID
-    if (student._id.toString() !== req.params.id) {
-      return res.status(403).json({
-        message: "Not authorized to update this student profile",
+  }
+);
+
+// Get a student's statement of account (student can see their own, admin/warden can see any)
+student_router.get(
+  "/:id/account",
+  protect,
+  authorize("student", "read"),
+  async (req, res, next) => {
+    try {
+      const student = req.record;
+      const statement = await student.getAccountStatement();
+
+      res.json({
+        success: true,
+        data: statement,
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Download a student's statement of account as a PDF
+student_router.get(
+  "/:id/statement",
+  protect,
+  authorize("student", "read"),
+  async (req, res, next) => {
+    try {
+      const student = req.record;
+      const statement = await student.getAccountStatement();
+
+      sendPdf(
+        res,
+        buildStatementPdf(statement),
+        `statement-${student.studentId}.pdf`
+      );
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // If student profile exists, update allowed fields
-    const allowedFields = ["phone", "emergencyContact"];
-    const updateData = {};
+//Only allow students to update their own profile by ID
+student_router.put(
+  "/:id",
+  protect,
+  validate({ body: profileBody }),
+  async (req, res, next) => {
+    try {
+      // Only students can update profiles
+      if (req.user.role !== "student") {
+        throw new ForbiddenError("Only students can update their profile");
+      }
 
-    allowedFields.forEach((field) => {
-      if (req.body[field] !== undefined) {
-        updateData[field] = req.body[field];
+      // Find the student profile for the current user
+      let student = await Student.findOne({ user: req.user._id });
+
+      // If student profile doesn't exist, create it
+      if (!student) {
+        // Generate unique student ID
+        const studentCount = await Student.countDocuments();
+        const studentId = `STU${(studentCount + 1)
+          .toString()
+          .padStart(4, "0")}`;
+
+        student = await Student.create({
+          studentId: studentId,
+          user: req.user._id,
+          name: req.user.name,
+          email: req.user.email,
+          phone: req.body.phone || "",
+          emergencyContact: req.body.emergencyContact || {
+            name: "",
+            phone: "",
+            relationship: "",
+          },
+          status: "active",
+        });
+
+        const populatedStudent = await Student.findById(student._id)
+          .populate("user", "name email")
+          .populate("room");
+
+        return res.status(201).json({
+          success: true,
+          message: "Student profile created successfully",
+          data: populatedStudent,
+        });
       }
-    });
-
-    const updatedStudent = await Student.findByIdAndUpdate(
-      student._id,
-      updateData,
-      {
-        new: true,
-        runValidators: true,
+
+      // ✅ FIX: Check if the requested student ID matches the user's student profile ID
+      if (student._id.toString() !== req.params.id) {
+        throw new ForbiddenError(
+          "Not authorized to update this student profile"
+        );
       }
-    )
-      .populate("user", "name email")
-      .populate("room");
-
-    return res.json({
-      message: "Student profile updated successfully",
-      data: updatedStudent,
-    });
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
-});
 
-//Only students can update their own profile via this endpoint
-student_router.put("/profile/me", protect, async (req, res) => {
-  try {
-    // Only students can update their own profile
-    if (req.user.role !== "student") {
-      return res.status(403).json({
-        message: "Only students can update their profile",
-      });
-    }
+      // If student profile exists, update allowed fields
+      const allowedFields = ["phone", "emergencyContact"];
+      const updateData = {};
 
-    let student = await Student.findOne({ user: req.user._id });
-
-    // If student profile doesn't exist, create it
-    if (!student) {
-      // Generate unique student ID
-      const studentCount = await Student.countDocuments();
-      const studentId = `STU${(studentCount + 1).toString().padStart(4, "0")}`;
-
-      student = await Student.create({
-        studentId: studentId,
-        user: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        phone: req.body.phone || "",
-        emergencyContact: req.body.emergencyContact || {
-          name: "",
-          phone: "",
-          relationship: "",
-        },
-        status: "active",
+      allowedFields.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
       });
 
-      const populatedStudent = await Student.findById(student._id)
+      const updatedStudent = await Student.findByIdAndUpdate(
+        student._id,
+        updateData,
+        {
+          new: true,
+          runValidators: true,
+        }
+      )
         .populate("user", "name email")
         .populate("room");
 
-      return res.status(201).json({
-        message: "Student profile created successfully",
-        data: populatedStudent,
+      return res.json({
+        success: true,
+        message: "Student profile updated successfully",
+        data: updatedStudent,
       });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // If student profile exists, update allowed fields
-    const allowedFields = ["phone", "emergencyContact"];
-    const updateData = {};
-
-    allowedFields.forEach((field) => {
-      if (req.body[field] !== undefined) {
-        updateData[field] = req.body[field];
+//Only students can update their own profile via this endpoint
+student_router.put(
+  "/profile/me",
+  protect,
+  validate({ body: profileBody }),
+  async (req, res, next) => {
+    try {
+      // Only students can update their own profile
+      if (req.user.role !== "student") {
+        throw new ForbiddenError("Only students can update their profile");
       }
-    });
-
-    const updatedStudent = await Student.findByIdAndUpdate(
-      student._id,
-      updateData,
-      {
-        new: true,
-        runValidators: true,
+
+      let student = await Student.findOne({ user: req.user._id });
+
+      // If student profile doesn't exist, create it
+      if (!student) {
+        // Generate unique student ID
+        const studentCount = await Student.countDocuments();
+        const studentId = `STU${(studentCount + 1)
+          .toString()
+          .padStart(4, "0")}`;
+
+        student = await Student.create({
+          studentId: studentId,
+          user: req.user._id,
+          name: req.user.name,
+          email: req.user.email,
+          phone: req.body.phone || "",
+          emergencyContact: req.body.emergencyContact || {
+            name: "",
+            phone: "",
+            relationship: "",
+          },
+          status: "active",
+        });
+
+        const populatedStudent = await Student.findById(student._id)
+          .populate("user", "name email")
+          .populate("room");
+
+        return res.status(201).json({
+          success: true,
+          message: "Student profile created successfully",
+          data: populatedStudent,
+        });
       }
-    )
-      .populate("user", "name email")
-      .populate("room");
-
-    res.json({
-      message: "Student profile updated successfully",
-      data: updatedStudent,
-    });
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
-});
 
-//Admin/Warden can only assign rooms (not update profile)
-student_router.patch("/:id/assign-room", protect, warden, async (req, res) => {
-  try {
-    const { roomId } = req.body;
+      // If student profile exists, update allowed fields
+      const allowedFields = ["phone", "emergencyContact"];
+      const updateData = {};
 
-    if (!roomId) {
-      return res.status(400).json({ message: "Room ID is required" });
-    }
+      allowedFields.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
+      });
 
-    const student = await Student.findById(req.params.id);
-    if (!student) {
-      return res.status(404).json({ message: "Student not found" });
-    }
+      const updatedStudent = await Student.findByIdAndUpdate(
+        student._id,
+        updateData,
+        {
+          new: true,
+          runValidators: true,
+        }
+      )
+        .populate("user", "name email")
+        .populate("room");
 
-    // Use the assignRoom method from the Student model
-    await student.assignRoom(roomId);
+      res.json({
+        success: true,
+        message: "Student profile updated successfully",
+        data: updatedStudent,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-    const updatedStudent = await Student.findById(student._id)
-      .populate("user", "name email")
-      .populate("room");
+//Admin/Warden can only assign rooms (not update profile)
+student_router.patch(
+  "/:id/assign-room",
+  protect,
+  authorize("student", "assignRoom"),
+  validate({
+    body: {
+      roomId: field.id({ required: true }),
+      bed: field.string({ uppercase: true }),
+    },
+  }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      const { roomId, bed } = req.body;
+
+      const student = req.record;
+
+      await session.withTransaction(async () => {
+        const current = await Student.findById(student._id).session(session);
+        await current.assignRoom(roomId, { bed }, session);
+      });
 
-    res.json({
-      message: "Room assigned successfully",
-      data: updatedStudent,
-    });
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
-});
+      const updatedStudent = await Student.findById(student._id)
+        .populate("user", "name email")
+        .populate("room");
 
-// Delete student (admin/warden only)
-student_router.delete("/:id", protect, warden, async (req, res) => {
-  try {
-    const student = await Student.findById(req.params.id);
+      const bedAssigned = updatedStudent.room?.beds.find((b) =>
+        b.occupant?.equals(student._id)
+      );
+      await Notification.enqueue({
+        student: student._id,
+        template: "room-assigned",
+        data: {
+          roomNumber: updatedStudent.room?.roomNumber,
+          bed: bedAssigned?.label,
+        },
+      }).catch((err) => console.error("Room notification failed:", err));
 
-    if (!student) {
-      return res.status(404).json({ message: "Student not found" });
+      res.json({
+        success: true,
+        message: "Room assigned successfully",
+        data: updatedStudent,
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
     }
+  }
+);
+
+// Delete student (admin/warden only). Students with an active booking
+// have to check out or cancel first; a bed assigned without a booking is
+// freed along with the record.
+student_router.delete(
+  "/:id",
+  protect,
+  authorize("student", "delete"),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        const studentId = req.params.id;
+
+        const hasBooking = await Booking.exists({
+          student: studentId,
+          status: { $in: ACTIVE_BOOKING_STATUSES },
+        }).session(session);
+        if (hasBooking) {
+          throw new ConflictError(
+            "Student has an active booking; check out or cancel it first",
+            "STUDENT_HAS_BOOKING"
+          );
+        }
+
+        const rooms = await Room.find({ "beds.occupant": studentId }).session(
+          session
+        );
+        for (const room of rooms) {
+          while (room.releaseBed({ student: studentId }));
+          await room.save({ session });
+        }
+
+        await Student.deleteOne({ _id: studentId }, { session });
+      });
 
-    await Student.findByIdAndDelete(req.params.id);
-    res.json({ message: "Student removed" });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+      res.json({
+        success: true,
+        message: "Student removed",
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
+    }
   }
+);
+
+// Summaries and responses for the OpenAPI document (lib/openapi.js)
+const ledgerEntry = {
+  type: "object",
+  properties: {
+    date: { type: "string", format: "date-time" },
+    type: { type: "string", enum: ["charge", "payment", "reversal", "refund"] },
+    description: { type: "string" },
+    reference: { type: "string" },
+    booking: { type: "string" },
+    debit: { type: "number" },
+    credit: { type: "number" },
+    balance: { type: "number" },
+  },
+};
+
+const profileUpdate = (summary) => ({
+  summary,
+  description:
+    "Students may only change their contact details. The profile is created " +
+    "(201) the first time a student saves it.",
+  roles: ["student"],
+  data: "Student",
 });
 
+export const docs = {
+  "GET /": { summary: "Get all students", list: "Student" },
+  "GET /:id": { summary: "Get student by ID", data: "Student" },
+  "GET /:id/account": {
+    summary: "Get a student's statement of account",
+    data: {
+      type: "object",
+      properties: {
+        student: ref("Student"),
+        bookings: { type: "array", items: ref("Booking") },
+        entries: { type: "array", items: ledgerEntry },
+        totals: {
+          type: "object",
+          properties: {
+            totalCharged: { type: "number" },
+            totalPaid: { type: "number" },
+            balance: { type: "number" },
+          },
+        },
+      },
+    },
+  },
+  "GET /:id/statement": {
+    summary: "Download a student's statement of account as a PDF",
+    pdf: true,
+  },
+  "PUT /:id": profileUpdate("Update the signed-in student's profile by ID"),
+  "PUT /profile/me": profileUpdate("Update the signed-in student's profile"),
+  "PATCH /:id/assign-room": {
+    summary: "Assign a student to a room",
+    description:
+      "Only for students without an active booking; those move rooms " +
+      "through a transfer request.",
+    data: "Student",
+  },
+  "DELETE /:id": {
+    summary: "Delete a student",
+    description:
+      "Refused while the student has an active booking; a bed assigned " +
+      "without a booking is freed.",
+  },
+};
+
 export default student_router;
@@ -0,0 +1,302 @@
+import express from "express";
+import mongoose from "mongoose";
+import TransferRequest from "../models/TransferRequest.js";
+import Booking, { ACTIVE_BOOKING_STATUSES } from "../models/Booking.js";
+import Room from "../models/Room.js";
+import Student from "../models/Student.js";
+import { protect, warden } from "../middleware/auth.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+const reviewBody = { note: field.string({ max: 500 }) };
+
+const populateTransfer = (query) =>
+  query
+    .populate("student", "name studentId phone")
+    .populate("fromRoom", "roomNumber floor price")
+    .populate("toRoom", "roomNumber floor price")
+    .populate("reviewedBy", "name");
+
+// @desc    Request a move to another room
+// @route   POST /api/transfers
+// @access  Private (Student)
+router.post(
+  "/",
+  protect,
+  validate({
+    body: {
+      toRoom: field.id({ required: true }),
+      toBed: field.string({ uppercase: true }),
+      reason: field.string({
+        required: true,
+        enum: ["roommate-conflict", "cheaper-room", "medical", "other"],
+      }),
+      details: field.string({ max: 1000 }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      if (req.user.role !== "student") {
+        throw new ForbiddenError("Only students can request a room transfer");
+      }
+
+      const { toRoom, toBed, reason, details } = req.body;
+
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student) {
+        throw new NotFoundError("Student");
+      }
+
+      const booking = await Booking.findOne({
+        student: student._id,
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+      });
+      if (!booking) {
+        throw new ConflictError(
+          "You need an active booking to request a transfer",
+          "NO_ACTIVE_BOOKING"
+        );
+      }
+
+      const room = await Room.findById(toRoom);
+      if (!room) {
+        throw new NotFoundError("Room");
+      }
+
+      if (booking.room.equals(room._id) && (!toBed || toBed === booking.bed)) {
+        throw new BadRequestError(
+          "You are already booked into this room",
+          "SAME_ROOM"
+        );
+      }
+
+      const pending = await TransferRequest.findOne({
+        student: student._id,
+        status: "pending",
+      });
+      if (pending) {
+        throw new ConflictError(
+          "You already have a pending transfer request",
+          "TRANSFER_PENDING"
+        );
+      }
+
+      const transfer = await TransferRequest.create({
+        student: student._id,
+        booking: booking._id,
+        fromRoom: booking.room,
+        fromBed: booking.bed,
+        toRoom: room._id,
+        toBed,
+        reason,
+        details,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Transfer request submitted",
+        data: transfer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Staff work through requests oldest first; students see their latest first
+const transferListOptions = {
+  sort: ["createdAt", "effectiveDate"],
+  dates: ["createdAt"],
+  fields: fieldsOf(TransferRequest),
+};
+const transferList = listQuery({
+  ...transferListOptions,
+  defaultSort: "createdAt",
+});
+const myTransferList = listQuery(transferListOptions);
+
+// @desc    Get transfer requests
+// @route   GET /api/transfers
+// @access  Private (Admin/Warden)
+router.get(
+  "/",
+  protect,
+  warden,
+  validate({
+    query: {
+      status: field.string({
+        enum: ["pending", "approved", "rejected", "cancelled"],
+      }),
+      student: field.id(),
+      ...transferList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, student } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (student) filter.student = student;
+
+      const transfers = populateTransfer(TransferRequest.find(filter));
+
+      res.json({
+        success: true,
+        ...(await transferList.run(transfers, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get the logged-in student's transfer requests
+// @route   GET /api/transfers/me
+// @access  Private (Student)
+router.get(
+  "/me",
+  protect,
+  validate({ query: myTransferList.query }),
+  async (req, res, next) => {
+    try {
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student) {
+        throw new NotFoundError("Student");
+      }
+
+      const transfers = populateTransfer(
+        TransferRequest.find({ student: student._id })
+      );
+
+      res.json({
+        success: true,
+        ...(await myTransferList.run(transfers, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Approve a transfer (moves the student and re-prices the booking)
+// @route   PATCH /api/transfers/:id/approve
+// @access  Private (Admin/Warden)
+router.patch(
+  "/:id/approve",
+  protect,
+  warden,
+  validate({
+    body: { ...reviewBody, bed: field.string({ uppercase: true }) },
+  }),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+
+    try {
+      let transfer;
+      await session.withTransaction(async () => {
+        transfer = await TransferRequest.findById(req.params.id).session(
+          session
+        );
+
+        if (!transfer) {
+          throw new NotFoundError("Transfer request");
+        }
+
+        await transfer.approve(
+          { by: req.user._id, note: req.body.note, bed: req.body.bed },
+          session
+        );
+      });
+
+      res.json({
+        success: true,
+        message: "Transfer approved",
+        data: await populateTransfer(TransferRequest.findById(transfer._id)),
+      });
+    } catch (error) {
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// @desc    Reject a transfer
+// @route   PATCH /api/transfers/:id/reject
+// @access  Private (Admin/Warden)
+router.patch(
+  "/:id/reject",
+  protect,
+  warden,
+  validate({ body: reviewBody }),
+  async (req, res, next) => {
+    try {
+      const transfer = await TransferRequest.findById(req.params.id);
+
+      if (!transfer) {
+        throw new NotFoundError("Transfer request");
+      }
+
+      await transfer.reject({ by: req.user._id, note: req.body.note });
+
+      res.json({
+        success: true,
+        message: "Transfer rejected",
+        data: transfer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Withdraw a pending transfer request
+// @route   DELETE /api/transfers/:id
+// @access  Private (Student who made the request)
+router.delete("/:id", protect, async (req, res, next) => {
+  try {
+    const transfer = await TransferRequest.findById(req.params.id);
+
+    if (!transfer) {
+      throw new NotFoundError("Transfer request");
+    }
+
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student || !transfer.student.equals(student._id)) {
+      throw new ForbiddenError(
+        "Not authorized to withdraw this transfer request"
+      );
+    }
+
+    if (transfer.status !== "pending") {
+      throw new ConflictError(
+        `Transfer request is already ${transfer.status}`,
+        "INVALID_STATUS_TRANSITION"
+      );
+    }
+
+    transfer.status = "cancelled";
+    await transfer.save();
+
+    res.json({
+      success: true,
+      message: "Transfer request withdrawn",
+      data: transfer,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
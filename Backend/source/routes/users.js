@@ -0,0 +1,266 @@
+import express from "express";
+import User from "../models/User.js";
+import StaffInvitation, { STAFF_ROLES } from "../models/StaffInvitation.js";
+import { protect, admin } from "../middleware/auth.js";
+import { sendAccountEmail, appLink } from "../lib/mailer.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+const ROLES = [...STAFF_ROLES, "student"];
+
+const userList = listQuery({
+  sort: ["createdAt", "name", "email"],
+  dates: ["createdAt"],
+  fields: fieldsOf(User, { except: ["password", "passwordChangedAt"] }),
+});
+
+// Admins may not lock themselves out
+const refuseSelf = (req) => {
+  if (req.params.id === req.user._id.toString()) {
+    throw new BadRequestError(
+      "You cannot change your own account this way",
+      "OWN_ACCOUNT"
+    );
+  }
+};
+
+// @desc    Get users with filtering
+// @route   GET /api/users
+// @access  Private (Admin only)
+router.get(
+  "/",
+  protect,
+  admin,
+  validate({
+    query: {
+      role: field.string({ enum: ROLES }),
+      active: field.boolean(),
+      ...userList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { role, active } = req.query;
+
+      const filter = {};
+      if (role) filter.role = role;
+      if (active !== undefined) filter.active = active;
+
+      res.json({
+        success: true,
+        ...(await userList.run(
+          User.find(filter).select("-password"),
+          req.query
+        )),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get staff invitations
+// @route   GET /api/users/invitations
+// @access  Private (Admin only)
+router.get(
+  "/invitations",
+  protect,
+  admin,
+  validate({
+    query: {
+      status: field.string({
+        enum: ["pending", "accepted", "revoked", "expired"],
+      }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const invitations = await StaffInvitation.find()
+        .select("-tokenHash")
+        .populate("invitedBy", "name")
+        .populate("acceptedUser", "name email")
+        .sort({ createdAt: -1 });
+
+      const { status } = req.query;
+      const data = status
+        ? invitations.filter((invitation) => invitation.status === status)
+        : invitations;
+
+      res.json({
+        success: true,
+        count: data.length,
+        data,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Invite a member of staff
+// @route   POST /api/users/invitations
+// @access  Private (Admin only)
+router.post(
+  "/invitations",
+  protect,
+  admin,
+  validate({
+    body: {
+      email: field.email({ required: true }),
+      name: field.string({ max: 100 }),
+      role: field.string({ required: true, enum: STAFF_ROLES }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { email, name, role } = req.body;
+
+      if (await User.emailTaken(email)) {
+        throw new ConflictError(
+          "A user with this email already exists",
+          "EMAIL_TAKEN"
+        );
+      }
+
+      const { invitation, token } = await StaffInvitation.issue({
+        email,
+        name,
+        role,
+        invitedBy: req.user._id,
+      });
+
+      await sendAccountEmail(
+        { name: name || email, email: invitation.email },
+        "staff-invitation",
+        {
+          role: invitation.role,
+          invitedBy: req.user.name,
+          link: appLink("/accept-invitation", token),
+          expiresAt: invitation.expiresAt,
+        }
+      );
+
+      const { tokenHash, ...data } = invitation.toObject();
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${invitation.email}`,
+        data,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Withdraw an open invitation
+// @route   DELETE /api/users/invitations/:id
+// @access  Private (Admin only)
+router.delete("/invitations/:id", protect, admin, async (req, res, next) => {
+  try {
+    const invitation = await StaffInvitation.findById(req.params.id);
+
+    if (!invitation) {
+      throw new NotFoundError("Invitation");
+    }
+
+    if (invitation.status !== "pending") {
+      throw new ConflictError(
+        `Invitation is already ${invitation.status}`,
+        "INVALID_STATUS_TRANSITION"
+      );
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: "Invitation withdrawn",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Change a user's role (signs them out everywhere)
+// @route   PATCH /api/users/:id/role
+// @access  Private (Admin only)
+router.patch(
+  "/:id/role",
+  protect,
+  admin,
+  validate({ body: { role: field.string({ required: true, enum: ROLES }) } }),
+  async (req, res, next) => {
+    try {
+      refuseSelf(req);
+
+      const { role } = req.body;
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        throw new NotFoundError("User");
+      }
+
+      user.role = role;
+      await user.save();
+
+      const { password, ...data } = user.toObject();
+
+      res.json({
+        success: true,
+        message: `Role changed to ${role}`,
+        data,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Shared handler for switching an account on or off
+const setActive = (active) => async (req, res, next) => {
+  try {
+    refuseSelf(req);
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw new NotFoundError("User");
+    }
+
+    user.active = active;
+    user.deactivatedAt = active ? undefined : new Date();
+    await user.save();
+
+    const { password, ...data } = user.toObject();
+
+    res.json({
+      success: true,
+      message: active ? "Account reactivated" : "Account deactivated",
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate an account (signs the user out everywhere)
+// @route   PATCH /api/users/:id/deactivate
+// @access  Private (Admin only)
+router.patch("/:id/deactivate", protect, admin, setActive(false));
+
+// @desc    Reactivate an account
+// @route   PATCH /api/users/:id/activate
+// @access  Private (Admin only)
+router.patch("/:id/activate", protect, admin, setActive(true));
+
+export default router;
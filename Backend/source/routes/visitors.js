@@ -0,0 +1,385 @@
+import express from "express";
+import Visit from "../models/Visit.js";
+import VisitorPolicy from "../models/VisitorPolicy.js";
+import Student from "../models/Student.js";
+import { protect, admin, warden, security } from "../middleware/auth.js";
+import {
+  validate,
+  field,
+  optional,
+  checkObjectId,
+} from "../middleware/validate.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../lib/errors.js";
+import { listQuery, fieldsOf } from "../lib/listQuery.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+const visitorBody = {
+  visitorName: field.string({ required: true, max: 100 }),
+  idNumber: field.string({ max: 50 }),
+  phone: field.string({ max: 20 }),
+  purpose: field.string({ max: 200 }),
+  overnight: field.boolean(),
+};
+
+const populateVisit = (query) =>
+  query
+    .populate("student", "name studentId phone")
+    .populate("room", "roomNumber floor")
+    .populate("signedInBy", "name")
+    .populate("signedOutBy", "name")
+    .populate("overnightApproval.approvedBy", "name");
+
+const visitorFields = ({
+  visitorName,
+  idNumber,
+  phone,
+  purpose,
+  overnight,
+}) => ({
+  visitorName,
+  idNumber,
+  phone,
+  purpose,
+  overnight: Boolean(overnight),
+});
+
+// @desc    Get the visitor policy in force
+// @route   GET /api/visitors/policy
+// @access  Private
+router.get("/policy", protect, async (req, res, next) => {
+  try {
+    const policy = await VisitorPolicy.current();
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update the visitor policy
+// @route   PUT /api/visitors/policy
+// @access  Private (Admin only)
+router.put(
+  "/policy",
+  protect,
+  admin,
+  validate({
+    body: {
+      visitingHoursStart: field.time(),
+      visitingHoursEnd: field.time(),
+      maxVisitorsPerResident: field.integer({ min: 1 }),
+      allowOvernightWithoutApproval: field.boolean(),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const policy = await VisitorPolicy.current();
+
+      policy.set(req.body);
+      policy.updatedBy = req.user._id;
+      await policy.save();
+
+      res.json({
+        success: true,
+        message: "Visitor policy updated successfully",
+        data: policy,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Pre-register an expected guest
+// @route   POST /api/visitors/expected
+// @access  Private (Student)
+router.post(
+  "/expected",
+  protect,
+  validate({ body: { ...visitorBody, expectedAt: field.date() } }),
+  async (req, res, next) => {
+    try {
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student) {
+        throw new NotFoundError("Student");
+      }
+
+      if (!student.room) {
+        throw new BadRequestError(
+          "Only residents with a room can register guests",
+          "NOT_A_RESIDENT"
+        );
+      }
+
+      const visit = await Visit.create({
+        ...visitorFields(req.body),
+        student: student._id,
+        room: student.room,
+        expectedAt: req.body.expectedAt,
+        registeredBy: req.user._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Guest registered",
+        data: visit,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const visitList = listQuery({
+  sort: ["createdAt", "expectedAt", "timeIn", "timeOut"],
+  dates: ["expectedAt", "timeIn"],
+  fields: fieldsOf(Visit),
+});
+
+// @desc    Get the logged-in student's visitors
+// @route   GET /api/visitors/me
+// @access  Private (Student)
+router.get(
+  "/me",
+  protect,
+  validate({ query: visitList.query }),
+  async (req, res, next) => {
+    try {
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student) {
+        throw new NotFoundError("Student");
+      }
+
+      const visits = populateVisit(Visit.find({ student: student._id }));
+
+      res.json({
+        success: true,
+        ...(await visitList.run(visits, req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get the visitor log with filtering
+// @route   GET /api/visitors
+// @access  Private (Admin/Warden/Guard)
+router.get(
+  "/",
+  protect,
+  security,
+  validate({
+    query: {
+      status: field.string({
+        enum: ["expected", "signed-in", "signed-out", "cancelled"],
+      }),
+      student: field.id(),
+      idNumber: field.string(),
+      date: field.date(),
+      ...visitList.query,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, student, idNumber, date } = req.query;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (student) filter.student = student;
+      if (idNumber) filter.idNumber = idNumber;
+      if (date) {
+        // Visits that were expected or came in on that day
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+        filter.$or = [
+          { timeIn: { $gte: start, $lt: end } },
+          { expectedAt: { $gte: start, $lt: end } },
+        ];
+      }
+
+      res.json({
+        success: true,
+        ...(await visitList.run(populateVisit(Visit.find(filter)), req.query)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get visitors still on site after hours without overnight approval
+// @route   GET /api/visitors/overstays
+// @access  Private (Admin/Warden/Guard)
+router.get("/overstays", protect, security, async (req, res, next) => {
+  try {
+    const visits = await Visit.findOverstays();
+
+    res.json({
+      success: true,
+      count: visits.length,
+      data: visits,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Sign a visitor in (a pre-registered guest or a walk-in)
+// @route   POST /api/visitors/sign-in
+// @access  Private (Admin/Warden/Guard)
+router.post(
+  "/sign-in",
+  protect,
+  security,
+  // Either an expected visit, or a walk-in for a student
+  validate({
+    body: { visit: field.id(), student: field.id(), ...optional(visitorBody) },
+  }),
+  async (req, res, next) => {
+    try {
+      let visit;
+
+      if (req.body.visit) {
+        visit = await Visit.findById(req.body.visit);
+        if (!visit) {
+          throw new NotFoundError("Visit", "Expected visit not found");
+        }
+        // The gate records the ID actually shown
+        if (req.body.idNumber) visit.idNumber = req.body.idNumber;
+      } else {
+        const student = await Student.findById(req.body.student);
+        if (!student) {
+          throw new NotFoundError("Student");
+        }
+
+        visit = new Visit({
+          ...visitorFields(req.body),
+          student: student._id,
+          registeredBy: req.user._id,
+        });
+      }
+
+      if (!visit.idNumber) {
+        throw new BadRequestError(
+          "Visitor ID number is required to sign in",
+          "ID_NUMBER_REQUIRED"
+        );
+      }
+
+      await visit.signIn({ by: req.user._id, role: req.user.role });
+
+      res.status(201).json({
+        success: true,
+        message: "Visitor signed in",
+        data: await populateVisit(Visit.findById(visit._id)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Sign a visitor out
+// @route   PATCH /api/visitors/:id/sign-out
+// @access  Private (Admin/Warden/Guard)
+router.patch("/:id/sign-out", protect, security, async (req, res, next) => {
+  try {
+    const visit = await Visit.findById(req.params.id);
+
+    if (!visit) {
+      throw new NotFoundError("Visit");
+    }
+
+    await visit.signOut({ by: req.user._id });
+
+    res.json({
+      success: true,
+      message: "Visitor signed out",
+      data: visit,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Approve an overnight stay
+// @route   PATCH /api/visitors/:id/approve-overnight
+// @access  Private (Admin/Warden)
+router.patch(
+  "/:id/approve-overnight",
+  protect,
+  warden,
+  async (req, res, next) => {
+    try {
+      const visit = await Visit.findById(req.params.id);
+
+      if (!visit) {
+        throw new NotFoundError("Visit");
+      }
+
+      await visit.approveOvernight({ by: req.user._id });
+
+      res.json({
+        success: true,
+        message: "Overnight stay approved",
+        data: visit,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Cancel an expected guest
+// @route   DELETE /api/visitors/:id
+// @access  Private (Student who registered the guest, or Admin/Warden)
+router.delete("/:id", protect, async (req, res, next) => {
+  try {
+    const visit = await Visit.findById(req.params.id);
+
+    if (!visit) {
+      throw new NotFoundError("Visit");
+    }
+
+    if (!["admin", "warden"].includes(req.user.role)) {
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student || !visit.student.equals(student._id)) {
+        throw new ForbiddenError("Not authorized to cancel this visit");
+      }
+    }
+
+    if (visit.status !== "expected") {
+      throw new ConflictError(
+        `Visit is already ${visit.status}`,
+        "INVALID_STATUS_TRANSITION"
+      );
+    }
+
+    visit.status = "cancelled";
+    await visit.save();
+
+    res.json({
+      success: true,
+      message: "Visit cancelled",
+      data: visit,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
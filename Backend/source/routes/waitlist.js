@@ -0,0 +1,291 @@
+import express from "express";
+import mongoose from "mongoose";
+import WaitlistEntry, { WAITLIST_ORDER } from "../models/WaitlistEntry.js";
+import Booking, { ACTIVE_BOOKING_STATUSES } from "../models/Booking.js";
+import Room from "../models/Room.js";
+import Student from "../models/Student.js";
+import { protect, warden } from "../middleware/auth.js";
+import { validate, field, checkObjectId } from "../middleware/validate.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../lib/errors.js";
+
+const router = express.Router();
+
+router.param("id", checkObjectId);
+
+const populateEntry = (query) =>
+  query
+    .populate("student", "name studentId phone")
+    .populate("room", "roomNumber floor price")
+    .populate("offer.room", "roomNumber floor");
+
+// Position of a waiting entry in the queue (1 = next in line)
+const queuePosition = async (entry) => {
+  const ahead = await WaitlistEntry.countDocuments({
+    status: "waiting",
+    $or: [
+      { priority: { $gt: entry.priority } },
+      { priority: entry.priority, createdAt: { $lt: entry.createdAt } },
+    ],
+  });
+  return ahead + 1;
+};
+
+// Students act on their own entries; wardens and admins on any
+const canManageEntry = async (req, entry) => {
+  if (req.user.role !== "student") return true;
+  const student = await Student.findOne({ user: req.user._id });
+  return !!student && entry.student.equals(student._id);
+};
+
+// @desc    Join the waitlist for a room or any room matching filters
+// @route   POST /api/waitlist
+// @access  Private (Students for themselves, Admin/Warden for anyone)
+router.post(
+  "/",
+  protect,
+  validate({
+    body: {
+      student: field.id(),
+      room: field.id(),
+      floor: field.integer({ min: 0 }),
+      maxPrice: field.number({ min: 0 }),
+      checkInDate: field.date({ required: true }),
+      checkOutDate: field.date({ required: true }),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { room, floor, maxPrice, checkInDate, checkOutDate } = req.body;
+
+      const student =
+        req.user.role === "student"
+          ? await Student.findOne({ user: req.user._id })
+          : await Student.findById(req.body.student);
+
+      if (!student) {
+        throw new NotFoundError("Student");
+      }
+
+      if (checkOutDate <= checkInDate) {
+        throw new BadRequestError(
+          "Check-out date must be after check-in date",
+          "INVALID_DATE_RANGE"
+        );
+      }
+
+      if (room && !(await Room.exists({ _id: room }))) {
+        throw new NotFoundError("Room");
+      }
+
+      const activeBooking = await Booking.findOne({
+        student: student._id,
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+      });
+      if (activeBooking) {
+        throw new ConflictError(
+          "Student already has an active booking",
+          "BOOKING_OVERLAP"
+        );
+      }
+
+      const openEntry = await WaitlistEntry.findOne({
+        student: student._id,
+        status: { $in: ["waiting", "offered"] },
+      });
+      if (openEntry) {
+        throw new ConflictError(
+          "Student is already on the waitlist",
+          "ALREADY_WAITLISTED"
+        );
+      }
+
+      const entry = await WaitlistEntry.create({
+        student: student._id,
+        room,
+        filters: room
+          ? {}
+          : {
+              floor,
+              maxPrice,
+            },
+        checkInDate,
+        checkOutDate,
+        addedBy: req.user._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Added to the waitlist",
+        position: await queuePosition(entry),
+        data: entry,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get the waitlist in queue order
+// @route   GET /api/waitlist
+// @access  Private (Admin/Warden)
+router.get(
+  "/",
+  protect,
+  warden,
+  validate({
+    query: {
+      status: field.string({
+        enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+        default: "waiting",
+      }),
+      room: field.id(),
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, room } = req.query;
+
+      const filter = { status };
+      if (room) filter.room = room;
+
+      const entries = await populateEntry(WaitlistEntry.find(filter)).sort(
+        WAITLIST_ORDER
+      );
+
+      res.json({
+        success: true,
+        count: entries.length,
+        data: entries,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get the logged-in student's waitlist entries
+// @route   GET /api/waitlist/me
+// @access  Private (Student)
+router.get("/me", protect, async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      throw new NotFoundError("Student");
+    }
+
+    const entries = await populateEntry(
+      WaitlistEntry.find({ student: student._id })
+    ).sort({ createdAt: -1 });
+
+    const data = await Promise.all(
+      entries.map(async (entry) => ({
+        ...entry.toObject(),
+        position:
+          entry.status === "waiting" ? await queuePosition(entry) : null,
+      }))
+    );
+
+    res.json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Expire lapsed offers and pass their beds on (also scheduled)
+// @route   POST /api/waitlist/offers/expire
+// @access  Private (Admin/Warden)
+router.post("/offers/expire", protect, warden, async (req, res, next) => {
+  try {
+    const expired = await WaitlistEntry.expireOffers();
+
+    res.json({
+      success: true,
+      message: `${expired} offer(s) expired`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Override an entry's priority
+// @route   PATCH /api/waitlist/:id/priority
+// @access  Private (Admin/Warden)
+router.patch(
+  "/:id/priority",
+  protect,
+  warden,
+  validate({ body: { priority: field.integer({ required: true }) } }),
+  async (req, res, next) => {
+    try {
+      const { priority } = req.body;
+
+      const entry = await WaitlistEntry.findByIdAndUpdate(
+        req.params.id,
+        { priority },
+        { new: true, runValidators: true }
+      );
+
+      if (!entry) {
+        throw new NotFoundError("Waitlist entry");
+      }
+
+      res.json({
+        success: true,
+        position:
+          entry.status === "waiting" ? await queuePosition(entry) : null,
+        data: entry,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Leave the waitlist (releases any held bed)
+// @route   DELETE /api/waitlist/:id
+// @access  Private (Student who owns the entry or Admin/Warden)
+router.delete("/:id", protect, async (req, res, next) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let withdrawn;
+    await session.withTransaction(async () => {
+      const entry = await WaitlistEntry.findById(req.params.id).session(
+        session
+      );
+
+      if (!entry) {
+        throw new NotFoundError("Waitlist entry");
+      }
+
+      if (!(await canManageEntry(req, entry))) {
+        throw new ForbiddenError(
+          "Not authorized to change this waitlist entry"
+        );
+      }
+
+      withdrawn = await WaitlistEntry.withdraw(entry._id, session);
+    });
+
+    res.json({
+      success: true,
+      message: "Removed from the waitlist",
+      data: withdrawn,
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+export default router;
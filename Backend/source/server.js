@@ -1,6 +1,7 @@
 import express from "express";
 import cors from "cors";
 import { connectDB } from "./lib/db.js";
+import { errorHandler, notFound } from "./middleware/errorHandler.js";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -21,6 +22,23 @@ import bookingRoutes from "./routes/bookings.js";
 import studentRoutes from "./routes/students.js";
 import roomRoutes from "./routes/rooms.js";
 import reviewRoutes from "./routes/review.js";
+import paymentRoutes from "./routes/payments.js";
+import mpesaRoutes from "./routes/mpesa.js";
+import invoiceRoutes from "./routes/invoices.js";
+import waitlistRoutes from "./routes/waitlist.js";
+import refundRoutes from "./routes/refunds.js";
+import transferRoutes from "./routes/transfers.js";
+import maintenanceRoutes from "./routes/maintenance.js";
+import assetRoutes from "./routes/assets.js";
+import damageChargeRoutes from "./routes/damageCharges.js";
+import visitorRoutes from "./routes/visitors.js";
+import gateRoutes from "./routes/gate.js";
+import announcementRoutes from "./routes/announcements.js";
+import notificationRoutes from "./routes/notifications.js";
+import userRoutes from "./routes/users.js";
+import searchRoutes from "./routes/search.js";
+import docsRoutes from "./routes/docs.js";
+import jobRoutes from "./routes/jobs.js";
 
 // Use routes
 app.use("/api/auth", authRoute);
@@ -28,24 +46,38 @@ app.use("/api/bookings", bookingRoutes);
 app.use("/api/students", studentRoutes);
 app.use("/api/rooms", roomRoutes);
 app.use("/api/reviews", reviewRoutes);
+app.use("/api/payments/mobile-money", mpesaRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/refunds", refundRoutes);
+app.use("/api/transfers", transferRoutes);
+app.use("/api/maintenance", maintenanceRoutes);
+app.use("/api/assets", assetRoutes);
+app.use("/api/damage-charges", damageChargeRoutes);
+app.use("/api/visitors", visitorRoutes);
+app.use("/api/gate", gateRoutes);
+app.use("/api/announcements", announcementRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/docs", docsRoutes);
+app.use("/api/jobs", jobRoutes);
 
 // Basic route
 app.get("/", (req, res) => {
   res.json({
+    success: true,
     message: "California-Hostel-Nyawita Management API is up and running🥹!",
   });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: "Something went wrong!" });
-});
-
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({ message: "Route not found" });
-});
+app.use(notFound);
+
+// Error handling middleware: maps thrown errors to status codes and the
+// { success: false, code, message } envelope
+app.use(errorHandler);
 
 // Connect DB for serverless (Vercel)
 let isConnected = false;
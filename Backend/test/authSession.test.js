@@ -0,0 +1,99 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import AuthSession from "../source/models/AuthSession.js";
+import { AuthenticationError } from "../source/lib/errors.js";
+import { fakeQuery } from "./helpers.js";
+
+const hash = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+// One stored session, updated the way MongoDB would: the filter is checked
+// and the update applied in a single step
+let stored;
+
+const matches = (doc, filter) =>
+  doc._id.equals(filter._id) &&
+  doc.tokenHash === filter.tokenHash &&
+  !doc.revokedAt &&
+  doc.expiresAt > filter.expiresAt.$gt;
+
+beforeEach(() => {
+  stored = new AuthSession({
+    user: new mongoose.Types.ObjectId(),
+    tokenHash: hash("first-secret"),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+
+  mock.method(AuthSession, "findOneAndUpdate", async (filter, update) => {
+    if (!matches(stored, filter)) return null;
+    stored.set(update.$set);
+    return stored;
+  });
+  mock.method(AuthSession, "findById", () => fakeQuery(stored));
+  mock.method(AuthSession.prototype, "revoke", async function (reason) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const token = (secret) => `${stored._id}.${secret}`;
+
+test("swaps a current refresh token for a new one", async () => {
+  const { session, refreshToken } = await AuthSession.rotate(
+    token("first-secret")
+  );
+
+  const [sessionId, secret] = refreshToken.split(".");
+  assert.equal(sessionId, stored._id.toString());
+  assert.notEqual(secret, "first-secret");
+  assert.equal(session.tokenHash, hash(secret));
+});
+
+test("only one of two concurrent refreshes with the same token succeeds", async () => {
+  const results = await Promise.allSettled([
+    AuthSession.rotate(token("first-secret")),
+    AuthSession.rotate(token("first-secret")),
+  ]);
+
+  const fulfilled = results.filter((r) => r.status === "fulfilled");
+  const rejected = results.filter((r) => r.status === "rejected");
+  assert.equal(fulfilled.length, 1);
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].reason.code, "REFRESH_TOKEN_REUSED");
+  assert.ok(stored.revokedAt);
+});
+
+test("a replayed token revokes the session", async () => {
+  const { refreshToken } = await AuthSession.rotate(token("first-secret"));
+
+  await assert.rejects(AuthSession.rotate(token("first-secret")), {
+    code: "REFRESH_TOKEN_REUSED",
+  });
+  assert.equal(stored.revokedReason, "refresh token reused");
+  await assert.rejects(AuthSession.rotate(refreshToken), {
+    code: "SESSION_ENDED",
+  });
+});
+
+test("an expired session cannot be refreshed", async () => {
+  stored.expiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(AuthSession.rotate(token("first-secret")), {
+    code: "SESSION_ENDED",
+  });
+});
+
+test("rejects tokens that are not session id and secret", async () => {
+  for (const bad of [undefined, "", "no-dot", "not-an-id.secret"]) {
+    await assert.rejects(AuthSession.rotate(bad), (error) => {
+      assert.ok(error instanceof AuthenticationError);
+      assert.equal(error.code, "INVALID_REFRESH_TOKEN");
+      return true;
+    });
+  }
+});
@@ -0,0 +1,97 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Booking from "../source/models/Booking.js";
+import Room from "../source/models/Room.js";
+import { ConflictError } from "../source/lib/errors.js";
+import { fakeQuery } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const roomId = new mongoose.Types.ObjectId();
+
+const room = (beds) =>
+  new Room({
+    _id: roomId,
+    roomNumber: "A1",
+    floor: 1,
+    capacity: beds.length,
+    price: 10000,
+    beds: beds.map((bed, i) => ({
+      label: String.fromCharCode(65 + i),
+      ...bed,
+    })),
+  });
+
+test("beds occupied with no booking behind them are not bookable", () => {
+  const booking = new mongoose.Types.ObjectId();
+  const subject = room([
+    { status: "occupied" },
+    { status: "occupied", booking },
+    { status: "maintenance" },
+    { status: "available" },
+  ]);
+
+  assert.equal(subject.usableBeds, 3);
+  assert.equal(subject.bookableBeds, 2);
+});
+
+test("picks a bed that is neither booked nor occupied off the books", async () => {
+  mock.method(Booking, "find", () => fakeQuery([{ bed: "B" }]));
+  const subject = room([{ status: "occupied" }, {}, {}]);
+
+  const label = await Booking.freeBedLabel(
+    subject,
+    "2026-11-01",
+    "2026-12-01"
+  );
+
+  assert.equal(label, "C");
+});
+
+test("reports a room with no free bed as full", async () => {
+  mock.method(Booking, "find", () => fakeQuery([{ bed: "B" }]));
+  const subject = room([{ status: "occupied" }, {}]);
+
+  await assert.rejects(
+    Booking.freeBedLabel(subject, "2026-11-01", "2026-12-01"),
+    (error) => {
+      assert.ok(error instanceof ConflictError);
+      assert.equal(error.code, "ROOM_FULL");
+      return true;
+    }
+  );
+});
+
+test("refuses a named bed that another booking holds", async () => {
+  mock.method(Booking, "find", () => fakeQuery([{ bed: "A" }]));
+  const subject = room([{}, {}]);
+
+  await assert.rejects(
+    Booking.freeBedLabel(subject, "2026-11-01", "2026-12-01", { label: "A" }),
+    { code: "BED_TAKEN" }
+  );
+});
+
+test("counts a held bed once, whatever is booked on it", async () => {
+  const heldFor = new mongoose.Types.ObjectId();
+  const heldUntil = new Date(Date.now() + 60 * 60 * 1000);
+  const subject = room([
+    { heldFor, heldUntil },
+    { heldFor, heldUntil, status: "maintenance" },
+    {},
+  ]);
+  const find = mock.method(Booking, "find", () => fakeQuery([]));
+
+  await Booking.bedsTakenByRoom("2026-11-01", "2026-12-01", {
+    ignoreBeds: subject.heldBeds.map((bed) => ({
+      room: subject._id,
+      bed: bed.label,
+    })),
+  });
+
+  assert.deepEqual(subject.heldBeds.map((bed) => bed.label), ["A"]);
+  assert.deepEqual(find.mock.calls[0].arguments[0].$nor, [
+    { room: roomId, bed: "A" },
+  ]);
+});
@@ -0,0 +1,115 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Booking, { BOOKING_TRANSITIONS } from "../source/models/Booking.js";
+import Room from "../source/models/Room.js";
+import Student from "../source/models/Student.js";
+import Invoice from "../source/models/Invoice.js";
+import Refund from "../source/models/Refund.js";
+import WaitlistEntry from "../source/models/WaitlistEntry.js";
+import { ConflictError } from "../source/lib/errors.js";
+import { fakeQuery, daysFromNow } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const booking = (status = "confirmed") =>
+  new Booking({
+    student: new mongoose.Types.ObjectId(),
+    room: new mongoose.Types.ObjectId(),
+    checkInDate: daysFromNow(-10),
+    checkOutDate: daysFromNow(20),
+    duration: 1,
+    totalAmount: 10000,
+    status,
+  });
+
+test("follows every allowed move and records it", () => {
+  for (const [from, targets] of Object.entries(BOOKING_TRANSITIONS)) {
+    for (const to of targets) {
+      const subject = booking(from);
+      const by = new mongoose.Types.ObjectId();
+
+      subject.transitionTo(to, { by, note: "Front desk" });
+
+      assert.equal(subject.status, to);
+      assert.equal(subject.history.length, 1);
+      assert.equal(subject.history[0].from, from);
+      assert.equal(subject.history[0].to, to);
+      assert.ok(subject.history[0].by.equals(by));
+    }
+  }
+});
+
+test("refuses moves the lifecycle does not allow", () => {
+  const refused = [
+    ["confirmed", "checked-out"],
+    ["checked-in", "cancelled"],
+    ["checked-in", "no-show"],
+    ["checked-out", "checked-in"],
+    ["cancelled", "confirmed"],
+    ["no-show", "checked-in"],
+  ];
+
+  for (const [from, to] of refused) {
+    const subject = booking(from);
+    assert.throws(
+      () => subject.transitionTo(to),
+      (error) =>
+        error instanceof ConflictError &&
+        error.code === "INVALID_STATUS_TRANSITION"
+    );
+    assert.equal(subject.status, from);
+    assert.equal(subject.history.length, 0);
+  }
+});
+
+test("a no-show voids its invoices, refunds and frees the bed", async () => {
+  const subject = booking();
+  const session = { id: "session" };
+  const room = new Room({
+    roomNumber: "A1",
+    floor: 1,
+    capacity: 1,
+    price: 10000,
+    beds: [{ label: "A", status: "occupied", booking: subject._id }],
+  });
+  mock.method(room, "save", async () => room);
+  mock.method(Room, "findById", () => fakeQuery(room));
+  mock.method(Student, "findById", () => fakeQuery(null));
+  const voidInvoices = mock.method(Invoice, "voidForBooking", async () => {});
+  const refund = mock.method(Refund, "createForBooking", async () => {});
+  const offer = mock.method(WaitlistEntry, "offerFreedBed", async () => {});
+  mock.method(subject, "save", async () => subject);
+
+  await subject.markNoShow({ note: "Never arrived" }, session);
+
+  assert.equal(subject.status, "no-show");
+  assert.equal(room.beds[0].status, "available");
+  assert.equal(voidInvoices.mock.calls[0].arguments[1], session);
+  assert.equal(refund.mock.calls[0].arguments[2], session);
+  assert.deepEqual(offer.mock.calls[0].arguments, [subject.room, session]);
+});
+
+test("the no-show sweep skips bookings gone or checked in since", async () => {
+  const deleted = booking();
+  const checkedIn = booking("checked-in");
+  const lapsed = booking();
+  mock.method(Booking, "find", () => fakeQuery([deleted, checkedIn, lapsed]));
+  mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async (work) => work(),
+    endSession: () => {},
+  }));
+  mock.method(Booking, "findById", (id) =>
+    fakeQuery(
+      [checkedIn, lapsed].find((subject) => subject._id.equals(id)) ?? null
+    )
+  );
+  mock.method(checkedIn, "markNoShow", async () => {});
+  const markNoShow = mock.method(lapsed, "markNoShow", async () => {});
+
+  const marked = await Booking.markNoShows();
+
+  assert.deepEqual(marked, [lapsed._id]);
+  assert.equal(markNoShow.mock.callCount(), 1);
+  assert.equal(checkedIn.markNoShow.mock.callCount(), 0);
+});
@@ -0,0 +1,48 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Booking from "../source/models/Booking.js";
+import { fakeQuery } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const roomId = new mongoose.Types.ObjectId();
+
+const stay = (checkIn, checkOut, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  room: roomId,
+  checkInDate: new Date(checkIn),
+  checkOutDate: new Date(checkOut),
+  ...extra,
+});
+
+test("overlap filter only matches active bookings that share a night", () => {
+  const filter = Booking.overlapFilter("2026-11-01", "2026-12-01");
+
+  assert.deepEqual(filter.status, { $in: ["confirmed", "checked-in"] });
+  assert.deepEqual(filter.checkInDate, { $lt: new Date("2026-12-01") });
+  assert.deepEqual(filter.checkOutDate, { $gt: new Date("2026-11-01") });
+});
+
+test("counts the most beds taken at once, not every overlapping booking", async () => {
+  mock.method(Booking, "find", () =>
+    fakeQuery([
+      stay("2026-11-01", "2026-11-15"),
+      stay("2026-11-15", "2026-12-01"),
+      stay("2026-11-10", "2026-11-20"),
+    ])
+  );
+
+  const taken = await Booking.bedsTakenByRoom("2026-11-01", "2026-12-01");
+
+  assert.equal(taken[roomId.toString()], 2);
+});
+
+test("leaves a booking being re-dated out of the count", async () => {
+  const find = mock.method(Booking, "find", () => fakeQuery([]));
+  const exclude = new mongoose.Types.ObjectId();
+
+  await Booking.bedsTakenByRoom("2026-11-01", "2026-12-01", { exclude });
+
+  assert.deepEqual(find.mock.calls[0].arguments[0]._id, { $ne: exclude });
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import CancellationPolicy from "../source/models/CancellationPolicy.js";
+import { BadRequestError } from "../source/lib/errors.js";
+import { addMonths } from "../source/lib/billingMonths.js";
+import { daysFromNow } from "./helpers.js";
+
+// Defaults: full refund from 30 days out, 50% from 7 days, one month's
+// deposit kept below that
+const policy = new CancellationPolicy();
+
+// Three calendar months at 10000 a month
+const booking = (daysAway, paidAmount) => {
+  const checkInDate = daysFromNow(daysAway);
+  return {
+    checkInDate,
+    checkOutDate: addMonths(checkInDate, 3),
+    totalAmount: 30000,
+    duration: 3,
+    paidAmount,
+  };
+};
+
+test("refunds everything with enough notice", () => {
+  const result = policy.evaluate(booking(40, 20000));
+
+  assert.equal(result.rule, "full-refund");
+  assert.equal(result.refundAmount, 20000);
+  assert.equal(result.forfeitedAmount, 0);
+});
+
+test("refunds the partial share between the two cut-offs", () => {
+  const result = policy.evaluate(booking(10, 20000));
+
+  assert.equal(result.rule, "partial-refund");
+  assert.equal(result.refundAmount, 10000);
+  assert.equal(result.forfeitedAmount, 10000);
+});
+
+test("keeps the deposit and refunds the rest at the partial rate", () => {
+  const result = policy.evaluate(booking(3, 25000));
+
+  assert.equal(result.rule, "deposit-forfeited");
+  assert.equal(result.refundAmount, 7500);
+  assert.equal(result.forfeitedAmount, 17500);
+});
+
+test("refunds nothing when less than the deposit was paid", () => {
+  const result = policy.evaluate(booking(1, 6000));
+
+  assert.equal(result.refundAmount, 0);
+  assert.equal(result.forfeitedAmount, 6000);
+});
+
+test("less notice never refunds more", () => {
+  const refunds = [45, 30, 20, 7, 6, 0].map(
+    (days) => policy.evaluate(booking(days, 30000)).refundAmount
+  );
+
+  for (let i = 1; i < refunds.length; i++) {
+    assert.ok(refunds[i] <= refunds[i - 1]);
+  }
+});
+
+test("rejects a notice period longer than the full refund period", async () => {
+  const invalid = new CancellationPolicy({
+    fullRefundDays: 5,
+    noticeDays: 10,
+  });
+
+  await assert.rejects(invalid.validate(), (error) => {
+    assert.ok(error instanceof BadRequestError);
+    assert.equal(error.code, "INVALID_REFUND_WINDOWS");
+    return true;
+  });
+});
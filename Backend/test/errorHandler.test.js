@@ -0,0 +1,146 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Room from "../source/models/Room.js";
+import { errorHandler, notFound } from "../source/middleware/errorHandler.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../source/lib/errors.js";
+
+afterEach(() => mock.restoreAll());
+
+// Passes `err` through the handler and returns the response it sent
+const respond = (err) => {
+  const sent = {};
+  const res = {
+    headersSent: false,
+    status(code) {
+      sent.status = code;
+      return this;
+    },
+    json(body) {
+      sent.body = body;
+      return this;
+    },
+  };
+  errorHandler(err, {}, res, () => {});
+  return sent;
+};
+
+test("sends app errors with their status and code", () => {
+  assert.deepEqual(respond(new NotFoundError("Booking")), {
+    status: 404,
+    body: {
+      success: false,
+      code: "BOOKING_NOT_FOUND",
+      message: "Booking not found",
+    },
+  });
+  assert.deepEqual(respond(new ConflictError("Room is full", "ROOM_FULL")), {
+    status: 409,
+    body: { success: false, code: "ROOM_FULL", message: "Room is full" },
+  });
+});
+
+test("lists field errors under errors", () => {
+  const details = [
+    { field: "price", location: "body", message: "price is required" },
+  ];
+
+  const { status, body } = respond(new ValidationError(details));
+
+  assert.equal(status, 400);
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.deepEqual(body.errors, details);
+});
+
+test("sends model hook errors as conflicts", async () => {
+  const room = new Room({
+    roomNumber: "A1",
+    floor: 1,
+    capacity: 1,
+    price: 10000,
+    beds: [
+      { label: "A", status: "occupied" },
+      { label: "B", status: "occupied" },
+    ],
+  });
+
+  const error = await room.validate().catch((err) => err);
+
+  assert.deepEqual(respond(error), {
+    status: 409,
+    body: {
+      success: false,
+      code: "CAPACITY_BELOW_OCCUPANCY",
+      message: "Cannot reduce capacity below occupied beds",
+    },
+  });
+});
+
+test("translates Mongoose and driver errors", () => {
+  const invalid = new Room({}).validateSync();
+  const { status, body } = respond(invalid);
+  assert.equal(status, 400);
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.ok(
+    body.errors.some(
+      (error) =>
+        error.field === "roomNumber" &&
+        error.message === "roomNumber is required"
+    )
+  );
+
+  const cast = new mongoose.Error.CastError("ObjectId", "abc", "room");
+  assert.deepEqual(respond(cast).body, {
+    success: false,
+    code: "INVALID_ID",
+    message: "room is invalid",
+  });
+
+  const duplicate = Object.assign(new Error("E11000"), {
+    code: 11000,
+    keyValue: { roomNumber: "A1" },
+  });
+  assert.deepEqual(respond(duplicate), {
+    status: 409,
+    body: {
+      success: false,
+      code: "DUPLICATE",
+      message: "A record with this roomNumber already exists",
+    },
+  });
+});
+
+test("hides unexpected errors behind a generic 500", () => {
+  mock.method(console, "error", () => {});
+
+  assert.deepEqual(respond(new Error("connection string leaked")), {
+    status: 500,
+    body: {
+      success: false,
+      code: "INTERNAL_ERROR",
+      message: "Something went wrong",
+    },
+  });
+});
+
+test("answers unknown routes in the same envelope", () => {
+  let sent;
+  const res = {
+    status: (code) => ({ json: (body) => (sent = { status: code, body }) }),
+  };
+
+  notFound({ method: "GET", originalUrl: "/api/nowhere" }, res);
+
+  assert.deepEqual(sent, {
+    status: 404,
+    body: {
+      success: false,
+      code: "ROUTE_NOT_FOUND",
+      message: "Route not found: GET /api/nowhere",
+    },
+  });
+});
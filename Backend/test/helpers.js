@@ -0,0 +1,17 @@
+// Stand-in for a Mongoose query: chainable like one and resolves to `result`
+// when awaited, so model statics can be exercised without a database
+export const fakeQuery = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    session: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+export const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date;
+};
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+// Visiting hours and curfew are judged on the hostel's clock
+// (Africa/Nairobi, UTC+3), so the checks run in a child process whose own
+// clock is elsewhere
+const run = (tz, script) => {
+  const result = spawnSync(
+    process.execPath,
+    ["--input-type=module", "-e", script],
+    {
+      cwd: fileURLToPath(new URL("..", import.meta.url)),
+      env: { ...process.env, TZ: tz, HOSTEL_TIMEZONE: "" },
+      encoding: "utf8",
+    }
+  );
+  assert.equal(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout);
+};
+
+for (const tz of ["UTC", "America/New_York"]) {
+  test(`visiting hours follow hostel time on a ${tz} server`, () => {
+    const result = run(
+      tz,
+      `
+      import VisitorPolicy from "./source/models/VisitorPolicy.js";
+      const policy = new VisitorPolicy(); // 08:00 to 20:00
+      const at = (iso) => policy.isWithinVisitingHours(new Date(iso));
+      console.log(JSON.stringify({
+        morning: at("2026-10-19T05:30:00Z"), // 08:30 in Nairobi
+        early: at("2026-10-19T04:59:00Z"), // 07:59
+        evening: at("2026-10-19T18:30:00Z"), // 21:30
+        endsAt: policy.visitingEndsAt(new Date("2026-10-19T05:30:00Z")),
+      }));
+      process.exit(0);
+      `
+    );
+
+    assert.equal(result.morning, true);
+    assert.equal(result.early, false);
+    assert.equal(result.evening, false);
+    assert.equal(result.endsAt, "2026-10-19T17:00:00.000Z");
+  });
+
+  test(`curfew follows hostel time on a ${tz} server`, () => {
+    const result = run(
+      tz,
+      `
+      import CurfewPolicy from "./source/models/CurfewPolicy.js";
+      const policy = new CurfewPolicy(); // 22:00 to 05:00
+      const at = (iso) => policy.isAfterCurfew(new Date(iso));
+      console.log(JSON.stringify({
+        before: at("2026-10-19T18:59:00Z"), // 21:59 in Nairobi
+        after: at("2026-10-19T19:00:00Z"), // 22:00
+        morning: at("2026-10-20T02:30:00Z"), // 05:30
+      }));
+      process.exit(0);
+      `
+    );
+
+    assert.deepEqual(result, { before: false, after: true, morning: false });
+  });
+}
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSchedule } from "../source/models/Invoice.js";
+import { countMonths } from "../source/lib/billingMonths.js";
+
+const sum = (schedule) =>
+  schedule.reduce((total, period) => total + period.amount, 0);
+
+test("splits a stay into calendar months ending at check-out", () => {
+  const checkOut = new Date(2027, 0, 31);
+  const schedule = buildSchedule(new Date(2026, 10, 1), checkOut, 30000);
+
+  assert.equal(schedule.length, 3);
+  assert.deepEqual(
+    schedule.map((period) => period.periodStart),
+    [new Date(2026, 10, 1), new Date(2026, 11, 1), new Date(2027, 0, 1)]
+  );
+  assert.deepEqual(schedule[2].periodEnd, checkOut);
+  assert.deepEqual(
+    schedule.map((period) => period.amount),
+    [10000, 10000, 10000]
+  );
+});
+
+test("never schedules a period that starts on or after check-out", () => {
+  const checkOut = new Date(2027, 1, 1);
+  const schedule = buildSchedule(new Date(2026, 10, 1), checkOut, 30000);
+
+  assert.equal(schedule.length, 3);
+  for (const period of schedule) {
+    assert.ok(period.periodStart < checkOut);
+    assert.ok(period.periodEnd <= checkOut);
+    assert.deepEqual(period.dueDate, period.periodStart);
+  }
+});
+
+test("puts the rounding remainder on the last installment", () => {
+  const schedule = buildSchedule(
+    new Date(2026, 0, 15),
+    new Date(2026, 3, 15),
+    10000
+  );
+
+  assert.deepEqual(
+    schedule.map((period) => period.amount),
+    [3333, 3333, 3334]
+  );
+  assert.equal(sum(schedule), 10000);
+});
+
+test("bills a stay shorter than a month as one installment", () => {
+  const schedule = buildSchedule(
+    new Date(2026, 5, 1),
+    new Date(2026, 5, 20),
+    4500
+  );
+
+  assert.equal(schedule.length, 1);
+  assert.equal(schedule[0].installment, 1);
+  assert.equal(schedule[0].amount, 4500);
+});
+
+test("clamps month-end check-ins to shorter months", () => {
+  const schedule = buildSchedule(
+    new Date(2026, 0, 31),
+    new Date(2026, 3, 30),
+    9000
+  );
+
+  assert.deepEqual(
+    schedule.map((period) => period.periodStart),
+    [new Date(2026, 0, 31), new Date(2026, 1, 28), new Date(2026, 2, 31)]
+  );
+  assert.equal(sum(schedule), 9000);
+});
+
+test("prices a stay by the calendar months it is billed for", () => {
+  // 91 days: four 30-day blocks, but three calendar months
+  const checkIn = new Date(2027, 8, 1);
+  const checkOut = new Date(2027, 11, 1);
+  const months = countMonths(checkIn, checkOut);
+  const schedule = buildSchedule(checkIn, checkOut, 10000 * months);
+
+  assert.equal(months, 3);
+  assert.deepEqual(
+    schedule.map((period) => period.amount),
+    [10000, 10000, 10000]
+  );
+});
+
+test("counts a 31-day month as one month", () => {
+  assert.equal(countMonths(new Date(2027, 0, 1), new Date(2027, 1, 1)), 1);
+  assert.equal(countMonths(new Date(2027, 0, 1), new Date(2027, 1, 2)), 2);
+});
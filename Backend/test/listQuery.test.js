@@ -0,0 +1,120 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Review from "../source/models/Review.js";
+import { listQuery } from "../source/lib/listQuery.js";
+import { BadRequestError } from "../source/lib/errors.js";
+
+afterEach(() => mock.restoreAll());
+
+const reviewList = listQuery({ sort: ["createdAt", "rating"] });
+
+const review = (rating) =>
+  new Review({ _id: new mongoose.Types.ObjectId(), rating });
+
+// Answers every find() with `docs` and every count with `total`, and keeps
+// the queries that were run
+const stubQueries = (docs, total = docs.length) => {
+  const queries = [];
+  mock.restoreAll();
+  mock.method(mongoose.Query.prototype, "exec", async function () {
+    queries.push(this);
+    return this.op === "countDocuments" ? total : docs;
+  });
+  return queries;
+};
+
+// The cursor for the first `limit` records of a numbered first page
+const firstCursor = async (docs, total) => {
+  stubQueries(docs, total);
+  const { nextCursor } = await reviewList.run(Review.find(), {
+    sort: "-rating",
+    limit: docs.length,
+    page: 1,
+  });
+  return nextCursor;
+};
+
+test("hands out a cursor only when another page follows", async () => {
+  const cursor = await firstCursor([review(5)], 4);
+
+  stubQueries([review(4), review(4), review(3)]);
+  const middle = await reviewList.run(Review.find(), {
+    sort: "-rating",
+    limit: 2,
+    cursor,
+  });
+
+  assert.equal(middle.count, 2);
+  assert.equal(middle.total, undefined);
+  assert.ok(middle.nextCursor);
+
+  stubQueries([review(3)]);
+  const last = await reviewList.run(Review.find(), {
+    sort: "-rating",
+    limit: 2,
+    cursor: middle.nextCursor,
+  });
+
+  assert.equal(last.count, 1);
+  assert.equal(last.nextCursor, null);
+});
+
+test("continues after the cursor's record, breaking ties on _id", async () => {
+  const seen = review(4);
+  const nextCursor = await firstCursor([seen], 2);
+
+  const queries = stubQueries([review(3)]);
+  await reviewList.run(Review.find(), {
+    sort: "-rating",
+    limit: 1,
+    cursor: nextCursor,
+  });
+
+  const next = queries.at(-1);
+  assert.deepEqual(next.getOptions().sort, { rating: -1, _id: -1 });
+  assert.deepEqual(next.getFilter().$and[0].$or, [
+    { rating: { $lt: 4 } },
+    { rating: 4, _id: { $lt: seen._id } },
+    { rating: null },
+  ]);
+});
+
+test("refuses a cursor issued for another sort order", async () => {
+  const nextCursor = await firstCursor([review(4)], 2);
+  const queries = stubQueries([review(3)]);
+
+  await assert.rejects(
+    reviewList.run(Review.find(), {
+      sort: "-createdAt",
+      limit: 1,
+      cursor: nextCursor,
+    }),
+    (error) =>
+      error instanceof BadRequestError && error.code === "INVALID_CURSOR"
+  );
+  assert.equal(queries.length, 0);
+});
+
+test("refuses a cursor that does not decode", async () => {
+  await assert.rejects(
+    reviewList.run(Review.find(), {
+      sort: "-createdAt",
+      limit: 10,
+      cursor: "not-a-cursor",
+    }),
+    { code: "INVALID_CURSOR" }
+  );
+});
+
+test("refuses page and cursor together", async () => {
+  await assert.rejects(
+    reviewList.run(Review.find(), {
+      sort: "-createdAt",
+      limit: 10,
+      page: 2,
+      cursor: "anything",
+    }),
+    { code: "INVALID_PAGINATION" }
+  );
+});
@@ -0,0 +1,52 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import MaintenanceTicket from "../source/models/MaintenanceTicket.js";
+import Room from "../source/models/Room.js";
+import { fakeQuery } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const room = (fields = {}) => {
+  const doc = new Room({
+    roomNumber: "A1",
+    floor: 1,
+    capacity: 2,
+    price: 10000,
+    ...fields,
+  });
+  mock.method(doc, "save", async () => doc.validate());
+  mock.method(Room, "findById", () => fakeQuery(doc));
+  return doc;
+};
+
+const openBlockingTickets = (count) =>
+  mock.method(MaintenanceTicket, "countDocuments", () => fakeQuery(count));
+
+test("blocking tickets put a room into maintenance and lift it", async () => {
+  const subject = room();
+
+  openBlockingTickets(1);
+  await MaintenanceTicket.syncRoomStatus(subject._id);
+  assert.equal(subject.status, "maintenance");
+  assert.equal(subject.maintenanceSource, "tickets");
+
+  openBlockingTickets(0);
+  await MaintenanceTicket.syncRoomStatus(subject._id);
+  assert.equal(subject.status, "available");
+  assert.equal(subject.maintenanceSource, undefined);
+});
+
+test("maintenance set by hand outlasts the tickets", async () => {
+  const subject = room({ status: "maintenance" });
+  await subject.validate();
+  assert.equal(subject.maintenanceSource, "manual");
+
+  openBlockingTickets(1);
+  await MaintenanceTicket.syncRoomStatus(subject._id);
+  openBlockingTickets(0);
+  await MaintenanceTicket.syncRoomStatus(subject._id);
+
+  assert.equal(subject.status, "maintenance");
+  assert.equal(subject.maintenanceSource, "manual");
+  assert.equal(subject.save.mock.callCount(), 0);
+});
@@ -0,0 +1,136 @@
+import { test, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import mongoose from "mongoose";
+import router from "../source/routes/mpesa.js";
+import Payment from "../source/models/Payment.js";
+import MpesaTransaction from "../source/models/MpesaTransaction.js";
+import { fakeQuery } from "./helpers.js";
+
+process.env.MPESA_CALLBACK_TOKEN = "callback-token";
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/mpesa", router);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/mpesa`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+// Transactions run their callback straight through, without a database
+const stubSessions = () =>
+  mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async (work) => work(),
+    endSession: () => {},
+  }));
+
+const post = async (path, body) => {
+  const res = await fetch(`${baseUrl}${path}/callback-token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const stkCallback = {
+  Body: {
+    stkCallback: {
+      CheckoutRequestID: "ws_CO_1",
+      ResultCode: 0,
+      ResultDesc: "The service request is processed successfully.",
+      CallbackMetadata: {
+        Item: [
+          { Name: "Amount", Value: 5000 },
+          { Name: "MpesaReceiptNumber", Value: "SFK1ABC2DE" },
+          { Name: "PhoneNumber", Value: 254712345678 },
+        ],
+      },
+    },
+  },
+};
+
+test("a repeated STK callback records the payment once", async () => {
+  stubSessions();
+  const transaction = new MpesaTransaction({
+    type: "stk",
+    booking: new mongoose.Types.ObjectId(),
+    checkoutRequestId: "ws_CO_1",
+  });
+  mock.method(transaction, "save", async () => transaction);
+  mock.method(MpesaTransaction, "findOne", () => fakeQuery(transaction));
+  const record = mock.method(Payment, "record", async () => ({
+    payment: { _id: new mongoose.Types.ObjectId() },
+  }));
+
+  const first = await post("/stk-callback", stkCallback);
+  const second = await post("/stk-callback", stkCallback);
+
+  assert.equal(first.body.ResultCode, 0);
+  assert.equal(second.body.ResultCode, 0);
+  assert.equal(record.mock.callCount(), 1);
+  assert.equal(transaction.status, "completed");
+  assert.equal(transaction.receiptNumber, "SFK1ABC2DE");
+});
+
+test("a receipt recorded by a racing delivery is acknowledged", async () => {
+  stubSessions();
+  const transaction = new MpesaTransaction({
+    type: "stk",
+    checkoutRequestId: "ws_CO_1",
+  });
+  mock.method(MpesaTransaction, "findOne", () => fakeQuery(transaction));
+  mock.method(Payment, "record", async () => {
+    throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  });
+  const updateOne = mock.method(MpesaTransaction, "updateOne", async () => {});
+
+  const { status, body } = await post("/stk-callback", stkCallback);
+
+  assert.equal(status, 200);
+  assert.equal(body.ResultCode, 0);
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+const confirmation = {
+  TransID: "SFK1ABC2DE",
+  TransAmount: "5000",
+  BillRefNumber: "CH2026001",
+  MSISDN: "254712345678",
+};
+
+test("a C2B confirmation already on record is acknowledged", async () => {
+  stubSessions();
+  const existing = new MpesaTransaction({
+    type: "c2b",
+    receiptNumber: "SFK1ABC2DE",
+  });
+  mock.method(MpesaTransaction, "findOne", () => fakeQuery(existing));
+  const record = mock.method(Payment, "record", async () => {});
+  const create = mock.method(MpesaTransaction, "create", async () => []);
+
+  const { status, body } = await post("/c2b/confirmation", confirmation);
+
+  assert.equal(status, 200);
+  assert.equal(body.ResultCode, 0);
+  assert.equal(record.mock.callCount(), 0);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("callbacks without the callback token are rejected", async () => {
+  const res = await fetch(`${baseUrl}/stk-callback/wrong-token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(stkCallback),
+  });
+
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import Room from "../source/models/Room.js";
+import { protect, warden } from "../source/middleware/auth.js";
+import { validate, field } from "../source/middleware/validate.js";
+import { buildOpenApi } from "../source/lib/openapi.js";
+
+const handler = (req, res) => res.json({ success: true });
+
+const roomsRouter = () => {
+  const router = express.Router();
+  router.get("/", handler);
+  router.put(
+    "/:id",
+    protect,
+    warden,
+    validate({ body: { price: field.number({ min: 0 }) } }),
+    handler
+  );
+  return router;
+};
+
+const build = (router, docs) =>
+  buildOpenApi({
+    info: { title: "Test", version: "1.0.0" },
+    routers: [{ prefix: "/api/rooms", tag: "Rooms", router, docs }],
+    models: [Room],
+  });
+
+const docs = {
+  "GET /": { summary: "Get all rooms", list: "Room" },
+  "PUT /:id": { summary: "Update a room", data: "Room" },
+};
+
+test("documents routes from their middleware and docs entries", () => {
+  const spec = build(roomsRouter(), docs);
+
+  const update = spec.paths["/api/rooms/{id}"].put;
+  assert.equal(update.summary, "Update a room");
+  assert.deepEqual(update.security, [{ bearerAuth: [] }]);
+  assert.equal(update.description, "Roles: admin, warden.");
+  assert.deepEqual(
+    update.requestBody.content["application/json"].schema.properties.price,
+    { type: "number", minimum: 0 }
+  );
+  assert.ok(spec.components.schemas.Room);
+});
+
+test("refuses to build when a route has no docs entry", () => {
+  const router = roomsRouter();
+  router.delete("/:id", protect, handler);
+
+  assert.throws(
+    () => build(router, docs),
+    (error) =>
+      error.message.startsWith("OpenAPI document is out of date") &&
+      error.message.includes("DELETE /api/rooms/:id has no docs entry")
+  );
+});
+
+test("refuses to build when a docs entry has no route", () => {
+  assert.throws(
+    () =>
+      build(roomsRouter(), {
+        ...docs,
+        "DELETE /:id": { summary: "Delete a room" },
+      }),
+    /docs entry "DELETE \/:id" under \/api\/rooms has no route/
+  );
+});
+
+test("refuses to build when a response names an unknown model", () => {
+  assert.throws(
+    () =>
+      build(roomsRouter(), {
+        ...docs,
+        "GET /": { summary: "Get all rooms", list: "Dormitory" },
+      }),
+    /Response refers to unknown model Dormitory/
+  );
+});
@@ -0,0 +1,139 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Payment from "../source/models/Payment.js";
+import Booking from "../source/models/Booking.js";
+import Invoice from "../source/models/Invoice.js";
+import Counter from "../source/models/Counter.js";
+import Notification from "../source/models/Notification.js";
+import MpesaTransaction from "../source/models/MpesaTransaction.js";
+import { BadRequestError, ConflictError } from "../source/lib/errors.js";
+import { fakeQuery } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const session = { id: "session" };
+
+const booking = (overrides = {}) => {
+  const doc = new Booking({
+    student: new mongoose.Types.ObjectId(),
+    room: new mongoose.Types.ObjectId(),
+    checkInDate: new Date("2026-11-01"),
+    checkOutDate: new Date("2026-12-01"),
+    totalAmount: 10000,
+    paidAmount: 0,
+    status: "confirmed",
+    ...overrides,
+  });
+  mock.method(doc, "save", async () => doc);
+  mock.method(Booking, "findById", () => fakeQuery(doc));
+  return doc;
+};
+
+const stubBookkeeping = () => {
+  mock.method(Counter, "next", async () => 42);
+  mock.method(Invoice, "allocatePayments", async () => {});
+  mock.method(Notification, "enqueue", async () => {});
+};
+
+test("recording credits the booking and issues a receipt", async () => {
+  const subject = booking({ paidAmount: 2000 });
+  stubBookkeeping();
+  const create = mock.method(Payment, "create", async ([data]) => [
+    new Payment(data),
+  ]);
+
+  const { payment } = await Payment.record(
+    { booking: subject._id, amount: 3000, method: "cash" },
+    session
+  );
+
+  assert.equal(payment.receiptNumber, "RCT-000042");
+  assert.equal(subject.paidAmount, 5000);
+  assert.deepEqual(create.mock.calls[0].arguments[1], { session });
+  assert.equal(subject.save.mock.calls[0].arguments[0].session, session);
+  assert.equal(Invoice.allocatePayments.mock.calls[0].arguments[1], session);
+});
+
+test("refuses to record more than the balance unless told to", async () => {
+  const subject = booking({ paidAmount: 9000 });
+  stubBookkeeping();
+  mock.method(Payment, "create", async ([data]) => [new Payment(data)]);
+
+  await assert.rejects(
+    Payment.record(
+      { booking: subject._id, amount: 2000, method: "cash" },
+      session
+    ),
+    (error) => error instanceof BadRequestError && error.code === "OVERPAYMENT"
+  );
+
+  await Payment.record(
+    { booking: subject._id, amount: 2000, method: "mpesa" },
+    session,
+    { allowOverpayment: true }
+  );
+  assert.equal(subject.paidAmount, 11000);
+});
+
+test("refuses to record a payment against a cancelled booking", async () => {
+  const subject = booking({ status: "cancelled" });
+  const create = mock.method(Payment, "create", async () => []);
+
+  await assert.rejects(
+    Payment.record(
+      { booking: subject._id, amount: 1000, method: "cash" },
+      session
+    ),
+    (error) =>
+      error instanceof ConflictError && error.code === "BOOKING_NOT_PAYABLE"
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
+
+const payment = (subject, overrides = {}) => {
+  const doc = new Payment({
+    booking: subject._id,
+    student: subject.student,
+    amount: 4000,
+    method: "mpesa",
+    ...overrides,
+  });
+  mock.method(doc, "save", async () => doc);
+  mock.method(Payment, "findById", () => fakeQuery(doc));
+  return doc;
+};
+
+test("reversing debits the booking and its M-Pesa transaction", async () => {
+  const subject = booking({ paidAmount: 4000 });
+  const paid = payment(subject);
+  mock.method(Invoice, "allocatePayments", async () => {});
+  const updateOne = mock.method(MpesaTransaction, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+  const reversedBy = new mongoose.Types.ObjectId();
+
+  await Payment.reverse(paid._id, { reason: "Bounced", reversedBy }, session);
+
+  assert.equal(paid.status, "reversed");
+  assert.equal(paid.reversal.reason, "Bounced");
+  assert.equal(subject.paidAmount, 0);
+  assert.deepEqual(updateOne.mock.calls[0].arguments, [
+    { payment: paid._id, status: "completed" },
+    { status: "reversed" },
+    { session },
+  ]);
+});
+
+test("refuses to reverse a payment twice", async () => {
+  const subject = booking({ paidAmount: 0 });
+  const paid = payment(subject, { status: "reversed" });
+  const updateOne = mock.method(MpesaTransaction, "updateOne", async () => {});
+
+  await assert.rejects(
+    Payment.reverse(paid._id, { reason: "Again" }, session),
+    { code: "INVALID_STATUS_TRANSITION" }
+  );
+  assert.equal(subject.save.mock.callCount(), 0);
+  assert.equal(updateOne.mock.callCount(), 0);
+});
@@ -0,0 +1,125 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Student from "../source/models/Student.js";
+import Booking from "../source/models/Booking.js";
+import {
+  authorize,
+  can,
+  scopeFilter,
+} from "../source/middleware/policy.js";
+import { ForbiddenError, NotFoundError } from "../source/lib/errors.js";
+
+afterEach(() => mock.restoreAll());
+
+const student = { _id: new mongoose.Types.ObjectId() };
+const someoneElse = new mongoose.Types.ObjectId();
+
+const signedIn = (role, params = {}) => ({
+  user: { _id: new mongoose.Types.ObjectId(), role },
+  params,
+});
+
+// Runs a middleware and resolves to what it passed to next(), or rejects
+// with what it threw
+const run = async (middleware, req) => {
+  let passed;
+  await middleware(req, {}, (value) => {
+    passed = value;
+  });
+  return passed;
+};
+
+test("staff may do what their role allows and nothing more", async () => {
+  assert.equal(await can(signedIn("warden"), "booking", "update"), true);
+  assert.equal(await can(signedIn("warden"), "booking", "delete"), false);
+  assert.equal(await can(signedIn("guard"), "booking", "read"), false);
+  assert.equal(await can(signedIn("admin"), "review", "moderate"), true);
+});
+
+test("students only reach records of their own profile", async () => {
+  mock.method(Student, "findOne", async () => student);
+  const req = signedIn("student");
+
+  assert.equal(
+    await can(req, "booking", "read", { student: student._id }),
+    true
+  );
+  assert.equal(
+    await can(req, "booking", "read", { student: { _id: student._id } }),
+    true
+  );
+  assert.equal(
+    await can(req, "booking", "read", { student: someoneElse }),
+    false
+  );
+  assert.equal(await can(req, "booking", "update"), false);
+});
+
+test("a student without a profile owns nothing", async () => {
+  mock.method(Student, "findOne", async () => null);
+
+  assert.equal(await can(signedIn("student"), "booking", "create"), false);
+  assert.deepEqual(await scopeFilter(signedIn("student"), "booking"), {
+    student: null,
+  });
+});
+
+test("listings are scoped to what the user may read", async () => {
+  mock.method(Student, "findOne", async () => student);
+
+  assert.deepEqual(await scopeFilter(signedIn("admin"), "booking"), {});
+  assert.deepEqual(await scopeFilter(signedIn("student"), "booking"), {
+    student: student._id,
+  });
+  assert.deepEqual(await scopeFilter(signedIn("student"), "student"), {
+    _id: student._id,
+  });
+  assert.deepEqual(await scopeFilter(signedIn("guard"), "booking"), {
+    student: null,
+  });
+});
+
+test("authorize loads the record and leaves it on the request", async () => {
+  const booking = { _id: new mongoose.Types.ObjectId(), student: student._id };
+  mock.method(Student, "findOne", async () => student);
+  mock.method(Booking, "findById", async () => booking);
+  const req = signedIn("student", { id: booking._id.toString() });
+
+  const passed = await run(authorize("booking", "cancel"), req);
+
+  assert.equal(passed, undefined);
+  assert.equal(req.record, booking);
+});
+
+test("authorize refuses other students' records", async () => {
+  mock.method(Student, "findOne", async () => student);
+  mock.method(Booking, "findById", async () => ({ student: someoneElse }));
+  const req = signedIn("student", { id: someoneElse.toString() });
+
+  await assert.rejects(
+    run(authorize("booking", "cancel"), req),
+    (error) => error instanceof ForbiddenError
+  );
+});
+
+test("authorize answers 404 for a missing record", async () => {
+  mock.method(Booking, "findById", async () => null);
+  const req = signedIn("admin", { id: someoneElse.toString() });
+
+  await assert.rejects(
+    run(authorize("booking", "read"), req),
+    (error) => error instanceof NotFoundError
+  );
+});
+
+test("only staff may list reviews that are not approved", async () => {
+  const check = authorize("review", "listUnapproved");
+
+  assert.equal(await run(check, signedIn("warden")), undefined);
+  await assert.rejects(
+    run(check, signedIn("student")),
+    (error) => error instanceof ForbiddenError
+  );
+  assert.deepEqual(check.policy.roles, { admin: true, warden: true });
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validate,
+  field,
+  optional,
+  checkObjectId,
+} from "../source/middleware/validate.js";
+import { ValidationError } from "../source/lib/errors.js";
+
+// Runs a validate() middleware over `req` and returns what it passed to
+// next()
+const run = (schema, req) => {
+  let passed;
+  req.params ??= {};
+  req.query ??= {};
+  validate(schema)(req, {}, (value) => {
+    passed = value;
+  });
+  return passed;
+};
+
+const fieldsIn = (error) => error.details.map(({ field }) => field);
+
+test("coerces query strings to their declared types", () => {
+  const req = {
+    query: {
+      floor: "2",
+      furnished: "true",
+      from: "2026-11-01",
+      amenities: "wifi,desk",
+    },
+  };
+
+  const passed = run(
+    {
+      query: {
+        floor: field.integer({ min: 0 }),
+        furnished: field.boolean(),
+        from: field.date(),
+        amenities: field.array(field.string()),
+        limit: field.integer({ default: 20 }),
+      },
+    },
+    req
+  );
+
+  assert.equal(passed, undefined);
+  assert.deepEqual(req.query, {
+    floor: 2,
+    furnished: true,
+    from: new Date("2026-11-01"),
+    amenities: ["wifi", "desk"],
+    limit: 20,
+  });
+});
+
+test("refuses fields that are not declared", () => {
+  const error = run(
+    { body: { name: field.string() } },
+    { body: { name: "Amina", role: "admin" } }
+  );
+
+  assert.ok(error instanceof ValidationError);
+  assert.equal(error.code, "VALIDATION_FAILED");
+  assert.deepEqual(error.details, [
+    { field: "role", location: "body", message: "role is not allowed" },
+  ]);
+});
+
+test("reports every failing field, nested ones by path", () => {
+  const error = run(
+    {
+      body: {
+        email: field.email({ required: true }),
+        rating: field.integer({ min: 1, max: 5 }),
+        contact: field.object({ phone: field.string({ required: true }) }),
+        beds: field.array(field.string({ enum: ["A", "B"] })),
+      },
+    },
+    { body: { rating: 4.5, contact: {}, beds: ["A", "C"] } }
+  );
+
+  assert.deepEqual(fieldsIn(error), [
+    "email",
+    "rating",
+    "contact.phone",
+    "beds[1]",
+  ]);
+  assert.equal(error.details[1].message, "rating must be a whole number");
+});
+
+test("leaves an email's case as given", () => {
+  const req = { body: { email: "  Amina.O@Example.com " } };
+
+  run({ body: { email: field.email() } }, req);
+
+  assert.equal(req.body.email, "Amina.O@Example.com");
+});
+
+test("optional() drops required flags and defaults for partial updates", () => {
+  const shape = {
+    title: field.string({ required: true }),
+    status: field.string({ enum: ["open", "closed"], default: "open" }),
+  };
+  const req = { body: {} };
+
+  assert.ok(run({ body: shape }, { body: {} }) instanceof ValidationError);
+  assert.equal(run({ body: optional(shape) }, req), undefined);
+  assert.deepEqual(req.body, {});
+});
+
+test("treats an empty query parameter as not given", () => {
+  const req = { query: { status: "" } };
+
+  run({ query: { status: field.string({ default: "approved" }) } }, req);
+
+  assert.equal(req.query.status, "approved");
+});
+
+test("checkObjectId refuses malformed ids", () => {
+  let passed;
+  checkObjectId({}, {}, (value) => (passed = value), "not-an-id", "id");
+
+  assert.ok(passed instanceof ValidationError);
+  assert.deepEqual(fieldsIn(passed), ["id"]);
+
+  checkObjectId({}, {}, (value) => (passed = value), "a".repeat(24), "id");
+  assert.equal(passed, undefined);
+});